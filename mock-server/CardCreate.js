@@ -1,37 +1,24 @@
 const express = require('express');
-const mysql = require('mysql2/promise');
-const app = express();
+const { createApp } = require('./app');
+const { getStore } = require('./store');
+const { idempotent } = require('./idempotency');
+const { isCardExpired } = require('./cardExpiry');
+const { BLOCK_CODES, transitionCard } = require('./cardLifecycle');
+const { getCallerContext } = require('./cardEvents');
+const { SECURITY_CODE_TYPES, deriveSecurityCodes, verifySecurityCode } = require('./cardSecurity');
+const { loadKeys } = require('./keyStore');
+const { MIN_PAN_LENGTH, MAX_PAN_LENGTH, allocatePan, listRanges, createRange, updateRange } = require('./panAllocation');
+const { findProduct, findOpenProduct } = require('./productCatalog');
+const { FEE_EVENTS, raiseEventFee } = require('./feeBilling');
+const router = express.Router();
 const port = 3000;
 
-app.use(express.json());
-
-// --- Database Configuration ---
-const dbConfig = {
-    host: '',
-    user: '',
-    password: '',
-    database: 'card_management_system',
-    port: '',
-};
-
-let dbConnection;
-
-// --- Database Connection Pool Setup ---
-async function connectDB() {
-    try {
-        dbConnection = await mysql.createPool(dbConfig);
-        console.log("Successfully connected to MySQL Database!");
-    } catch (error) {
-        console.error("Failed to connect to MySQL Database:", error.message);
-        process.exit(1);
-    }
-}
-connectDB();
+// --- Data Store (shared with the other modules) ---
+const store = getStore();
 
 // --- Utility Functions ---
 const generateUniqueId = (prefix) => `${prefix}-${Date.now() % 100000}`;
 const generateAccountNumber = () => (Math.floor(Math.random() * 90000000000) + 10000000000).toString();
-const generateCVV = () => (Math.floor(Math.random() * 900) + 100).toString();
 const generateExpiry = (years = 4) => {
     const date = new Date();
     date.setFullYear(date.getFullYear() + years);
@@ -39,19 +26,31 @@ const generateExpiry = (years = 4) => {
     const year = String(date.getFullYear()).slice(-2);
     return `${month}/${year}`;
 };
-const generatePan = (isNewPan = true) => {
-    const CARD_BIN = '552255';
-    if (isNewPan) {
-        const middle = (Math.floor(Math.random() * 900000) + 100000).toString();
-        const lastFour = (Math.floor(Math.random() * 9000) + 1000).toString();
-        const fullPan = `${CARD_BIN}${middle}${lastFour}`;
-        const maskedPan = `${CARD_BIN}******${lastFour}`;
-        return { fullPan, maskedPan };
-    }
-    // Placeholder for existing PAN lookup/reuse
-    return { fullPan: "5522551234567890", maskedPan: "552255******7890" };
+// --- Configuration ---
+const ADMIN_TOKEN = 'sk_admin_xxxxx'; // Admin token for the BIN range endpoints
+
+/**
+ * Bearer Token Authentication Middleware (admin endpoints only)
+ */
+const authenticateAdmin = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ success: false, error: "Invalid or missing Bearer token format." });
+    }
+
+    if (authHeader.split(' ')[1] !== ADMIN_TOKEN) {
+        return res.status(401).json({ success: false, error: "Invalid Bearer token value." });
+    }
+
+    next();
 };
-const VALID_PRODUCT_CODES = ['CHQ-01', 'SAV-02'];
+
+// Non-sensitive card columns returned by the card details endpoint
+const CARD_DETAIL_FIELDS = ['card_id', 'exid', 'account_number', 'masked_pan', 'expiry', 'status', 'limit_amount', 'pin_set', 'block_code', 'updated_at'];
+
+// Copies only the listed fields from a record
+const pickFields = (record, fields) => Object.fromEntries(fields.map((field) => [field, record[field]]));
 
 // Function to generate a unique 16-digit numeric EXID
 const generateEXID = () => {
@@ -69,7 +68,7 @@ const generateEXID = () => {
 // ====================================================================
 
 /** 1. Client Create */
-app.post('/api/v1/client/create', async (req, res) => {
+router.post('/client/create', async (req, res) => {
     const data = req.body;
 
     // Validation Check: Missing mandatory fields
@@ -82,33 +81,20 @@ app.post('/api/v1/client/create', async (req, res) => {
 
     // Check for duplicate client
     try {
-        const checkSql = `
-            SELECT client_id 
-            FROM clients 
-            WHERE name = ? 
-              AND surname = ? 
-              AND id_number = ? 
-              AND date_of_birth = ? 
-              AND gender = ?
-        `;
-        
-        const checkValues = [
-            data.name,
-            data.surname,
-            data.id_number,
-            data.date_of_birth,
-            data.gender
-        ];
-
-        // Assuming dbConnection.execute returns [rows, fields]
-        const [existingClients] = await dbConnection.execute(checkSql, checkValues);
-
-        if (existingClients.length > 0) {
+        const existingClient = await store.clients.findDuplicate({
+            name: data.name,
+            surname: data.surname,
+            id_number: data.id_number,
+            date_of_birth: data.date_of_birth,
+            gender: data.gender
+        });
+
+        if (existingClient) {
             // Return 409 Conflict if client exists
             return res.status(409).json({
                 success: false,
                 message: "Client already exists with the provided name, surname, ID Number, DOB, and Gender.",
-                client_id: existingClients[0].client_id // ID of the existing client
+                client_id: existingClient.client_id // ID of the existing client
             });
         }
     } catch (checkError) {
@@ -123,39 +109,29 @@ app.post('/api/v1/client/create', async (req, res) => {
 
     const clientId = generateUniqueId("CL");
 
-    // SQL Statement: Lists all columns being inserted
-    const sql = `
-        INSERT INTO clients (
-            client_id, name, surname, id_number, date_of_birth, gender, 
-            country, city, province, street, postal_code, 
-            income, tax_number
-        ) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    // Values Array: Mapped, with null applied to all optional fields
-    const values = [
-        clientId,
-        data.name,
-        data.surname,
-        data.id_number,
-        data.date_of_birth,
-        data.gender,
+    // Client record: Mapped, with null applied to all optional fields
+    const client = {
+        client_id: clientId,
+        name: data.name,
+        surname: data.surname,
+        id_number: data.id_number,
+        date_of_birth: data.date_of_birth,
+        gender: data.gender,
 
         // Address Fields
-        data.address?.country ?? null,
-        data.address?.city ?? null,
-        data.address?.province ?? null,
-        data.address?.street ?? null,
-        data.address?.postal_code ?? null,
+        country: data.address?.country ?? null,
+        city: data.address?.city ?? null,
+        province: data.address?.province ?? null,
+        street: data.address?.street ?? null,
+        postal_code: data.address?.postal_code ?? null,
 
         // Optional Fields
-        data.income ?? null,
-        data.tax_number ?? null
-    ];
+        income: data.income ?? null,
+        tax_number: data.tax_number ?? null
+    };
 
     try {
-        await dbConnection.execute(sql, values);
+        await store.clients.create(client);
         return res.status(201).json({
             success: true,
             message: "Client created",
@@ -179,7 +155,7 @@ const getTodayDate = () => {
     return new Date().toISOString().split('T')[0];
 };
 
-app.post('/api/v1/account/create', async (req, res) => {
+router.post('/account/create', async (req, res) => {
     // Destructure 'dateOpened' and rename it to 'date_opened' for consistency
     const { client_id, product_code, dateOpened: date_opened } = req.body;
     
@@ -191,12 +167,10 @@ app.post('/api/v1/account/create', async (req, res) => {
         });
     }
 
-    // Validation: Product Code (Local array lookup)
-    if (!VALID_PRODUCT_CODES.includes(product_code)) {
-        return res.status(400).json({ 
-            success: false, 
-            error: `Invalid product code: ${product_code}. Product not found in valid list.` 
-        });
+    // Validation: Product Code (product catalog lookup; the product must be Active)
+    const productLookup = await findOpenProduct(store, product_code);
+    if (!productLookup.success) {
+        return res.status(productLookup.httpStatus).json({ success: false, error: `Invalid product code: ${productLookup.error}` });
     }
 
     // Validation: Date Opened must be the current date
@@ -216,22 +190,25 @@ app.post('/api/v1/account/create', async (req, res) => {
     }
 
     // Validation: Check if Client exists
-    const [clients] = await dbConnection.query('SELECT client_id FROM clients WHERE client_id = ?', [client_id]);
-    if (clients.length === 0) {
+    const client = await store.clients.findById(client_id);
+    if (!client) {
         return res.status(404).json({ success: false, error: `Client ID ${client_id} not found.` });
     }
 
     // Action: Generate ID and INSERT
     const accountNumber = generateAccountNumber();
-    const sql = `
-        INSERT INTO accounts (account_number, client_id, product_code, date_opened, status) 
-        VALUES (?, ?, ?, ?, 'Active')
-    `;
-
     const insertionDate = today; 
 
     try {
-        await dbConnection.execute(sql, [accountNumber, client_id, product_code, insertionDate]);
+        await store.accounts.create({
+            account_number: accountNumber,
+            client_id,
+            product_code,
+            date_opened: insertionDate,
+            status: 'Active',
+            // Defaults from the product
+            daily_limit: productLookup.product.default_limit
+        });
         return res.status(201).json({
             success: true,
             message: "Account created",
@@ -245,28 +222,33 @@ app.post('/api/v1/account/create', async (req, res) => {
 });
 
 
-/** 3. Card Create - Auto-generates EXID */
-app.post('/api/v1/card/create', async (req, res) => {
+/** 3. Card Create - Auto-generates EXID. Idempotent when an Idempotency-Key header is sent. */
+router.post('/card/create', idempotent, async (req, res) => {
     // Destructuring request body
-    const { account_number, product_code, emboss_name, limit_amount } = req.body;
+    const { account_number, product_code, emboss_name, limit_amount, pan_length } = req.body;
 
     // 1. Mandatory Field Check: emboss_name
     if (!emboss_name || typeof emboss_name !== 'string' || emboss_name.trim() === '') {
         return res.status(400).json({ success: false, error: "Validation Error: 'emboss_name' is a mandatory field and cannot be empty." });
     }
 
-    // 2. Product Code Validation (Array Lookup)
-    if (!VALID_PRODUCT_CODES.includes(product_code)) {
-        return res.status(404).json({ 
-            success: false, 
-            error: `Validation Error: Product Code ${product_code} not found or is invalid. Valid codes are: ${VALID_PRODUCT_CODES.join(', ')}.` 
-        });
+    // 2. Product Code Validation (product catalog lookup; the product must be Active)
+    const productLookup = await findOpenProduct(store, product_code);
+    if (!productLookup.success) {
+        return res.status(productLookup.httpStatus).json({ success: false, error: `Validation Error: ${productLookup.error}` });
+    }
+    const { product } = productLookup;
+
+    // 3. PAN Length Check (defaults to the product's; a BIN range must exist for the product and length)
+    const panLength = pan_length ?? product.pan_length;
+    if (!Number.isInteger(panLength) || panLength < MIN_PAN_LENGTH || panLength > MAX_PAN_LENGTH) {
+        return res.status(400).json({ success: false, error: `Validation Error: 'pan_length' must be a whole number from ${MIN_PAN_LENGTH} to ${MAX_PAN_LENGTH}.` });
     }
 
-    // 3. Existing Account Check
+    // 4. Existing Account Check
     try {
-        const [accounts] = await dbConnection.query('SELECT account_number FROM accounts WHERE account_number = ?', [account_number]);
-        if (accounts.length === 0) {
+        const account = await store.accounts.findByNumber(account_number);
+        if (!account) {
             return res.status(404).json({ success: false, error: `Account Number ${account_number} not found.` });
         }
     } catch (dbError) {
@@ -278,49 +260,63 @@ app.post('/api/v1/card/create', async (req, res) => {
         });
     }
 
-    // Action: Generate Details and INSERT
-    const { fullPan, maskedPan } = generatePan(true);
+    // Action: Generate Details, allocate the PAN from the product's BIN range and INSERT
     const cardId = generateUniqueId("CARD");
-    const cvv = generateCVV();
-    const expiry = generateExpiry(4);
+    const expiry = generateExpiry(product.validity_years);
     const external_id = generateEXID(); 
 
-    const sql = `
-        INSERT INTO cards (card_id, account_number, product_code, pan, masked_pan, exid, cvv, expiry, emboss_name, status, limit_amount, pin_set) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    const values = [
-        cardId,
-        account_number,
-        product_code,
-        fullPan,
-        maskedPan,
-        external_id,
-        cvv,
-        expiry,
-        emboss_name,
-        'Inactive',
-        parseFloat(limit_amount) ?? 0.00,
-        'no'
-    ];
-
+    let tx;
     try {
-        await dbConnection.execute(sql, values);
+        tx = await store.beginTransaction();
+
+        const allocation = await allocatePan(tx, product_code, { panLength });
+        if (!allocation.success) {
+            await tx.rollback();
+            return res.status(allocation.httpStatus).json({ success: false, error: allocation.error });
+        }
+
+        const card = {
+            card_id: cardId,
+            account_number,
+            product_code,
+            pan: allocation.pan,
+            masked_pan: allocation.maskedPan,
+            exid: external_id,
+            expiry,
+            emboss_name,
+            status: 'Inactive',
+            // The product's default limit unless one is given
+            limit_amount: limit_amount !== undefined && !isNaN(parseFloat(limit_amount)) ? parseFloat(limit_amount) : product.default_limit,
+            pin_set: 'no'
+        };
+
+        // HSM: Derive the security codes for card personalisation (never stored)
+        const personalisation = { expiry, ...deriveSecurityCodes(allocation.pan, expiry) };
+
+        await tx.cards.create({ ...card, cvk_version: personalisation.cvk_version });
+        await tx.commit();
         return res.status(201).json({
             success: true,
             message: "Card created, EXID generated",
             card_id: cardId,
-            pan: maskedPan,
+            pan: allocation.maskedPan,
             external_id: external_id,
             status: 'Inactive',
+            personalisation,
         });
     } catch (dbError) {
+        if (tx) {
+            await tx.rollback();
+        }
         console.error("Card DB INSERT Error:", dbError.message);
         return res.status(500).json({
             success: false,
             message: "Internal System Error during card creation.",
         });
+    } finally {
+        if (tx) {
+            tx.release();
+        }
     }
 });
 
@@ -330,7 +326,7 @@ app.post('/api/v1/card/create', async (req, res) => {
 // ====================================================================
 
 /** 4. Card Reissue / Replacement / Renewal */
-app.post('/api/v1/card/reissue', async (req, res) => {
+router.post('/card/reissue', async (req, res) => {
     // Destructure: 'external_id' for lookup and 'reason_code' for action type
     const { external_id, reason_code } = req.body;
 
@@ -340,26 +336,32 @@ app.post('/api/v1/card/reissue', async (req, res) => {
     }
 
     // 1. Select: Retrieve the existing card record using the secure EXID
-    const [oldCards] = await dbConnection.query('SELECT * FROM cards WHERE exid = ?', [external_id]);
-    if (oldCards.length === 0) {
+    const oldCard = await store.cards.findByExid(external_id);
+    if (!oldCard) {
         return res.status(404).json({ success: false, error: `Original card not found for EXID: ${external_id}.` });
     }
-    const oldCard = oldCards[0];
+
+    // 2. The card's product sets how long a renewed or replaced card is valid
+    const product = await findProduct(store, oldCard.product_code);
+    if (!product) {
+        return res.status(409).json({ success: false, error: `Card product ${oldCard.product_code} is not in the product catalog.` });
+    }
 
     // Prepare variables for the new card record
     let newCardDetails = { ...oldCard };
     let newCardId = generateUniqueId("RPLC");
     let message = "";
     let oldCardStatus = '';
+    let oldCardBlockCode = null;
+    let allocateNewPan = false;
 
     // Logic for Renewal, Replacement, and Reissue
     switch (reason_code) {
         case 'RENEW':
-            // RENEWAL: Same PAN, New CVV, New Expiry, NEW EXID
-            oldCardStatus = 'EXPIRED';
+            // RENEWAL: Same PAN, New CVV, New Expiry, NEW EXID (the old card is superseded)
+            oldCardStatus = 'Replaced';
 
-            newCardDetails.cvv = generateCVV();
-            newCardDetails.expiry = generateExpiry(4);
+            newCardDetails.expiry = generateExpiry(product.validity_years);
             newCardDetails.pan = oldCard.pan;
             newCardDetails.masked_pan = oldCard.masked_pan;
             newCardDetails.exid = generateEXID();
@@ -369,19 +371,16 @@ app.post('/api/v1/card/reissue', async (req, res) => {
 
         case 'LOST':
         case 'STOLEN':
-            // REPLACEMENT: New PAN, New CVV, New Expiry, New EXID, Block old card
-            oldCardStatus = 'BLOCKED';
-
-            // Generate ALL new identifiers
-            const { fullPan: newPan, maskedPan: newMaskedPan } = generatePan(true);
-            const newExid = generateEXID();
-
-            // Assign new identifiers to the new card record
-            newCardDetails.pan = newPan;
-            newCardDetails.masked_pan = newMaskedPan;
-            newCardDetails.cvv = generateCVV();
-            newCardDetails.expiry = generateExpiry(4);
-            newCardDetails.exid = newExid;
+            // REPLACEMENT: New PAN, New CVV, New Expiry, New EXID
+            // The old card is blocked (L/S) and then marked Replaced, keeping the block code
+            oldCardStatus = 'Replaced';
+            oldCardBlockCode = reason_code === 'LOST' ? 'L' : 'S';
+
+            // Generate ALL new identifiers; the new PAN is allocated from the
+            // product's BIN range (same card length) inside the transaction below
+            allocateNewPan = true;
+            newCardDetails.expiry = generateExpiry(product.validity_years);
+            newCardDetails.exid = generateEXID();
 
             message = `Card replaced due to ${reason_code}. New PAN/CVV/EXID issued.`;
             break;
@@ -390,10 +389,13 @@ app.post('/api/v1/card/reissue', async (req, res) => {
         case 'CHIP_ERROR':
         case 'REPRINT':
             // REISSUE: Same PAN, Same CVV, Same Expiry, NEW EXID
-            oldCardStatus = 'REPLACED';
+            // A virtual card has no plastic to reprint
+            if (product.card_type === 'VIRTUAL') {
+                return res.status(400).json({ success: false, error: `Card product ${product.product_code} is virtual and cannot be reissued for ${reason_code}. Use RENEW, LOST or STOLEN.` });
+            }
+            oldCardStatus = 'Replaced';
 
-            // Keep all existing details
-            newCardDetails.cvv = oldCard.cvv;
+            // Keep all existing details (the same PAN and expiry derive the same CVVs)
             newCardDetails.expiry = oldCard.expiry;
             newCardDetails.pan = oldCard.pan;
             newCardDetails.masked_pan = oldCard.masked_pan;
@@ -406,46 +408,77 @@ app.post('/api/v1/card/reissue', async (req, res) => {
             return res.status(400).json({ success: false, error: "Invalid reason code. Must be RENEW, LOST, STOLEN, DAMAGED, CHIP_ERROR, or REPRINT." });
     }
 
-    // 2. Action 1: Update the status of the OLD card record
-    try {
-        await dbConnection.execute('UPDATE cards SET status = ?, updated_at = NOW() WHERE exid = ?', [oldCardStatus, external_id]);
-    } catch (dbError) {
-        console.error(`Reissue DB UPDATE Old Card Status Error (Status: ${oldCardStatus}, EXID: ${external_id}):`, dbError.message);
-        return res.status(500).json({ success: false, message: `Database error during old card status update: ${dbError.message}` });
-    }
-
-    // 3. Action 2: Insert the new card record
+    // 3. Build the new card record
     newCardDetails.card_id = newCardId;
-    newCardDetails.status = 'INACTIVE';
+    newCardDetails.status = 'Inactive';
 
     // Parse the limit amount
     const parsedLimit = parseFloat(newCardDetails.limit_amount);
 
-    // SQL Statement for inserting the new card
-    const insertSql = `
-        INSERT INTO cards (card_id, account_number, product_code, pan, masked_pan, exid, cvv, expiry, emboss_name, status, limit_amount, pin_set)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-    const insertValues = [
-        newCardId,
-        newCardDetails.account_number,
-        newCardDetails.product_code,
-        newCardDetails.pan,
-        newCardDetails.masked_pan,
-        newCardDetails.exid,
-        newCardDetails.cvv,
-        newCardDetails.expiry,
-        newCardDetails.emboss_name,
-        newCardDetails.status,
+    // New card record
+    const newCard = {
+        card_id: newCardId,
+        account_number: newCardDetails.account_number,
+        product_code: newCardDetails.product_code,
+        pan: newCardDetails.pan,
+        masked_pan: newCardDetails.masked_pan,
+        exid: newCardDetails.exid,
+        expiry: newCardDetails.expiry,
+        emboss_name: newCardDetails.emboss_name,
+        status: newCardDetails.status,
         // Ensure limit_amount is a valid number
-        isNaN(parsedLimit) ? 0.00 : parsedLimit,
-        newCardDetails.pin_set
-    ];
+        limit_amount: isNaN(parsedLimit) ? 0.00 : parsedLimit,
+        pin_set: newCardDetails.pin_set
+    };
 
+    // 4. Action: Move the OLD card through the lifecycle and insert the new card, atomically
+    const context = getCallerContext(req, `Card reissue: ${reason_code}`);
+    let tx;
     try {
-        await dbConnection.execute(insertSql, insertValues);
+        tx = await store.beginTransaction();
+
+        let lockedOldCard = await tx.cards.findByExid(external_id, { forUpdate: true });
+        if (oldCardBlockCode && !(lockedOldCard.status === 'Blocked' && lockedOldCard.block_code === oldCardBlockCode)) {
+            const blocked = await transitionCard(tx, lockedOldCard, 'Blocked', { blockCode: oldCardBlockCode, context });
+            if (!blocked.success) {
+                await tx.rollback();
+                return res.status(blocked.httpStatus).json({ success: false, error: `Card cannot be reissued: ${blocked.error}` });
+            }
+            lockedOldCard = { ...lockedOldCard, status: 'Blocked', block_code: oldCardBlockCode };
+        }
 
-        // 4. Success Response
+        const result = await transitionCard(tx, lockedOldCard, oldCardStatus, { context });
+        if (!result.success) {
+            await tx.rollback();
+            return res.status(result.httpStatus).json({ success: false, error: `Card cannot be reissued: ${result.error}` });
+        }
+
+        if (allocateNewPan) {
+            const allocation = await allocatePan(tx, oldCard.product_code, { panLength: oldCard.pan.length });
+            if (!allocation.success) {
+                await tx.rollback();
+                return res.status(allocation.httpStatus).json({ success: false, error: `Card cannot be reissued: ${allocation.error}` });
+            }
+            newCardDetails.pan = newCard.pan = allocation.pan;
+            newCardDetails.masked_pan = newCard.masked_pan = allocation.maskedPan;
+        }
+
+        const personalisation = { expiry: newCardDetails.expiry, ...deriveSecurityCodes(newCardDetails.pan, newCardDetails.expiry) };
+        await tx.cards.create({ ...newCard, cvk_version: personalisation.cvk_version });
+
+        // A lost or stolen card is replaced for a fee, collected by the next billing run
+        let replacementFee = null;
+        if (allocateNewPan) {
+            replacementFee = await raiseEventFee(tx, {
+                accountNumber: oldCard.account_number,
+                productCode: oldCard.product_code,
+                triggerEvent: FEE_EVENTS.CARD_REPLACEMENT,
+                eventReference: newCardDetails.exid
+            });
+        }
+        await tx.commit();
+
+        // 5. Success Response
         res.status(200).json({
             success: true,
             message: message,
@@ -454,16 +487,25 @@ app.post('/api/v1/card/reissue', async (req, res) => {
             new_card_id: newCardId,
             new_pan: newCardDetails.masked_pan,
             new_expiry: newCardDetails.expiry,
-            new_exid: newCardDetails.exid
+            new_exid: newCardDetails.exid,
+            replacement_fee: replacementFee,
+            personalisation
         });
     } catch (dbError) {
-        console.error("Reissue DB INSERT Error (Full Message):", dbError);
-        return res.status(500).json({ success: false, message: `Database error during new card insertion: ${dbError.message}` });
+        if (tx) {
+            await tx.rollback();
+        }
+        console.error(`Reissue DB Error (Old Card Status: ${oldCardStatus}, EXID: ${external_id}):`, dbError.message);
+        return res.status(500).json({ success: false, message: `Database error during card reissue: ${dbError.message}` });
+    } finally {
+        if (tx) {
+            tx.release();
+        }
     }
 });
 
 /** 5. Card Activation */
-app.post('/api/v1/card/activate', async (req, res) => {
+router.post('/card/activate', async (req, res) => {
 
     // Using exId for lookup
     const { exId, cvv, expiry } = req.body;
@@ -474,32 +516,41 @@ app.post('/api/v1/card/activate', async (req, res) => {
     }
 
     // 1. Select: Retrieve the existing card record using the EXID
-    const [cards] = await dbConnection.query('SELECT * FROM cards WHERE exid = ?', [exId]);
-    if (cards.length === 0) {
+    const card = await store.cards.findByExid(exId);
+    if (!card) {
         return res.status(404).json({ success: false, error: `Card not found for EXID: ${exId}.` });
     }
-    const card = cards[0];
 
     // 2. Logic Checks
-    // Validation Check: CVV and Expiry must match
-    if (card.cvv !== cvv || card.expiry !== expiry) {
+    // Validation Check: Expiry must match and the CVV2 must verify through the HSM
+    if (card.expiry !== expiry || !verifySecurityCode(card, cvv, 'CVV2')) {
         return res.status(403).json({ success: false, error: "Validation failed: CVV or Expiry mismatch." });
     }
 
+    // Expiry Check: the card is valid until the end of its expiry month
+    if (isCardExpired(card.expiry)) {
+        return res.status(403).json({ success: false, error: `Card expired at the end of ${card.expiry} and cannot be activated.` });
+    }
+
     // Status Check: Only 'Inactive' cards can be activated
     if (card.status !== 'Inactive') {
         return res.status(400).json({ success: false, error: `Card status is ${card.status}. Only Inactive cards can be activated.` });
     }
 
-    // Action: Update status in DB
+    // Action: Update status in DB through the card lifecycle (audited in card_events)
     const newStatus = 'Active';
 
+    let tx;
     try {
-        await dbConnection.execute(
-            // Update the status using the exId
-            'UPDATE cards SET status = ?, updated_at = NOW() WHERE exid = ?',
-            [newStatus, exId]
-        );
+        tx = await store.beginTransaction();
+
+        const result = await transitionCard(tx, card, newStatus, { activation: true, context: getCallerContext(req, 'Card activated') });
+        if (!result.success) {
+            await tx.rollback();
+            return res.status(result.httpStatus).json({ success: false, error: result.error });
+        }
+
+        await tx.commit();
 
         // 3. Success Response
         res.status(200).json({
@@ -511,13 +562,20 @@ app.post('/api/v1/card/activate', async (req, res) => {
         });
 
     } catch (dbError) {
+        if (tx) {
+            await tx.rollback();
+        }
         console.error("Activation DB UPDATE Error:", dbError.message);
         return res.status(500).json({ success: false, message: `Database error during activation: ${dbError.message}` });
+    } finally {
+        if (tx) {
+            tx.release();
+        }
     }
 });
 
 /** 6. Card Status Change */
-app.put('/api/v1/card/status', async (req, res) => {
+router.put('/card/status', async (req, res) => {
 
     // 1. Destructure: Expect 'external_id' (EXID) and 'block_code'
     const { external_id, block_code } = req.body;
@@ -530,90 +588,88 @@ app.put('/api/v1/card/status', async (req, res) => {
     // Convert block_code to uppercase for consistent processing
     const PROCESSED_BLOCK_CODE = (block_code === '_') ? '_' : block_code.toUpperCase();
 
-    // 2. Select: Check if card exists and retrieve details for the response
-    const [cards] = await dbConnection.query('SELECT card_id, masked_pan, status, block_code FROM cards WHERE exid = ?', [external_id]);
-    if (cards.length === 0) {
-        return res.status(404).json({ success: false, error: `Card not found for EXID: ${external_id}.` });
-    }
-    const card = cards[0];
-    const { card_id, masked_pan, block_code: currentBlockCode } = card;
-
-    // 3. Logic: Determine new status based on the simplified macro block_code
-    let newStatus;
-    let customMessage = null; // Variable to hold the specific removal message
-
-    /* * Mapping Macro Block Codes (T, B, C, L, S, F, D, M) 
-     * to MySQL ENUM Statuses ('Active','Inactive','Blocked','Expired')
-     */
-    switch (PROCESSED_BLOCK_CODE) {
-        case 'T': // Temporary Block
-        case 'M': // Chip Malfunction
-            newStatus = 'Blocked'; 
-            break;
-
-        case 'B': // Permanent Block - General Permanent block
-        case 'L': // Lost Card - Permanent Block
-        case 'S': // Stolen Card - Permanent Block
-        case 'F': // Fraud Block
-        case 'D': // Damaged Card
-            newStatus = 'Blocked';
-            break;
-
-        case 'C': // Closed/Cancelled by Customer
-            newStatus = 'Inactive';
-            break;
+    let tx;
+    try {
+        tx = await store.beginTransaction();
 
-        case 'ACTIVE': // Explicit code to unblock/activate the card
-            newStatus = 'Active'; 
-            break;
-            
-        case '_': // Special code for temporary block removal
-            if (currentBlockCode === 'T' || currentBlockCode === 'M') {
-                // ONLY allow removal if the current block is 'T' or 'M' (reversible temporary blocks)
+        // 2. Select: Check if card exists and retrieve details for the response
+        const card = await tx.cards.findByExid(external_id, { forUpdate: true });
+        if (!card) {
+            await tx.rollback();
+            return res.status(404).json({ success: false, error: `Card not found for EXID: ${external_id}.` });
+        }
+        const { card_id, masked_pan, block_code: currentBlockCode } = card;
+
+        // 3. Logic: Determine the target status from the macro block_code.
+        // Which moves are allowed is decided by the card lifecycle (cardLifecycle.js).
+        let newStatus;
+        let newBlockCode = null;
+        let customMessage = null; // Variable to hold the specific removal message
+
+        switch (PROCESSED_BLOCK_CODE) {
+            case 'T': // Temporary Block
+            case 'M': // Chip Malfunction
+            case 'B': // Permanent Block - General Permanent block
+            case 'L': // Lost Card - Permanent Block
+            case 'S': // Stolen Card - Permanent Block
+            case 'F': // Fraud Block
+            case 'D': // Damaged Card
+            case 'C': // Closed/Cancelled by Customer
+                newStatus = BLOCK_CODES[PROCESSED_BLOCK_CODE].status;
+                newBlockCode = PROCESSED_BLOCK_CODE;
+                break;
+
+            case 'ACTIVE': // Explicit code to unblock the card (reversible blocks only)
                 newStatus = 'Active';
-                
-                // Set custom message for specific removal
-                if (currentBlockCode === 'T') {
-                    customMessage = "Temporary Block (T) successfully removed.";
-                } else if (currentBlockCode === 'M') {
-                    customMessage = "Malfunction Block (M) successfully removed.";
+                break;
+
+            case '_': // Special code for temporary block removal
+                if (card.status !== 'Blocked' || (currentBlockCode !== 'T' && currentBlockCode !== 'M')) {
+                    // Reject removal if the current block is permanent or the card is not blocked
+                    await tx.rollback();
+                    return res.status(403).json({
+                        success: false,
+                        error: `Removal code '_' is only applicable for Temporary Blocks (T) or Malfunction Blocks (M). Current block: ${currentBlockCode}.`
+                    });
                 }
-            } else {
-                // Reject removal if the current block is permanent or inactive
-                return res.status(403).json({
+                newStatus = 'Active';
+                customMessage = currentBlockCode === 'T'
+                    ? "Temporary Block (T) successfully removed."
+                    : "Malfunction Block (M) successfully removed.";
+                break;
+
+            default:
+                // If the code is not one of the recognized macro codes, return an error
+                await tx.rollback();
+                return res.status(400).json({
                     success: false,
-                    error: `Removal code '_' is only applicable for Temporary Blocks (T) or Malfunction Blocks (M). Current block: ${currentBlockCode}.`
+                    error: `Invalid block code or block code not recognized: ${block_code}. Recognized codes: T, B, C, L, S, F, D, M, ACTIVE, _ (for T/M removal).`
                 });
-            }
-            break;
+        }
 
-        default:
-            // If the code is not one of the recognized macro codes, return an error
-            return res.status(400).json({
-                success: false,
-                error: `Invalid block code or block code not recognized: ${block_code}. Recognized codes: T, B, C, L, S, F, D, M, ACTIVE, _ (for T/M removal).`
-            });
-    }
-    
-    // 4. Action: Update status and block_code in DB
-    try {
-        // Determine the block_code to store in the DB
-        let dbBlockCode;
-        if (newStatus === 'Active') {
-            // If the card is moving to Active, clear the block_code
-            dbBlockCode = '';
-        } else {
-            // Otherwise, store the new block code
-            dbBlockCode = PROCESSED_BLOCK_CODE;
+        // Expiry Check: a card past its expiry month cannot be unblocked
+        if (newStatus === 'Active' && isCardExpired(card.expiry)) {
+            await tx.rollback();
+            return res.status(403).json({ success: false, error: `Card expired at the end of ${card.expiry} and cannot be reactivated.` });
         }
 
-        await dbConnection.execute(
-            'UPDATE cards SET status = ?, block_code = ?, updated_at = NOW() WHERE exid = ?',
-            [newStatus, dbBlockCode, external_id]
-        );
+        // 4. Action: Apply the transition (rejected moves return a 4xx)
+        const defaultReason = newBlockCode ? BLOCK_CODES[newBlockCode].description : 'Block removed';
+        const result = await transitionCard(tx, card, newStatus, {
+            blockCode: newBlockCode,
+            context: getCallerContext(req, defaultReason)
+        });
+        if (!result.success) {
+            await tx.rollback();
+            return res.status(result.httpStatus).json({ success: false, error: result.error });
+        }
+
+        await tx.commit();
 
         // 5. Success Response
-        const finalMessage = customMessage || `Card status successfully updated to ${newStatus} with code ${dbBlockCode}.`;
+        const finalMessage = customMessage || (result.block_code
+            ? `Card status successfully updated to ${newStatus} with code ${result.block_code}.`
+            : `Card status successfully updated to ${newStatus}.`);
 
         res.status(200).json({
             success: true,
@@ -621,13 +677,21 @@ app.put('/api/v1/card/status', async (req, res) => {
             external_id: external_id,
             card_id: card_id,
             masked_pan: masked_pan,
+            previous_status: result.from,
             new_status: newStatus,
-            block_code: dbBlockCode
+            block_code: result.block_code
         });
 
     } catch (dbError) {
+        if (tx) {
+            await tx.rollback();
+        }
         console.error("Status Change DB UPDATE Error:", dbError.message);
         return res.status(500).json({ success: false, message: `Database error during status change: ${dbError.message}` });
+    } finally {
+        if (tx) {
+            tx.release();
+        }
     }
 });
 
@@ -637,21 +701,19 @@ app.put('/api/v1/card/status', async (req, res) => {
 
 /** 7. Get card details */
 // Route uses the external identifier (exid)
-app.get('/api/v1/card/:exid', async (req, res) => {
+router.get('/card/:exid', async (req, res) => {
 
     const { exid } = req.params;
 
-    // 1. Select: Retrieve non-sensitive card details
-    const sql = 'SELECT card_id, exid, account_number, masked_pan, expiry, status, limit_amount, pin_set, block_code, updated_at FROM cards WHERE exid = ?';
-
     try {
-        const [rows] = await dbConnection.query(sql, [exid]);
+        const card = await store.cards.findByExid(exid);
 
-        if (rows.length === 0) {
+        if (!card) {
             return res.status(404).json({ success: false, error: `Card not found for EXID: ${exid}.` });
         }
 
-        const cardDetails = rows[0];
+        // 1. Select: Retrieve non-sensitive card details
+        const cardDetails = pickFields(card, CARD_DETAIL_FIELDS);
 
         // 2. Conditional Response Logic
         // If the status is not 'Blocked', remove the block_code field
@@ -669,15 +731,14 @@ app.get('/api/v1/card/:exid', async (req, res) => {
 });
 
 /** 8. Get client details */
-app.get('/api/v1/client/:client_id', async (req, res) => {
+router.get('/client/:client_id', async (req, res) => {
     // Select all client details
-    const sql = 'SELECT * FROM clients WHERE client_id = ?';
     try {
-        const [rows] = await dbConnection.query(sql, [req.params.client_id]);
-        if (rows.length === 0) {
+        const client = await store.clients.findById(req.params.client_id);
+        if (!client) {
             return res.status(404).json({ success: false, error: "Client not found." });
         }
-        res.status(200).json(rows[0]);
+        res.status(200).json(client);
     } catch (dbError) {
         console.error("Client GET Error:", dbError.message);
         res.status(500).json({ success: false, message: "Database error during retrieval." });
@@ -685,15 +746,14 @@ app.get('/api/v1/client/:client_id', async (req, res) => {
 });
 
 /** 9. Get account details */
-app.get('/api/v1/account/:account_number', async (req, res) => {
+router.get('/account/:account_number', async (req, res) => {
     // Select all account details
-    const sql = 'SELECT * FROM accounts WHERE account_number = ?';
     try {
-        const [rows] = await dbConnection.query(sql, [req.params.account_number]);
-        if (rows.length === 0) {
+        const account = await store.accounts.findByNumber(req.params.account_number);
+        if (!account) {
             return res.status(404).json({ success: false, error: "Account not found." });
         }
-        res.status(200).json(rows[0]);
+        res.status(200).json(account);
     } catch (dbError) {
         console.error("Account GET Error:", dbError.message);
         res.status(500).json({ success: false, message: "Database error during retrieval." });
@@ -701,22 +761,20 @@ app.get('/api/v1/account/:account_number', async (req, res) => {
 });
 
 /** 10. Card Status Check (Lightweight) */
-app.get('/api/v1/card/check-status/:exid', async (req, res) => {
+router.get('/card/check-status/:exid', async (req, res) => {
 
     const { exid } = req.params;
 
-    // 1. Select: Retrieve ONLY the status and block_code for a quick check.
-    const sql = 'SELECT status, block_code FROM cards WHERE exid = ?';
-
     try {
-        const [rows] = await dbConnection.query(sql, [exid]);
+        const card = await store.cards.findByExid(exid);
 
-        if (rows.length === 0) {
+        if (!card) {
             // Card not found for the given EXID
             return res.status(404).json({ success: false, error: `Card not found for EXID: ${exid}.` });
         }
 
-        const cardStatusInfo = rows[0];
+        // 1. Select: Retrieve ONLY the status and block_code for a quick check.
+        const cardStatusInfo = pickFields(card, ['status', 'block_code']);
 
         // 2. Conditional Response Logic
         // If the card is not explicitly 'Blocked', remove the block_code field from the response.
@@ -739,8 +797,259 @@ app.get('/api/v1/card/check-status/:exid', async (req, res) => {
 });
 
 
-// --- START SERVER ---
-app.listen(port, () => {
-    console.log(`\nMock CMS API running and listening at http://localhost:${port}`);
-    console.log('Server is integrated with MySQL. Data persistence is active.');
-});
\ No newline at end of file
+/** 11 & 12. Transaction History */
+// Helper: Parses the shared date filter and pagination query parameters.
+// 'from'/'to' accept YYYY-MM-DD (whole day) or a full ISO timestamp.
+const HISTORY_DEFAULT_PAGE_SIZE = 20;
+const HISTORY_MAX_PAGE_SIZE = 100;
+
+const parseHistoryQuery = (query) => {
+    const parseDate = (value, endOfDay) => {
+        if (!value) return null;
+        const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const date = new Date(isDateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+        return isNaN(date.getTime()) ? undefined : date;
+    };
+
+    const from = parseDate(query.from, false);
+    const to = parseDate(query.to, true);
+    if (from === undefined || to === undefined) {
+        return { error: "Invalid date filter. Use YYYY-MM-DD or an ISO 8601 timestamp for 'from' and 'to'." };
+    }
+    if (from && to && from > to) {
+        return { error: "'from' must not be later than 'to'." };
+    }
+
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.page_size === undefined ? HISTORY_DEFAULT_PAGE_SIZE : Number(query.page_size);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > HISTORY_MAX_PAGE_SIZE) {
+        return { error: `Invalid pagination. 'page' must be >= 1 and 'page_size' between 1 and ${HISTORY_MAX_PAGE_SIZE}.` };
+    }
+
+    return { from, to, page, pageSize };
+};
+
+// Helper: Runs the journal query and shapes the paginated response body.
+const getTransactionHistory = async (filter, { from, to, page, pageSize }) => {
+    const { rows, total } = await store.transactions.list({
+        ...filter,
+        from,
+        to,
+        limit: pageSize,
+        offset: (page - 1) * pageSize
+    });
+
+    return {
+        success: true,
+        ...filter,
+        page,
+        page_size: pageSize,
+        total,
+        total_pages: Math.ceil(total / pageSize),
+        transactions: rows
+    };
+};
+
+/** 11. Card transaction history */
+router.get('/card/:exid/transactions', async (req, res) => {
+
+    const { exid } = req.params;
+
+    const query = parseHistoryQuery(req.query);
+    if (query.error) {
+        return res.status(400).json({ success: false, error: query.error });
+    }
+
+    try {
+        const card = await store.cards.findByExid(exid);
+        if (!card) {
+            return res.status(404).json({ success: false, error: `Card not found for EXID: ${exid}.` });
+        }
+
+        res.status(200).json(await getTransactionHistory({ exid }, query));
+
+    } catch (dbError) {
+        console.error("Card Transactions GET Error:", dbError.message);
+        res.status(500).json({ success: false, message: "Database error during transaction history retrieval." });
+    }
+});
+
+/** 12. Account transaction history */
+router.get('/account/:account_number/transactions', async (req, res) => {
+
+    const { account_number } = req.params;
+
+    const query = parseHistoryQuery(req.query);
+    if (query.error) {
+        return res.status(400).json({ success: false, error: query.error });
+    }
+
+    try {
+        const account = await store.accounts.findByNumber(account_number);
+        if (!account) {
+            return res.status(404).json({ success: false, error: "Account not found." });
+        }
+
+        res.status(200).json(await getTransactionHistory({ account_number }, query));
+
+    } catch (dbError) {
+        console.error("Account Transactions GET Error:", dbError.message);
+        res.status(500).json({ success: false, message: "Database error during transaction history retrieval." });
+    }
+});
+
+/** 13. Card change history (audit trail) */
+// Status, block code, limit, emboss name and PIN events from card_events, newest first.
+// Accepts the same from/to/page/page_size query parameters as the transaction history.
+router.get('/card/:exid/history', async (req, res) => {
+
+    const { exid } = req.params;
+
+    const query = parseHistoryQuery(req.query);
+    if (query.error) {
+        return res.status(400).json({ success: false, error: query.error });
+    }
+
+    try {
+        const card = await store.cards.findByExid(exid);
+        if (!card) {
+            return res.status(404).json({ success: false, error: `Card not found for EXID: ${exid}.` });
+        }
+
+        const { from, to, page, pageSize } = query;
+        const { rows, total } = await store.cardEvents.listByExid({
+            exid,
+            from,
+            to,
+            limit: pageSize,
+            offset: (page - 1) * pageSize
+        });
+
+        res.status(200).json({
+            success: true,
+            exid,
+            current_status: card.status,
+            page,
+            page_size: pageSize,
+            total,
+            total_pages: Math.ceil(total / pageSize),
+            events: rows
+        });
+
+    } catch (dbError) {
+        console.error("Card History GET Error:", dbError.message);
+        res.status(500).json({ success: false, message: "Database error during card history retrieval." });
+    }
+});
+
+// ====================================================================
+// --- 4. VERIFICATION ENDPOINTS ---
+// ====================================================================
+
+/** 14. Card security code verification (CVV1, CVV2 or iCVV, recomputed by the HSM) */
+router.post('/card/cvv/verify', async (req, res) => {
+
+    const { external_id, cvv, expiry, type = 'CVV2' } = req.body;
+
+    if (!external_id || !cvv) {
+        return res.status(400).json({ success: false, error: "Missing mandatory fields: external_id or cvv." });
+    }
+    if (!SECURITY_CODE_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, error: `Invalid type '${type}'. Must be ${SECURITY_CODE_TYPES.join(', ')}.` });
+    }
+
+    try {
+        const card = await store.cards.findByExid(external_id);
+        if (!card) {
+            return res.status(404).json({ success: false, error: `Card not found for EXID: ${external_id}.` });
+        }
+
+        // When the caller presents an expiry it has to match the card's as well
+        const verified = (!expiry || expiry === card.expiry) && verifySecurityCode(card, cvv, type);
+        if (!verified) {
+            return res.status(403).json({ success: false, error: `${type} verification failed.` });
+        }
+
+        res.status(200).json({ success: true, message: `${type} verified.`, external_id, type });
+
+    } catch (e) {
+        console.error("CVV_VERIFY_ERROR:", e.message);
+        res.status(500).json({ success: false, message: "Secure processing error during CVV verification." });
+    }
+});
+
+// ====================================================================
+// --- 5. ADMIN ENDPOINTS (BIN RANGES) ---
+// ====================================================================
+const adminRouter = express.Router();
+adminRouter.use(authenticateAdmin);
+
+/** 15. List BIN ranges with their usage (GET /admin/bin-ranges) */
+adminRouter.get('/', async (req, res) => {
+    try {
+        res.status(200).json({ success: true, ranges: await listRanges() });
+    } catch (e) {
+        console.error("BIN_RANGE_LIST_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/** 16. Add a BIN range (POST /admin/bin-ranges) */
+adminRouter.post('/', async (req, res) => {
+    const { product_code, bin, pan_length, account_start, account_end, low_threshold } = req.body ?? {};
+
+    try {
+        if (!(await findProduct(store, product_code))) {
+            return res.status(400).json({ success: false, error: `Invalid product code: ${product_code}. Product not found in the product catalog.` });
+        }
+
+        const result = await createRange({ product_code, bin, pan_length, account_start, account_end, low_threshold });
+        if (!result.success) {
+            return res.status(result.httpStatus).json({ success: false, error: result.error });
+        }
+        res.status(201).json({ success: true, range: result.range });
+    } catch (e) {
+        console.error("BIN_RANGE_CREATE_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/** 17. Change a BIN range's status or low threshold (PUT /admin/bin-ranges/:range_id) */
+adminRouter.put('/:range_id', async (req, res) => {
+    const rangeId = Number(req.params.range_id);
+    if (!Number.isInteger(rangeId)) {
+        return res.status(400).json({ success: false, error: "Invalid range_id." });
+    }
+
+    try {
+        const { status, low_threshold } = req.body ?? {};
+        const result = await updateRange(rangeId, { status, low_threshold });
+        if (!result.success) {
+            return res.status(result.httpStatus).json({ success: false, error: result.error });
+        }
+        res.status(200).json({ success: true, range: result.range });
+    } catch (e) {
+        console.error("BIN_RANGE_UPDATE_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+router.use('/admin/bin-ranges', adminRouter);
+
+module.exports = { router };
+
+// --- START SERVER (standalone mode) ---
+if (require.main === module) {
+    // The HSM key versions must be loaded before any card is issued or verified
+    loadKeys()
+        .then(() => {
+            createApp(router).listen(port, () => {
+                console.log(`\nMock CMS API running and listening at http://localhost:${port}`);
+                console.log('Server is integrated with MySQL. Data persistence is active.');
+            });
+        })
+        .catch((e) => {
+            console.error("KEY_STORE_LOAD_ERROR:", e.message);
+            process.exit(1);
+        });
+}
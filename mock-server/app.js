@@ -0,0 +1,22 @@
+// app.js
+// Builds an Express app with the middleware every mock module expects.
+
+const express = require('express');
+const cors = require('cors');
+
+/**
+ * Creates an Express app and mounts the given module routers under /api/v1.
+ * @param {...object} routers - Express routers exported by the mock modules.
+ * @returns {object} The configured Express app.
+ */
+const createApp = (...routers) => {
+    const app = express();
+    app.use(express.json());
+    app.use(cors());
+
+    routers.forEach((router) => app.use('/api/v1', router));
+
+    return app;
+};
+
+module.exports = { createApp };
@@ -1,16 +1,34 @@
+const crypto = require('crypto');
 const express = require('express');
-const cors = require('cors');
-const mysql = require('mysql2/promise');
-const app = express();
+const { createApp } = require('./app');
+const { getStore } = require('./store');
+const { idempotent } = require('./idempotency');
+const { isCardExpired } = require('./cardExpiry');
+const { verifySecurityCode } = require('./cardSecurity');
+const { getCallerContext } = require('./cardEvents');
+const { validatePinBlockInput, verifyPinWithTryCounter } = require('./pinManagement');
+const hsm = require('./hsmSimulator');
+const { loadKeys } = require('./keyStore');
+const { findProduct, isChannelAllowed, overdraftLimit, fxMarkupPercent, pocketCurrencies } = require('./productCatalog');
+const { quoteFee } = require('./feeEngine');
+const { appliedRate, applyRate, convertAmount, describeConversion } = require('./fxRates');
 const PORT = 3001;
 
 // --- Configuration ---
 const BEARER_TOKEN = 'sk_test_xxxxx'; // MUST BE SET FOR TESTING!
 const BASE_CURRENCY = 'ZAR'; // The account base currency is ZAR
+const PREAUTH_HOLD_DAYS = parseInt(process.env.PREAUTH_HOLD_DAYS, 10) || 7; // Uncompleted holds expire after this
+const PREAUTH_COMPLETION_TOLERANCE = parseFloat(process.env.PREAUTH_COMPLETION_TOLERANCE) || 0.20; // Completion may exceed the hold by 20%
 
-// --- Middleware ---
-app.use(express.json());
-app.use(cors());
+// --- EMV ---
+// ISO 4217 numeric codes for the CDOL1 transaction currency (5F2A)
+const CURRENCY_NUMERIC_CODES = { ZAR: '0710', USD: '0840', EUR: '0978', GBP: '0826' };
+// Authorisation Response Codes returned in the ARPC ("00" approve, "05" decline)
+const ARC_APPROVED = '3030';
+const ARC_DECLINED = '3035';
+// Card Status Updates for ARPC method 2 (byte 2 bit 8: issuer approves the transaction)
+const CSU_APPROVED = '00800000';
+const CSU_DECLINED = '00000000';
 
 /**
  * Bearer Token Authentication Middleware
@@ -31,136 +49,113 @@ const authenticateBearer = (req, res, next) => {
     next();
 };
 
-// --- DB Connection Setup ---
-let dbConnection;
-
-// --- FEE SCHEDULE ---
-const FEE_SCHEDULE = {
-    'ATM_WITHDRAWAL': {
-        code: 'ATM_WDL_FEE',
-        rate: 0.015, min: 5.00, max: 50.00,
-        type: 'PERCENTAGE_MIN_MAX'
-    },
-    'BILL_PAYMENT': {
-        code: 'BILL_PAY_FEE',
-        rate: 2.50,
-        type: 'FIXED'
-    },
-    'POS_INTERNATIONAL': {
-        code: 'EXCHANGE_CTRL_FEE',
-        rate: 0.010, min: 10.00,
-        type: 'PERCENTAGE_MIN'
-    },
-    'ECOMMERCE_INTERNATIONAL': {
-        code: 'EXCHANGE_CTRL_FEE',
-        rate: 0.010, min: 10.00,
-        type: 'PERCENTAGE_MIN'
-    },
-    'VOUCHER_PAYMENT': {
-        code: 'VOUCH_PAY_FEE',
-        rate: 1.00, // Fixed fee example
-        type: 'FIXED'
-    },
-    'LOTTO_PAYMENT': {
-        code: 'LOTTO_PAY_FEE',
-        rate: 2.50, // Fixed fee example
-        type: 'FIXED'
-    }
-};
+// --- Data Store (shared with the other modules) ---
+const store = getStore();
 
 // ------------------------------------------------------------------------
-// --- FEE CALCULATION LOGIC ---
+// --- DB Helper Functions ---
 
 /**
- * Calculates transaction fees based on the FEE_SCHEDULE configuration.
- * @param {string} type - The transaction type key.
- * @param {number} amount - The transaction amount in base currency (ZAR).
- * @returns {number} The calculated fee, rounded to two decimal places.
+ * Converts a foreign currency amount to the base currency at the current
+ * rate in fx_rates, adding the card product's cross-border markup.
+ * @param {object} db - The store or open transaction to read from.
+ * @param {number} amount - Amount in the transaction currency.
+ * @param {string} currencyCode - The transaction currency.
+ * @param {object|null} cardProduct - The card's product (sets the markup).
+ * @returns {object|null} The conversion (see fxRates.applyRate), or null if there is no rate.
  */
-const calculateAndApplyFee = (type, amount) => {
-    const feeConfig = FEE_SCHEDULE[type];
-    if (!feeConfig) return 0.00;
-
-    let calculatedFee = 0.00;
-    switch (feeConfig.type) {
-        case 'FIXED':
-            calculatedFee = feeConfig.rate;
-            break;
-        case 'PERCENTAGE_MIN_MAX':
-            calculatedFee = amount * feeConfig.rate;
-            if (calculatedFee < feeConfig.min) calculatedFee = feeConfig.min;
-            if (calculatedFee > feeConfig.max) calculatedFee = feeConfig.max;
-            break;
-        case 'PERCENTAGE_MIN':
-            calculatedFee = amount * feeConfig.rate;
-            if (calculatedFee < feeConfig.min) calculatedFee = feeConfig.min;
-            break;
-    }
-    return parseFloat(calculatedFee.toFixed(2));
-};
-
-// ------------------------------------------------------------------------
-// --- DB Helper Functions ---
+const toBaseCurrency = (db, amount, currencyCode, cardProduct) =>
+    convertAmount(db, amount, currencyCode, BASE_CURRENCY, { markupPercent: fxMarkupPercent(cardProduct) });
 
 /**
- * Gets a hardcoded foreign exchange rate.
- * @param {string} fromCurrency - Source currency code.
- * @param {string} toCurrency - Target currency code.
- * @returns {number|null} The exchange rate, or null if not found.
+ * Finds the currency pocket that pays a foreign currency amount: the
+ * account's pocket in that currency, if its available balance covers the
+ * whole amount. Otherwise the amount is converted and paid from the base
+ * pocket (the accounts balance); amounts are never split across pockets.
+ * @param {object} db - The store, or the open transaction (which locks the pocket row).
+ * @param {string} accountNumber
+ * @param {string} currencyCode - The transaction currency.
+ * @param {number} amount - Amount in the transaction currency.
+ * @returns {object|null} The account_pockets row, or null for the base pocket.
  */
-const getExchangeRate = async (fromCurrency, toCurrency) => {
-    if (fromCurrency === toCurrency) return 1.0;
-    if (fromCurrency === 'USD' && toCurrency === BASE_CURRENCY) return 18.50;
-    if (fromCurrency === 'EUR' && toCurrency === BASE_CURRENCY) return 20.00;
-    return null;
+const findFundingPocket = async (db, accountNumber, currencyCode, amount) => {
+    if (currencyCode === BASE_CURRENCY) return null;
+    const pocket = await db.accountPockets.find(accountNumber, currencyCode, { forUpdate: true });
+    if (!pocket || toCents(pocket.balance) - toCents(pocket.held_amount) < toCents(amount)) return null;
+    return pocket;
 };
 
 /**
- * Checks if a card is expired (placeholder).
- * @param {string} expiryDate - Card expiry date (MM/YY).
- * @returns {boolean}
+ * An account's balances by currency: the base pocket first, then the
+ * currency pockets.
+ * @param {object} db - The store or open transaction to read from.
+ * @param {object} account - The accounts row.
+ * @returns {Array<object>}
  */
-const isCardExpired = (expiryDate) => {
-    // This function should contain actual date logic
-    return false; 
+const listPockets = async (db, account) => {
+    const pockets = [{ currency_code: BASE_CURRENCY, balance: account.balance, held_amount: account.held_amount }]
+        .concat(await db.accountPockets.findByAccountNumber(account.account_number));
+    return pockets.map((pocket) => ({
+        currency_code: pocket.currency_code,
+        balance: parseFloat(pocket.balance).toFixed(2),
+        available_balance: (parseFloat(pocket.balance) - parseFloat(pocket.held_amount)).toFixed(2)
+    }));
 };
 
+/**
+ * The journal columns recording the rate and markup of a conversion.
+ * @param {object} conversion
+ * @returns {object}
+ */
+const fxJournalFields = (conversion) => ({
+    fx_rate: conversion.rate,
+    fx_rate_id: conversion.rate_id,
+    fx_markup_percent: conversion.markup_percent,
+    fx_markup_amount: conversion.markup_amount
+});
+
 /**
  * Fetches required authorization data from the database.
+ * @param {object} db - The store or open transaction to read from.
  * @param {string} externalId - The card's external identifier (EXID).
  * @returns {object|null} Account and card details, or null if not found.
  */
-const getAuthData = async (externalId) => {
+const getAuthData = async (db, externalId) => {
     if (!externalId) return null;
 
-    if (!dbConnection) {
-        console.error("DB_ACCESS_ERROR: Database connection is not established.");
-        throw new Error('Database system offline.'); 
-    }
-
     try {
-        const query = `
-            SELECT 
-                a.account_number, 
-                a.balance, a.status AS account_status, a.daily_spent, a.daily_limit, a.international_enabled, 
-                c.status AS card_status, c.expiry, c.limit_amount, c.product_code
-            FROM accounts a
-            JOIN cards c ON a.account_number = c.account_number
-            WHERE c.exid = ?`; 
-                
-        const [rows] = await dbConnection.query(query, [externalId]);
-        
-        if (rows.length === 0) return null;
+        const card = await db.cards.findByExid(externalId);
+        if (!card) return null;
 
-        const authData = rows[0];
+        // Lock the account row for the rest of the transaction
+        const account = await db.accounts.findByNumber(card.account_number, { forUpdate: true });
+        if (!account) return null;
+
+        // The card's product sets its channels; the account's product its overdraft
+        const cardProduct = await findProduct(db, card.product_code);
+        const accountProduct = await findProduct(db, account.product_code);
 
         // CRITICAL FIX: Ensure all monetary/limit values are JS numbers
-        authData.balance = parseFloat(authData.balance);
-        authData.daily_spent = parseFloat(authData.daily_spent);
-        authData.daily_limit = parseFloat(authData.daily_limit);
-        authData.limit_amount = parseFloat(authData.limit_amount);
-        
-        return authData;
+        return {
+            card_id: card.card_id,
+            account_number: account.account_number,
+            balance: parseFloat(account.balance),
+            held_amount: parseFloat(account.held_amount),
+            // Funds reserved by pre-auth holds cannot be spent
+            available_balance: addAmounts(account.balance, -account.held_amount),
+            account_status: account.status,
+            daily_spent: parseFloat(account.daily_spent),
+            daily_limit: parseFloat(account.daily_limit),
+            international_enabled: account.international_enabled,
+            card_status: card.status,
+            pan: card.pan, // For the CVV2 check only; never returned
+            expiry: card.expiry,
+            cvk_version: card.cvk_version, // The CVK version the card's CVV2 was derived with
+            limit_amount: parseFloat(card.limit_amount),
+            product_code: card.product_code,
+            card_product: cardProduct,
+            overdraft_limit: overdraftLimit(accountProduct)
+        };
 
     } catch (error) {
         console.error(`DB_QUERY_ERROR: Failed to run authorization query. Error: ${error.message}`);
@@ -169,93 +164,362 @@ const getAuthData = async (externalId) => {
 };
 
 /**
- * Retrieves the fee_id from fees_schedule using the fee_code.
- * @param {string} feeCode - The internal fee code.
- * @returns {number|null} The fee_id or null.
+ * Builds the CDOL1 data for a chip transaction. Amount and currency come from
+ * the authorization request itself, so a cryptogram cannot be replayed for a
+ * different amount; the rest is the terminal and card data sent in `emv`.
+ * @param {object} emv - EMV data from the request body.
+ * @param {number} amount - Transaction amount in the transaction currency.
+ * @param {string} currencyCode - e.g. ZAR.
+ * @returns {object} CDOL1 data for hsm.generateArqc/validateArqc.
+ * @throws {Error} When the currency has no ISO numeric code.
+ */
+const buildEmvTransactionData = (emv, amount, currencyCode) => {
+    const currencyNumeric = CURRENCY_NUMERIC_CODES[currencyCode];
+    if (!currencyNumeric) throw new Error(`No ISO 4217 numeric code for currency ${currencyCode}.`);
+
+    return {
+        amount_authorised: String(toCents(amount)).padStart(12, '0'),
+        amount_other: emv.amount_other ?? '000000000000',
+        terminal_country_code: emv.terminal_country_code ?? '0710',
+        tvr: emv.tvr ?? '0000000000',
+        transaction_currency_code: currencyNumeric,
+        transaction_date: emv.transaction_date,
+        transaction_type: emv.transaction_type ?? '00',
+        unpredictable_number: emv.unpredictable_number,
+        aip: emv.aip,
+        atc: emv.atc,
+        cvr: emv.cvr,
+    };
+};
+
+// EMV data items with no terminal default; every chip request must send them
+const EMV_MANDATORY_FIELDS = ['atc', 'transaction_date', 'unpredictable_number', 'aip'];
+
+/**
+ * Validates the EMV data of a chip request before any card data is read.
+ * @param {object} emv - EMV data from the request body.
+ * @param {number} amount - Transaction amount in the transaction currency.
+ * @param {string} currencyCode - ISO 4217 alpha code.
+ * @param {object} [options]
+ * @param {boolean} [options.requireArqc] - The request must carry the card's ARQC (authorizations).
+ * @returns {object} { success: true, cdol1, panSequenceNumber, method } or { success: false, error }.
  */
-const getFeeIdByCode = async (feeCode) => {
-    if (!feeCode || !dbConnection) return null;
+const parseEmvData = (emv, amount, currencyCode, { requireArqc = false } = {}) => {
+    if (typeof emv !== 'object' || emv === null || Array.isArray(emv)) {
+        return { success: false, error: 'emv must be an object' };
+    }
+    const missing = [...(requireArqc ? ['arqc'] : []), ...EMV_MANDATORY_FIELDS]
+        .filter((field) => emv[field] === undefined || emv[field] === null || emv[field] === '');
+    if (missing.length > 0) {
+        return { success: false, error: `missing ${missing.join(', ')}` };
+    }
+    if (requireArqc && !/^[0-9A-F]{16}$/i.test(emv.arqc)) {
+        return { success: false, error: 'arqc must be 16 hex characters' };
+    }
+
+    const panSequenceNumber = emv.pan_sequence_number ?? '00';
+    if (!/^\d{2}$/.test(panSequenceNumber)) {
+        return { success: false, error: 'pan_sequence_number must be 2 digits' };
+    }
+    const method = emv.arpc_method ?? 1;
+    if (method !== 1 && method !== 2) {
+        return { success: false, error: 'arpc_method must be 1 or 2' };
+    }
+
     try {
-        // Use dbConnection.query() which uses the pool directly.
-        const [rows] = await dbConnection.query('SELECT fee_id FROM fees_schedule WHERE fee_code = ?', [feeCode]);
-        return rows.length > 0 ? rows[0].fee_id : null;
+        const cdol1 = buildEmvTransactionData(emv, amount, currencyCode);
+        hsm.buildCdol1Data(cdol1); // Checks the length and format of every data item
+        return { success: true, cdol1, panSequenceNumber, method };
     } catch (e) {
-        console.error("DB_ERROR: Failed to lookup fee_id:", e.message);
-        return null;
+        return { success: false, error: e.message };
+    }
+};
+
+/**
+ * Card-not-present (e-commerce) transactions must carry the card's CVV2.
+ * @param {string} transactionType
+ * @returns {boolean}
+ */
+const isCardNotPresent = (transactionType) => transactionType.startsWith('ECOMMERCE');
+
+/**
+ * Runs the status, expiry, channel and CVV2 checks shared by debit authorizations
+ * and pre-authorizations. They need no amounts, so they run before the currency
+ * conversion and a blocked card is declined as such whatever its currency.
+ * @param {object} authData - Result of getAuthData().
+ * @param {object} request - { transactionType, cvv2 } from the request body.
+ * @returns {object|null} { httpStatus, reason } for a decline, or null when the checks pass.
+ */
+const checkCardRules = (authData, { transactionType, cvv2 }) => {
+    if (authData.account_status !== 'Active' || authData.card_status !== 'Active') {
+        return { httpStatus: 403, reason: `Reason=${authData.account_status !== 'Active' ? authData.account_status : authData.card_status}` };
+    }
+    if (isCardExpired(authData.expiry)) {
+        return { httpStatus: 403, reason: "Reason=Expired" };
+    }
+
+    // Channel Check: the card's product must allow the transaction's channel
+    if (!isChannelAllowed(authData.card_product, transactionType)) {
+        return { httpStatus: 403, reason: "Reason=ChannelNotAllowed" };
+    }
+
+    // CVV2 Check: recomputed through the HSM for card-not-present transactions
+    if (isCardNotPresent(transactionType)) {
+        if (!cvv2) {
+            return { httpStatus: 403, reason: "Reason=CVV2Required" };
+        }
+        if (!verifySecurityCode(authData, cvv2, 'CVV2')) {
+            return { httpStatus: 403, reason: "Reason=InvalidCVV2" };
+        }
     }
+    return null;
 };
 
 /**
- * Performs a fund deposit using a database transaction.
- * Also synchronizes the cards.balance column.
+ * Runs the funds and daily limit checks shared by debit authorizations and
+ * pre-authorizations.
+ * @param {object} authData - Result of getAuthData().
+ * @param {number} amountInBaseCurrency - Transaction amount in ZAR.
+ * @param {number} totalDebitAmount - Amount plus fee in ZAR.
+ * @returns {object|null} { httpStatus, reason } for a decline, or null when the checks pass.
+ */
+const checkFundsRules = (authData, amountInBaseCurrency, totalDebitAmount) => {
+    // Insufficient Funds Check (available balance plus the product's overdraft must cover transaction amount + fee)
+    if (toCents(authData.available_balance) + toCents(authData.overdraft_limit) < toCents(totalDebitAmount)) {
+        return { httpStatus: 403, reason: "Reason=InsufficientFunds" };
+    }
+
+    // Daily Limit Check
+    const effectiveLimit = authData.daily_limit || authData.limit_amount;
+    if (effectiveLimit && (toCents(authData.daily_spent) + toCents(amountInBaseCurrency) > toCents(effectiveLimit))) {
+        return { httpStatus: 403, reason: "Reason=ExceedsLimit" };
+    }
+    return null;
+};
+
+/**
+ * Verifies an online PIN sent with an authorization: a PIN block under the ZPK,
+ * or under a DUKPT terminal's key when a KSN is given. Wrong PINs count
+ * towards the card's PIN try limit. Runs in its own transaction, so it must be
+ * called before the authorization locks the card.
+ * @param {object} req - Express request (for the audit context).
+ * @param {string} externalId - Card EXID.
+ * @param {string} pinBlock - Encrypted PIN block.
+ * @param {string|undefined} ksn - DUKPT KSN, if any.
+ * @returns {object|null} { httpStatus, reason } for a decline, or null when the PIN is correct.
+ */
+const checkOnlinePin = async (req, externalId, pinBlock, ksn) => {
+    const inputError = validatePinBlockInput(pinBlock, ksn);
+    if (inputError) {
+        return { httpStatus: 400, reason: `Invalid PIN Data (${inputError})` };
+    }
+
+    let verification;
+    try {
+        verification = await verifyPinWithTryCounter(externalId, pinBlock, getCallerContext(req, 'Online PIN verification'), ksn ?? null);
+    } catch (e) {
+        console.error("PIN_VERIFY_ERROR:", e.message);
+        return { httpStatus: 500, reason: "PIN_VERIFICATION_UNAVAILABLE" };
+    }
+
+    if (verification.success) return null;
+    switch (verification.httpStatus) {
+        case 404:
+            return { httpStatus: 404, reason: "Card/Account Not Found" };
+        case 403:
+            return { httpStatus: 403, reason: "Reason=PINTriesExceeded" };
+        default:
+            return { httpStatus: 403, reason: "Reason=IncorrectPIN" };
+    }
+};
+
+/**
+ * Generates a unique reference for the transaction journal.
+ * @returns {string} e.g. TXN-3F2A9C0E5B6D4E1F8A7B6C5D4E3F2A1B
+ */
+const generateTransactionReference = () => `TXN-${crypto.randomUUID().replace(/-/g, '').toUpperCase()}`;
+
+/**
+ * Converts a money amount to whole cents.
+ * @param {number|string} value - Amount (DECIMAL columns arrive as strings).
+ * @returns {number}
+ */
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+/**
+ * Adds money amounts in whole cents, so the sums written back to the DECIMAL
+ * columns do not drift (0.1 + 0.2 is 0.3, not 0.30000000000000004).
+ * @param {...(number|string)} values - Amounts; negative ones are subtracted.
+ * @returns {number}
+ */
+const addAmounts = (...values) => values.reduce((cents, value) => cents + toCents(value), 0) / 100;
+
+/**
+ * Checks whether a timestamp falls on the current business day (UTC), i.e.
+ * whether it still counts towards today's daily_spent.
+ * @param {Date|string} timestamp
+ * @returns {boolean}
+ */
+const isSameBusinessDay = (timestamp) =>
+    new Date(timestamp).toISOString().slice(0, 10) === new Date().toISOString().slice(0, 10);
+
+/**
+ * Writes a journal entry outside any authorization transaction (used for
+ * declines, whose own transaction has been rolled back). Failures are logged
+ * and swallowed so they never change the response sent to the caller.
+ * @param {object} entry - The transactions row to insert.
+ */
+const recordTransaction = async (entry) => {
+    try {
+        await store.transactions.create(entry);
+    } catch (e) {
+        console.error(`JOURNAL_ERROR: Failed to record transaction ${entry.transaction_reference}:`, e.message);
+    }
+};
+
+/**
+ * Performs a fund deposit using a database transaction. Base currency (ZAR)
+ * deposits credit the accounts balance and synchronize the cards.balance
+ * column; other currencies credit the account's pocket in that currency,
+ * which the first deposit opens if the account's product allows it.
  * @param {string} accountNumber - The target account number.
  * @param {number} amount - The deposit amount.
  * @param {string} currency - The deposit currency.
  * @returns {object} Transaction result object.
  */
 const performDeposit = async (accountNumber, amount, currency) => {
-    if (currency !== BASE_CURRENCY) {
-        throw new Error('Deposit currency must match base currency (ZAR) for this implementation.');
-    }
-
     if (!accountNumber) {
         return { success: false, reason: 'Invalid account number provided.' };
     }
 
-    let connection;
+    let tx;
     try {
-        connection = await dbConnection.getConnection();
-        await connection.beginTransaction();
-
-        // 1. Update the accounts balance
-        const [updateAccountResult] = await connection.execute(
-            `UPDATE accounts
-             SET balance = balance + ?, updated_at = NOW()
-             WHERE account_number = ? AND status = 'Active'`, 
-            [amount, accountNumber]
-        );
-
-        if (updateAccountResult.affectedRows === 0) {
-            const [check] = await connection.query('SELECT status FROM accounts WHERE account_number = ?', [accountNumber]);
-            await connection.rollback();
-            if (check.length === 0) {
-                return { success: false, reason: 'Account not found.' };
-            } else if (check[0].status !== 'Active') {
-                return { success: false, reason: `Account is ${check[0].status} and cannot receive funds.` };
+        tx = await store.beginTransaction();
+
+        // 1. Check the account can receive funds
+        const account = await tx.accounts.findByNumber(accountNumber, { forUpdate: true });
+        if (!account) {
+            await tx.rollback();
+            return { success: false, reason: 'Account not found.' };
+        } else if (account.status !== 'Active') {
+            await tx.rollback();
+            return { success: false, reason: `Account is ${account.status} and cannot receive funds.` };
+        }
+
+        // 2. Foreign currency: credit the pocket, opening it on the first deposit
+        if (currency !== BASE_CURRENCY) {
+            if (!pocketCurrencies(await findProduct(tx, account.product_code)).includes(currency)) {
+                await tx.rollback();
+                return { success: false, httpStatus: 422, reason: `Account product ${account.product_code} cannot hold ${currency}; deposit in ${BASE_CURRENCY}.` };
+            }
+            let pocket = await tx.accountPockets.find(accountNumber, currency, { forUpdate: true });
+            if (!pocket) {
+                await tx.accountPockets.create({ account_number: accountNumber, currency_code: currency });
+                pocket = await tx.accountPockets.find(accountNumber, currency, { forUpdate: true });
             }
-            return { success: false, reason: 'Deposit failed, balance unchanged.' };
+            const newPocketBalance = addAmounts(pocket.balance, amount);
+            await tx.accountPockets.update(pocket.pocket_id, { balance: newPocketBalance });
+            await tx.commit();
+
+            return {
+                success: true,
+                reason: `Deposit credited to the ${currency} pocket.`,
+                currency_code: currency,
+                new_balance: newPocketBalance.toFixed(2)
+            };
         }
+
+        // 3. Update the accounts balance
+        const newBalance = addAmounts(account.balance, amount);
+        await tx.accounts.update(accountNumber, { balance: newBalance });
+
+        // 4. SYNCHRONIZATION: Update the cards balance
+        await tx.cards.updateByAccountNumber(accountNumber, { balance: newBalance });
         
-        // 2. Fetch the new balance
-        const [newBalanceRow] = await connection.query('SELECT balance FROM accounts WHERE account_number = ?', [accountNumber]); 
-        const newBalance = parseFloat(newBalanceRow[0].balance);
-
-        // 3. SYNCHRONIZATION: Update the cards balance
-        await connection.execute(
-            `UPDATE cards
-             SET balance = ?, updated_at = NOW()
-             WHERE account_number = ?`,
-            [newBalance, accountNumber]
-        );
-        
-        await connection.commit();
+        await tx.commit();
 
         return { 
             success: true, 
             reason: 'Deposit successful.', 
+            currency_code: BASE_CURRENCY,
             new_balance: newBalance.toFixed(2) 
         };
     } catch (e) {
-        if (connection) {
-            await connection.rollback();
+        if (tx) {
+            await tx.rollback();
         }
         console.error(`Deposit database error for ${accountNumber}:`, e.message);
         throw new Error('Database error during deposit transaction.');
     } finally {
-        if (connection) {
-            connection.release();
+        if (tx) {
+            tx.release();
+        }
+    }
+};
+
+/**
+ * Takes a hold off the account (its amount becomes available again) and
+ * moves it to a final status. A hold on a currency pocket also reserved the
+ * hold amount there. Must run inside the caller's transaction.
+ * @param {object} tx - The open transaction.
+ * @param {object} hold - The holds row (read FOR UPDATE).
+ * @param {object} fields - Hold columns to set, including the new status.
+ * @returns {object} The account row as it was before the release.
+ */
+const releaseHold = async (tx, hold, fields) => {
+    const account = await tx.accounts.findByNumber(hold.account_number, { forUpdate: true });
+    const heldCents = Math.max(0, toCents(account.held_amount) - toCents(hold.amount_held));
+
+    await tx.accounts.update(hold.account_number, { held_amount: heldCents / 100 });
+    if (hold.pocket_currency) {
+        const pocket = await tx.accountPockets.find(hold.account_number, hold.pocket_currency, { forUpdate: true });
+        const pocketHeldCents = Math.max(0, toCents(pocket.held_amount) - toCents(hold.amount));
+        await tx.accountPockets.update(pocket.pocket_id, { held_amount: pocketHeldCents / 100 });
+    }
+    await tx.holds.update(hold.hold_reference, fields);
+    return account;
+};
+
+/**
+ * Expires every ACTIVE hold whose expires_at has passed, one transaction per
+ * hold so a failure leaves the others untouched.
+ * @param {Date} [asOf=new Date()] - Holds expiring at or before this moment are expired.
+ * @returns {object} { expired, failed, hold_references }.
+ */
+const expireHolds = async (asOf = new Date()) => {
+    const candidates = await store.holds.findExpired(asOf);
+    const result = { expired: 0, failed: 0, hold_references: [] };
+
+    for (const candidate of candidates) {
+        let tx;
+        try {
+            tx = await store.beginTransaction();
+
+            // Re-check under lock; the hold may have been completed meanwhile
+            const hold = await tx.holds.findByReference(candidate.hold_reference, { forUpdate: true });
+            if (!hold || hold.status !== 'ACTIVE') {
+                await tx.rollback();
+                continue;
+            }
+
+            await releaseHold(tx, hold, { status: 'EXPIRED' });
+            await tx.commit();
+
+            result.expired += 1;
+            result.hold_references.push(hold.hold_reference);
+        } catch (e) {
+            if (tx) {
+                await tx.rollback();
+            }
+            result.failed += 1;
+            console.error(`HOLD_EXPIRY_ERROR: Failed to expire hold ${candidate.hold_reference}:`, e.message);
+        } finally {
+            if (tx) {
+                tx.release();
+            }
         }
     }
+    return result;
 };
 
 // ========================================================================
@@ -268,154 +532,867 @@ authRouter.use(authenticateBearer);
 /**
  * Handles all debit authorization requests (e.g., POS, ATM, E-commerce).
  * Uses a database transaction to ensure atomicity of balance and spend updates.
- * 
+ * Every attempt, approved or declined, is written to the transaction journal.
+ * Retries carrying the same Idempotency-Key header replay the first response.
+ * A foreign currency amount is paid from the account's pocket in that
+ * currency when the pocket covers it (see findFundingPocket). Otherwise it is
+ * converted at the current rate in fx_rates plus the card product's markup
+ * and paid from the base pocket; the rate row and markup are journalled and
+ * returned in "fx" for reconciliation, and "pocket" says which pocket paid.
  */
-authRouter.post('/authorize', async (req, res) => {
+authRouter.post('/authorize', idempotent, async (req, res) => {
     const {
         transaction_type,
         external_id, 
         amount,
-        currency_code
+        currency_code,
+        cvv2,
+        emv,
+        pin_block,
+        ksn
     } = req.body;
 
     const amountValue = parseFloat(amount);
+    const transactionReference = generateTransactionReference();
+
+    // Journal entry, filled in as the authorization progresses
+    const journalEntry = {
+        transaction_reference: transactionReference,
+        transaction_type: transaction_type ?? null,
+        exid: external_id ?? null,
+        amount: isNaN(amountValue) ? null : amountValue,
+        currency_code: currency_code ?? null
+    };
+
+    let tx;
+    let chip = null; // Set once a chip transaction's ARQC has been validated
+
+    /**
+     * Builds the ARPC for a validated chip transaction.
+     * @param {boolean} approved
+     * @returns {object|undefined} { method, arc | csu, arpc }, or undefined for non-chip transactions.
+     */
+    const emvResponse = (approved) => {
+        if (!chip) return undefined;
+        const { pan, panSequenceNumber, atc, arqc, method } = chip;
+        const response = method === 1
+            ? { method, arc: approved ? ARC_APPROVED : ARC_DECLINED }
+            : { method, csu: approved ? CSU_APPROVED : CSU_DECLINED };
+        return { ...response, arpc: hsm.generateArpc(pan, panSequenceNumber, atc, arqc, response) };
+    };
+
+    /**
+     * Rolls back any open work, journals the decline and sends the response.
+     * Await it inside the transaction's try, so the rollback has finished
+     * before finally releases the connection.
+     * @param {number} httpStatus - HTTP status code to return.
+     * @param {string} reason - Decline reason returned to the caller.
+     */
+    const decline = async (httpStatus, reason) => {
+        if (tx) {
+            await tx.rollback();
+        }
+        await recordTransaction({ ...journalEntry, response: 'Declined', decline_reason: reason });
+        return res.status(httpStatus).json({ success: false, response: "Declined", reason, transaction_reference: transactionReference, emv: emvResponse(false) });
+    };
     
     // Validate mandatory request fields
     if (!transaction_type || !external_id || isNaN(amountValue) || amountValue <= 0 || !currency_code) {
-        return res.status(400).json({ success: false, response: "Declined", reason: "Invalid Request Data (Missing external_id, Type, Amount, or Currency)" });
+        return decline(400, "Invalid Request Data (Missing external_id, Type, Amount, or Currency)");
+    }
+
+    // Chip transactions must send complete, well-formed EMV data
+    let emvData = null;
+    if (emv !== undefined) {
+        emvData = parseEmvData(emv, amountValue, currency_code, { requireArqc: true });
+        if (!emvData.success) {
+            return decline(400, `Invalid EMV Data (${emvData.error})`);
+        }
+    }
+
+    // Online PIN: verified before the card is locked for the authorization
+    if (pin_block !== undefined) {
+        const pinFailure = await checkOnlinePin(req, external_id, pin_block, ksn);
+        if (pinFailure) {
+            return decline(pinFailure.httpStatus, pinFailure.reason);
+        }
     }
 
-    let connection;
     try {
-        connection = await dbConnection.getConnection();
-        await connection.beginTransaction();
+        tx = await store.beginTransaction();
 
-        const authData = await getAuthData(external_id);
+        const authData = await getAuthData(tx, external_id);
 
         if (!authData) {
-            await connection.rollback();
-            return res.status(404).json({ success: false, response: "Declined", reason: "Card/Account Not Found" });
+            return await decline(404, "Card/Account Not Found");
+        }
+        journalEntry.card_id = authData.card_id;
+        journalEntry.account_number = authData.account_number;
+
+        // Chip transactions: validate the ARQC over the transaction data first
+        if (emvData) {
+            const { cdol1, panSequenceNumber, method } = emvData;
+            if (!hsm.validateArqc(authData.pan, panSequenceNumber, cdol1, emv.arqc)) {
+                return await decline(403, "Reason=ARQCFailed");
+            }
+            chip = { pan: authData.pan, panSequenceNumber, atc: emv.atc, arqc: emv.arqc.toUpperCase(), method };
         }
 
         // Handle Balance Inquiry as a read-only transaction
         if (transaction_type === "ATM_Balance_Inquiry") {
-            // No commit or rollback needed for read-only operation
-            connection.release(); // Release connection immediately
-            return res.status(200).json({ success: true, balance: authData.balance });
+            const pockets = await listPockets(tx, authData);
+            // Nothing was written; the transaction is released in finally
+            await tx.rollback();
+            await recordTransaction({
+                ...journalEntry,
+                amount_base_currency: 0,
+                response: 'Approved',
+                balance_after: authData.balance
+            });
+            return res.status(200).json({
+                success: true,
+                balance: authData.balance,
+                available_balance: authData.available_balance,
+                pockets,
+                transaction_reference: transactionReference,
+                emv: emvResponse(true)
+            });
         }
         
-        // --- 1. Currency Conversion ---
+        // --- 1. Status Checks ---
+        const cardFailure = checkCardRules(authData, { transactionType: transaction_type, cvv2 });
+        if (cardFailure) {
+            return await decline(cardFailure.httpStatus, cardFailure.reason);
+        }
+
+        // --- 2. Funding Pocket and Currency Conversion ---
+        // The transaction currency's pocket pays if it covers the amount; nothing is
+        // exchanged, so the rate only values the amount in ZAR (no markup). Otherwise
+        // the base pocket pays at the current rate plus the card product's markup.
+        const pocket = await findFundingPocket(tx, authData.account_number, currency_code, amountValue);
+        let conversion = null;
         let amountInBaseCurrency = amountValue;
         if (currency_code !== BASE_CURRENCY) {
-            const fxRate = await getExchangeRate(currency_code, BASE_CURRENCY);
-            if (!fxRate) {
-                await connection.rollback();
-                return res.status(500).json({ success: false, response: "Declined", reason: "FX_RATE_UNAVAILABLE" });
+            conversion = await toBaseCurrency(tx, amountValue, currency_code, pocket ? null : authData.card_product);
+            if (!conversion) {
+                return await decline(500, "FX_RATE_UNAVAILABLE");
             }
-            amountInBaseCurrency = amountValue * fxRate;
+            amountInBaseCurrency = conversion.total_amount;
+            Object.assign(journalEntry, fxJournalFields(conversion));
         }
+        journalEntry.amount_base_currency = amountInBaseCurrency;
+        journalEntry.pocket_currency = pocket ? currency_code : null;
 
-        // --- 2. Fee Calculation ---
-        const totalFee = calculateAndApplyFee(transaction_type, amountInBaseCurrency);
-        const totalDebitAmount = amountInBaseCurrency + totalFee;
-        const feeCode = FEE_SCHEDULE[transaction_type]?.code;
+        // --- 3. Fee Calculation (the card product's rule for the transaction type) ---
+        const { fee: totalFee, rule: feeRule } = await quoteFee(tx, authData.product_code, transaction_type, amountInBaseCurrency);
+        const totalDebitAmount = addAmounts(amountInBaseCurrency, totalFee);
+        // Fees are always paid from the base pocket
+        const baseDebitAmount = pocket ? totalFee : totalDebitAmount;
 
-        // --- 3. Status and Limit Checks ---
-        if (authData.account_status !== 'Active' || authData.card_status !== 'Active') {
-            await connection.rollback();
-            return res.status(403).json({ success: false, response: "Declined", reason: `Reason=${authData.account_status !== 'Active' ? authData.account_status : authData.card_status}` });
-        }
-        if (isCardExpired(authData.expiry)) {
-            await connection.rollback();
-            return res.status(403).json({ success: false, response: "Declined", reason: "Reason=Expired" });
-        }
-        
-        // Insufficient Funds Check (must cover transaction amount + fee)
-        if (authData.balance < totalDebitAmount) {
-            await connection.rollback();
-            return res.status(403).json({ success: false, response: "Declined", reason: "Reason=InsufficientFunds" });
-        }
-        
-        // Daily Limit Check
-        const effectiveLimit = authData.daily_limit || authData.limit_amount;
-        if (effectiveLimit && (authData.daily_spent + amountInBaseCurrency > effectiveLimit)) {
-            await connection.rollback();
-            return res.status(403).json({ success: false, response: "Declined", reason: "Reason=ExceedsLimit" });
+        // --- 4. Funds and Limit Checks ---
+        const fundsFailure = checkFundsRules(authData, amountInBaseCurrency, baseDebitAmount);
+        if (fundsFailure) {
+            return await decline(fundsFailure.httpStatus, fundsFailure.reason);
         }
         
         // ---------------------------------------------------
-        // --- 4. Database Update (CRITICAL COMMIT STEP) ---
+        // --- 5. Database Update (CRITICAL COMMIT STEP) ---
         // ---------------------------------------------------
         
-        const newBalance = authData.balance - totalDebitAmount;
+        const newBalance = addAmounts(authData.balance, -baseDebitAmount);
         
         // a) Update Account Balance and Daily Spend (Primary update)
-        await connection.execute(
-            `UPDATE accounts 
-             SET balance = ?, daily_spent = daily_spent + ?, updated_at = NOW() 
-             WHERE account_number = ?`,
-            [newBalance, amountInBaseCurrency, authData.account_number]
-        );
+        await tx.accounts.update(authData.account_number, {
+            balance: newBalance,
+            daily_spent: addAmounts(authData.daily_spent, amountInBaseCurrency)
+        });
         
         // b) SYNCHRONIZATION: Update Card Balance (Secondary update)
-        await connection.execute(
-            `UPDATE cards
-             SET balance = ?, updated_at = NOW()
-             WHERE account_number = ?`,
-            [newBalance, authData.account_number]
-        );
-
-        // c) Log Fee (If applicable)
-        if (totalFee > 0 && feeCode) {
-            const feeId = await getFeeIdByCode(feeCode); 
-            
-            if (!feeId) {
-                // Should not happen if fee schedule is maintained, but roll back if necessary
-                await connection.rollback();
-                console.error(`FEE_LOOKUP_FAILED: No fee_id found for code: ${feeCode}`);
-                return res.status(500).json({ success: false, response: "Declined", reason: "FEE_SCHEDULE_MISSING_DB_ENTRY" });
-            }
+        await tx.cards.updateByAccountNumber(authData.account_number, { balance: newBalance });
+
+        // c) Debit the currency pocket that pays the amount
+        let pocketUsed = { currency_code: BASE_CURRENCY, amount_debited: amountInBaseCurrency.toFixed(2), balance_after: newBalance.toFixed(2) };
+        if (pocket) {
+            const newPocketBalance = addAmounts(pocket.balance, -amountValue);
+            await tx.accountPockets.update(pocket.pocket_id, { balance: newPocketBalance });
+            pocketUsed = { currency_code, amount_debited: amountValue.toFixed(2), balance_after: newPocketBalance.toFixed(2) };
+        }
+
+        // d) Journal the approved transaction (fee_ledger rows reference it)
+        await tx.transactions.create({
+            ...journalEntry,
+            fee_amount: totalFee,
+            total_debit: totalDebitAmount,
+            response: 'Approved',
+            balance_after: newBalance
+        });
+
+        // e) Log Fee (If applicable)
+        if (totalFee > 0) {
+            await tx.feeLedger.create({
+                fee_id: feeRule.fee_id,
+                account_number: authData.account_number,
+                fee_code: feeRule.fee_code,
+                transaction_reference: transactionReference,
+                charged_amount: totalFee,
+                status: 'POSTED'
+            });
+        }
 
-             await connection.execute(
-                 `INSERT INTO fee_ledger 
-                   (fee_id, account_number, fee_code, charged_amount, status) 
-                   VALUES (?, ?, ?, ?, ?)`,
-                 [
-                     feeId, 
-                     authData.account_number, 
-                     feeCode, 
-                     totalFee,
-                     'POSTED' 
-                 ]
-             );
-        }
-
-        await connection.commit();
+        await tx.commit();
         
-        // --- 5. Final Response ---
+        // --- 6. Final Response ---
         return res.status(200).json({
             success: true,
             response: "Approved",
+            transaction_reference: transactionReference,
             transaction_type: transaction_type,
             amount_debited_base_currency: amountInBaseCurrency.toFixed(2),
+            fx: describeConversion(conversion),
+            pocket: pocketUsed,
             fee_amount: totalFee.toFixed(2),
             total_debit: totalDebitAmount.toFixed(2),
-            balance_after_txn: newBalance.toFixed(2)
+            balance_after_txn: newBalance.toFixed(2),
+            available_balance_after_txn: (newBalance - authData.held_amount).toFixed(2),
+            emv: emvResponse(true)
         });
 
     } catch (e) {
-        if (connection) {
-            await connection.rollback();
-        }
         console.error("AUTHORIZATION_SYSTEM_ERROR:", e.message);
-        return res.status(500).json({ success: false, response: "Declined", reason: `Internal System Error: ${e.message}` });
+        return await decline(500, `Internal System Error: ${e.message}`);
     } finally {
-        if (connection) {
-            connection.release();
+        if (tx) {
+            tx.release();
         }
     }
 }); 
 
+/**
+ * Reverses (fully or partially) an approved debit authorization, e.g. for
+ * acquirer timeouts or cancelled sales. A request without an amount voids
+ * whatever is still outstanding.
+ * POST /api/v1/auth/reverse
+ *
+ * - The amount is given in the original transaction currency and converted
+ *   with the original FX rate and markup.
+ * - The account balance, the synced cards.balance and daily_spent (same-day
+ *   transactions only, since EOD resets the counter) are restored. A
+ *   transaction paid from a currency pocket is credited back to the pocket.
+ * - The fee is refunded, and its fee_ledger entry marked REVERSED, only by the
+ *   reversal that brings the outstanding amount to zero.
+ * - Everything happens in one DB transaction.
+ */
+authRouter.post('/reverse', async (req, res) => {
+    const { transaction_reference, amount, reason } = req.body;
+
+    if (!transaction_reference) {
+        return res.status(400).json({ success: false, error: "Missing mandatory field: transaction_reference." });
+    }
+    const requestedAmount = amount === undefined || amount === null ? null : parseFloat(amount);
+    if (requestedAmount !== null && (isNaN(requestedAmount) || requestedAmount <= 0)) {
+        return res.status(400).json({ success: false, error: "Reversal amount must be a positive number." });
+    }
+
+    let tx;
+    try {
+        tx = await store.beginTransaction();
+
+        // 1. Load and validate the original transaction
+        const original = await tx.transactions.findByReference(transaction_reference, { forUpdate: true });
+        if (!original) {
+            await tx.rollback();
+            return res.status(404).json({ success: false, error: `Transaction ${transaction_reference} not found.` });
+        }
+        if (original.response !== 'Approved' || original.original_reference || parseFloat(original.total_debit) <= 0) {
+            await tx.rollback();
+            return res.status(400).json({ success: false, error: `Transaction ${transaction_reference} is not an approved debit and cannot be reversed.` });
+        }
+        if (original.reversal_status === 'FULL') {
+            await tx.rollback();
+            return res.status(409).json({ success: false, error: `Transaction ${transaction_reference} has already been fully reversed.` });
+        }
+
+        // 2. Work out the amount to reverse (in cents to avoid rounding drift)
+        // The original rate with its markup, so a foreign amount refunds what it cost
+        const markupPercent = parseFloat(original.fx_markup_percent ?? 0);
+        const fxRate = original.fx_rate ? appliedRate(parseFloat(original.fx_rate), markupPercent) : 1;
+        const outstandingCents = toCents(original.amount_base_currency) - toCents(original.reversed_amount);
+        const reverseCents = requestedAmount === null ? outstandingCents : toCents(requestedAmount * fxRate);
+
+        if (reverseCents > outstandingCents) {
+            await tx.rollback();
+            return res.status(409).json({
+                success: false,
+                error: `Reversal amount exceeds the outstanding amount of ${(outstandingCents / 100).toFixed(2)} ${BASE_CURRENCY}.`
+            });
+        }
+
+        const isFinalReversal = reverseCents === outstandingCents;
+        const feeRefund = isFinalReversal ? parseFloat(original.fee_amount) : 0;
+        const amountReversed = reverseCents / 100;
+        const originalAmountReversed = requestedAmount ?? parseFloat((amountReversed / fxRate).toFixed(2));
+        const totalCredit = addAmounts(amountReversed, feeRefund);
+        // A currency pocket gets its amount back; the base pocket the fee
+        const baseCredit = original.pocket_currency ? feeRefund : totalCredit;
+
+        // 3. Restore the account balance (and pocket), card balance and daily spend
+        const account = await tx.accounts.findByNumber(original.account_number, { forUpdate: true });
+        if (!account) {
+            await tx.rollback();
+            return res.status(404).json({ success: false, error: `Account ${original.account_number} not found.` });
+        }
+
+        const newBalance = addAmounts(account.balance, baseCredit);
+        const accountUpdate = { balance: newBalance };
+        if (isSameBusinessDay(original.created_at)) {
+            accountUpdate.daily_spent = Math.max(0, addAmounts(account.daily_spent, -amountReversed));
+        }
+        await tx.accounts.update(original.account_number, accountUpdate);
+        await tx.cards.updateByAccountNumber(original.account_number, { balance: newBalance });
+
+        let pocketUsed = { currency_code: BASE_CURRENCY, amount_credited: amountReversed.toFixed(2), balance_after: newBalance.toFixed(2) };
+        if (original.pocket_currency) {
+            const pocket = await tx.accountPockets.find(original.account_number, original.pocket_currency, { forUpdate: true });
+            const newPocketBalance = addAmounts(pocket.balance, originalAmountReversed);
+            await tx.accountPockets.update(pocket.pocket_id, { balance: newPocketBalance });
+            pocketUsed = { currency_code: pocket.currency_code, amount_credited: originalAmountReversed.toFixed(2), balance_after: newPocketBalance.toFixed(2) };
+        }
+
+        // 4. Mark the fee as reversed once the whole transaction is undone
+        if (feeRefund > 0) {
+            const feeEntries = await tx.feeLedger.findByTransactionReference(transaction_reference);
+            for (const entry of feeEntries) {
+                await tx.feeLedger.update(entry.ledger_id, { status: 'REVERSED' });
+            }
+        }
+
+        // 5. Journal the reversal and update the original
+        const reversalReference = generateTransactionReference();
+        await tx.transactions.create({
+            transaction_reference: reversalReference,
+            original_reference: transaction_reference,
+            transaction_type: 'REVERSAL',
+            exid: original.exid,
+            card_id: original.card_id,
+            account_number: original.account_number,
+            amount: originalAmountReversed,
+            currency_code: original.currency_code,
+            pocket_currency: original.pocket_currency,
+            fx_rate: original.fx_rate,
+            fx_rate_id: original.fx_rate_id,
+            fx_markup_percent: original.fx_markup_percent,
+            fx_markup_amount: original.fx_rate ? parseFloat((amountReversed - amountReversed / (1 + markupPercent)).toFixed(2)) : null,
+            amount_base_currency: amountReversed,
+            fee_amount: feeRefund,
+            total_debit: -totalCredit,
+            response: 'Approved',
+            balance_after: newBalance,
+            reversal_reason: reason ?? null
+        });
+        await tx.transactions.update(transaction_reference, {
+            reversed_amount: (toCents(original.reversed_amount) + reverseCents) / 100,
+            reversal_status: isFinalReversal ? 'FULL' : 'PARTIAL'
+        });
+
+        await tx.commit();
+
+        return res.status(200).json({
+            success: true,
+            response: "Approved",
+            reversal_reference: reversalReference,
+            original_reference: transaction_reference,
+            reversal_type: isFinalReversal ? 'FULL' : 'PARTIAL',
+            amount_reversed_base_currency: amountReversed.toFixed(2),
+            fee_refunded: feeRefund.toFixed(2),
+            outstanding_amount_base_currency: ((outstandingCents - reverseCents) / 100).toFixed(2),
+            pocket: pocketUsed,
+            balance_after_txn: newBalance.toFixed(2)
+        });
+
+    } catch (e) {
+        if (tx) {
+            await tx.rollback();
+        }
+        console.error("REVERSAL_SYSTEM_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    } finally {
+        if (tx) {
+            tx.release();
+        }
+    }
+});
+
+/**
+ * Places a pre-authorization hold (hotel, car rental, fuel). The amount plus
+ * fee is reserved against the available balance; the ledger balance is not
+ * touched until the hold is completed.
+ * POST /api/v1/auth/preauthorize
+ *
+ * The same checks as /authorize apply. The attempt is journalled with a
+ * total_debit of 0 and its transaction_reference doubles as the hold_reference.
+ */
+authRouter.post('/preauthorize', async (req, res) => {
+    const {
+        transaction_type,
+        external_id,
+        amount,
+        currency_code,
+        cvv2,
+        pin_block,
+        ksn
+    } = req.body;
+
+    const amountValue = parseFloat(amount);
+    const holdReference = generateTransactionReference();
+
+    const journalEntry = {
+        transaction_reference: holdReference,
+        transaction_type: transaction_type ?? null,
+        exid: external_id ?? null,
+        amount: isNaN(amountValue) ? null : amountValue,
+        currency_code: currency_code ?? null
+    };
+
+    let tx;
+
+    const decline = async (httpStatus, reason) => {
+        if (tx) {
+            await tx.rollback();
+        }
+        await recordTransaction({ ...journalEntry, response: 'Declined', decline_reason: reason });
+        return res.status(httpStatus).json({ success: false, response: "Declined", reason, transaction_reference: holdReference });
+    };
+
+    if (!transaction_type || !external_id || isNaN(amountValue) || amountValue <= 0 || !currency_code) {
+        return decline(400, "Invalid Request Data (Missing external_id, Type, Amount, or Currency)");
+    }
+
+    if (pin_block !== undefined) {
+        const pinFailure = await checkOnlinePin(req, external_id, pin_block, ksn);
+        if (pinFailure) {
+            return decline(pinFailure.httpStatus, pinFailure.reason);
+        }
+    }
+
+    try {
+        tx = await store.beginTransaction();
+
+        const authData = await getAuthData(tx, external_id);
+        if (!authData) {
+            return await decline(404, "Card/Account Not Found");
+        }
+        journalEntry.card_id = authData.card_id;
+        journalEntry.account_number = authData.account_number;
+
+        // --- 1. Status Checks ---
+        const cardFailure = checkCardRules(authData, { transactionType: transaction_type, cvv2 });
+        if (cardFailure) {
+            return await decline(cardFailure.httpStatus, cardFailure.reason);
+        }
+
+        // --- 2. Funding Pocket and Currency Conversion (as /authorize; the hold
+        // fixes the pocket, rate and markup for completion) ---
+        const pocket = await findFundingPocket(tx, authData.account_number, currency_code, amountValue);
+        let conversion = null;
+        let amountInBaseCurrency = amountValue;
+        if (currency_code !== BASE_CURRENCY) {
+            conversion = await toBaseCurrency(tx, amountValue, currency_code, pocket ? null : authData.card_product);
+            if (!conversion) {
+                return await decline(500, "FX_RATE_UNAVAILABLE");
+            }
+            amountInBaseCurrency = conversion.total_amount;
+            Object.assign(journalEntry, fxJournalFields(conversion));
+        }
+        journalEntry.amount_base_currency = amountInBaseCurrency;
+        journalEntry.pocket_currency = pocket ? currency_code : null;
+
+        // --- 3. Fee estimate (reserved with the amount, charged on completion) ---
+        // amount_held is what the base pocket reserves: only the fee when a pocket pays
+        const { fee: estimatedFee } = await quoteFee(tx, authData.product_code, transaction_type, amountInBaseCurrency);
+        const amountHeld = addAmounts(pocket ? 0 : amountInBaseCurrency, estimatedFee);
+
+        // --- 4. Funds and Limit Checks ---
+        const fundsFailure = checkFundsRules(authData, amountInBaseCurrency, amountHeld);
+        if (fundsFailure) {
+            return await decline(fundsFailure.httpStatus, fundsFailure.reason);
+        }
+
+        // --- 5. Reserve the funds and record the hold ---
+        const newHeldAmount = addAmounts(authData.held_amount, amountHeld);
+        await tx.accounts.update(authData.account_number, { held_amount: newHeldAmount });
+
+        let pocketUsed = { currency_code: BASE_CURRENCY, amount_held: amountHeld.toFixed(2), available_balance: (authData.balance - newHeldAmount).toFixed(2) };
+        if (pocket) {
+            const newPocketHeld = addAmounts(pocket.held_amount, amountValue);
+            await tx.accountPockets.update(pocket.pocket_id, { held_amount: newPocketHeld });
+            pocketUsed = { currency_code, amount_held: amountValue.toFixed(2), available_balance: (parseFloat(pocket.balance) - newPocketHeld).toFixed(2) };
+        }
+
+        await tx.transactions.create({
+            ...journalEntry,
+            response: 'Approved',
+            balance_after: authData.balance
+        });
+
+        const expiresAt = new Date(Date.now() + PREAUTH_HOLD_DAYS * 24 * 60 * 60 * 1000);
+        await tx.holds.create({
+            hold_reference: holdReference,
+            account_number: authData.account_number,
+            exid: external_id,
+            card_id: authData.card_id,
+            transaction_type,
+            amount: amountValue,
+            currency_code,
+            pocket_currency: pocket ? currency_code : null,
+            fx_rate: conversion?.rate ?? null,
+            fx_rate_id: conversion?.rate_id ?? null,
+            fx_markup_percent: conversion?.markup_percent ?? null,
+            amount_held: amountHeld,
+            status: 'ACTIVE',
+            expires_at: expiresAt
+        });
+
+        await tx.commit();
+
+        return res.status(200).json({
+            success: true,
+            response: "Approved",
+            hold_reference: holdReference,
+            transaction_type,
+            amount_held: amountHeld.toFixed(2),
+            fx: describeConversion(conversion),
+            pocket: pocketUsed,
+            expires_at: expiresAt.toISOString(),
+            ledger_balance: authData.balance.toFixed(2),
+            available_balance: (authData.balance - newHeldAmount).toFixed(2)
+        });
+
+    } catch (e) {
+        console.error("PREAUTHORIZATION_SYSTEM_ERROR:", e.message);
+        return await decline(500, `Internal System Error: ${e.message}`);
+    } finally {
+        if (tx) {
+            tx.release();
+        }
+    }
+});
+
+/**
+ * Completes (captures) a pre-authorization hold with the final amount.
+ * POST /api/v1/auth/complete
+ *
+ * - The amount is in the hold currency and may be lower than the hold, or
+ *   higher by up to PREAUTH_COMPLETION_TOLERANCE (any excess must be covered
+ *   by the available balance).
+ * - The hold is released and the final amount plus fee is debited as a new
+ *   journal entry, which can later be reversed like any other debit.
+ * - A hold on a currency pocket is captured from that pocket, at the rate
+ *   and markup of the hold; the fee is debited from the base pocket.
+ * - Status and daily limit checks were done when the hold was placed.
+ */
+authRouter.post('/complete', async (req, res) => {
+    const { hold_reference, amount } = req.body;
+
+    const amountValue = parseFloat(amount);
+    if (!hold_reference || isNaN(amountValue) || amountValue <= 0) {
+        return res.status(400).json({ success: false, error: "Missing mandatory fields: hold_reference and a positive amount." });
+    }
+
+    let tx;
+    try {
+        tx = await store.beginTransaction();
+
+        // 1. Load and validate the hold
+        const hold = await tx.holds.findByReference(hold_reference, { forUpdate: true });
+        if (!hold) {
+            await tx.rollback();
+            return res.status(404).json({ success: false, error: `Hold ${hold_reference} not found.` });
+        }
+        if (hold.status !== 'ACTIVE') {
+            await tx.rollback();
+            return res.status(409).json({ success: false, error: `Hold ${hold_reference} is ${hold.status} and cannot be completed.` });
+        }
+        if (new Date(hold.expires_at) <= new Date()) {
+            await tx.rollback();
+            return res.status(409).json({ success: false, error: `Hold ${hold_reference} expired at ${new Date(hold.expires_at).toISOString()}.` });
+        }
+
+        const maxAmount = parseFloat(hold.amount) * (1 + PREAUTH_COMPLETION_TOLERANCE);
+        if (toCents(amountValue) > toCents(maxAmount)) {
+            await tx.rollback();
+            return res.status(422).json({
+                success: false,
+                error: `Completion amount exceeds the allowed maximum of ${maxAmount.toFixed(2)} ${hold.currency_code}.`
+            });
+        }
+
+        // 2. Work out the final debit with the rate and markup of the hold and today's fee rule
+        const conversion = hold.fx_rate ? applyRate(amountValue, {
+            rate_id: hold.fx_rate_id,
+            from_currency: hold.currency_code,
+            to_currency: BASE_CURRENCY,
+            rate: parseFloat(hold.fx_rate)
+        }, parseFloat(hold.fx_markup_percent ?? 0)) : null;
+        const amountInBaseCurrency = conversion ? conversion.total_amount : amountValue;
+        const card = await tx.cards.findByExid(hold.exid);
+        const { fee: totalFee, rule: feeRule } = await quoteFee(tx, card?.product_code, hold.transaction_type, amountInBaseCurrency);
+        const totalDebitAmount = addAmounts(amountInBaseCurrency, totalFee);
+        const baseDebitAmount = hold.pocket_currency ? totalFee : totalDebitAmount;
+
+        // 3. Release the hold; the final debit must fit the available balance
+        const completionReference = generateTransactionReference();
+        const account = await releaseHold(tx, hold, {
+            status: 'COMPLETED',
+            captured_amount: amountValue,
+            completion_reference: completionReference
+        });
+
+        const balance = parseFloat(account.balance);
+        const heldAfterRelease = addAmounts(account.held_amount, -hold.amount_held);
+        const overdraft = overdraftLimit(await findProduct(tx, account.product_code));
+        // A hold on a currency pocket is captured from that pocket (the fee from the base pocket)
+        const pocket = hold.pocket_currency
+            ? await tx.accountPockets.find(hold.account_number, hold.pocket_currency, { forUpdate: true })
+            : null;
+        if (toCents(balance) - toCents(heldAfterRelease) + toCents(overdraft) < toCents(baseDebitAmount) ||
+            (pocket && toCents(pocket.balance) - toCents(pocket.held_amount) < toCents(amountValue))) {
+            await tx.rollback();
+            return res.status(403).json({ success: false, response: "Declined", reason: "Reason=InsufficientFunds" });
+        }
+
+        // 4. Debit the account (and the pocket) and sync the cards
+        const newBalance = addAmounts(balance, -baseDebitAmount);
+        await tx.accounts.update(hold.account_number, {
+            balance: newBalance,
+            daily_spent: addAmounts(account.daily_spent, amountInBaseCurrency)
+        });
+        await tx.cards.updateByAccountNumber(hold.account_number, { balance: newBalance });
+
+        let pocketUsed = { currency_code: BASE_CURRENCY, amount_debited: amountInBaseCurrency.toFixed(2), balance_after: newBalance.toFixed(2) };
+        if (pocket) {
+            const newPocketBalance = addAmounts(pocket.balance, -amountValue);
+            await tx.accountPockets.update(pocket.pocket_id, { balance: newPocketBalance });
+            pocketUsed = { currency_code: pocket.currency_code, amount_debited: amountValue.toFixed(2), balance_after: newPocketBalance.toFixed(2) };
+        }
+
+        // 5. Journal the completion and log the fee
+        await tx.transactions.create({
+            transaction_reference: completionReference,
+            transaction_type: hold.transaction_type,
+            exid: hold.exid,
+            card_id: hold.card_id,
+            account_number: hold.account_number,
+            amount: amountValue,
+            currency_code: hold.currency_code,
+            pocket_currency: hold.pocket_currency,
+            ...(conversion && fxJournalFields(conversion)),
+            amount_base_currency: amountInBaseCurrency,
+            fee_amount: totalFee,
+            total_debit: totalDebitAmount,
+            response: 'Approved',
+            balance_after: newBalance
+        });
+
+        if (totalFee > 0) {
+            await tx.feeLedger.create({
+                fee_id: feeRule.fee_id,
+                account_number: hold.account_number,
+                fee_code: feeRule.fee_code,
+                transaction_reference: completionReference,
+                charged_amount: totalFee,
+                status: 'POSTED'
+            });
+        }
+
+        await tx.commit();
+
+        return res.status(200).json({
+            success: true,
+            response: "Approved",
+            transaction_reference: completionReference,
+            hold_reference,
+            amount_held: parseFloat(hold.amount_held).toFixed(2),
+            amount_debited_base_currency: amountInBaseCurrency.toFixed(2),
+            fx: describeConversion(conversion),
+            pocket: pocketUsed,
+            fee_amount: totalFee.toFixed(2),
+            total_debit: totalDebitAmount.toFixed(2),
+            ledger_balance: newBalance.toFixed(2),
+            available_balance: (newBalance - heldAfterRelease).toFixed(2)
+        });
+
+    } catch (e) {
+        if (tx) {
+            await tx.rollback();
+        }
+        console.error("COMPLETION_SYSTEM_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    } finally {
+        if (tx) {
+            tx.release();
+        }
+    }
+});
+
+/**
+ * Releases a hold that will never be completed (e.g. cancelled booking),
+ * making its amount available again.
+ * POST /api/v1/auth/release
+ */
+authRouter.post('/release', async (req, res) => {
+    const { hold_reference } = req.body;
+
+    if (!hold_reference) {
+        return res.status(400).json({ success: false, error: "Missing mandatory field: hold_reference." });
+    }
+
+    let tx;
+    try {
+        tx = await store.beginTransaction();
+
+        const hold = await tx.holds.findByReference(hold_reference, { forUpdate: true });
+        if (!hold) {
+            await tx.rollback();
+            return res.status(404).json({ success: false, error: `Hold ${hold_reference} not found.` });
+        }
+        if (hold.status !== 'ACTIVE') {
+            await tx.rollback();
+            return res.status(409).json({ success: false, error: `Hold ${hold_reference} is ${hold.status} and cannot be released.` });
+        }
+
+        const account = await releaseHold(tx, hold, { status: 'RELEASED' });
+        await tx.commit();
+
+        const balance = parseFloat(account.balance);
+        const heldAfterRelease = addAmounts(account.held_amount, -hold.amount_held);
+        const pocketReleased = hold.pocket_currency
+            ? { currency_code: hold.pocket_currency, amount_released: parseFloat(hold.amount).toFixed(2) }
+            : { currency_code: BASE_CURRENCY, amount_released: parseFloat(hold.amount_held).toFixed(2) };
+        return res.status(200).json({
+            success: true,
+            message: `Hold ${hold_reference} released.`,
+            amount_released: parseFloat(hold.amount_held).toFixed(2),
+            pocket: pocketReleased,
+            ledger_balance: balance.toFixed(2),
+            available_balance: addAmounts(balance, -heldAfterRelease).toFixed(2)
+        });
+
+    } catch (e) {
+        if (tx) {
+            await tx.rollback();
+        }
+        console.error("HOLD_RELEASE_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    } finally {
+        if (tx) {
+            tx.release();
+        }
+    }
+});
+
+/**
+ * Quotes what a transaction would cost without authorizing it: the amount in
+ * base currency (with the FX rate and markup for a foreign currency), the
+ * pocket that would pay, the fee from the card product's fee rule and the
+ * total debit.
+ * Nothing is journalled or reserved.
+ * POST /api/v1/auth/quote
+ * Body: { transaction_type, external_id, amount, currency_code }
+ */
+authRouter.post('/quote', async (req, res) => {
+    const { transaction_type, external_id, amount, currency_code } = req.body;
+
+    const amountValue = parseFloat(amount);
+    if (!transaction_type || !external_id || isNaN(amountValue) || amountValue <= 0 || !currency_code) {
+        return res.status(400).json({ success: false, error: "Missing or invalid fields: transaction_type, external_id, amount, currency_code." });
+    }
+
+    try {
+        const card = await store.cards.findByExid(external_id);
+        if (!card) {
+            return res.status(404).json({ success: false, error: "Card not found." });
+        }
+
+        const pocket = await findFundingPocket(store, card.account_number, currency_code, amountValue);
+        let conversion = null;
+        let amountInBaseCurrency = amountValue;
+        if (currency_code !== BASE_CURRENCY) {
+            conversion = await toBaseCurrency(store, amountValue, currency_code, pocket ? null : await findProduct(store, card.product_code));
+            if (!conversion) {
+                return res.status(422).json({ success: false, error: `No exchange rate from ${currency_code} to ${BASE_CURRENCY}.` });
+            }
+            amountInBaseCurrency = conversion.total_amount;
+        }
+
+        const { fee, rule } = await quoteFee(store, card.product_code, transaction_type, amountInBaseCurrency);
+        return res.status(200).json({
+            success: true,
+            transaction_type,
+            product_code: card.product_code,
+            amount: amountValue.toFixed(2),
+            currency_code,
+            fx_rate: conversion?.rate ?? null,
+            fx: describeConversion(conversion),
+            pocket_currency: pocket ? currency_code : BASE_CURRENCY,
+            amount_base_currency: amountInBaseCurrency.toFixed(2),
+            fee_amount: fee.toFixed(2),
+            fee_rule: rule && { fee_id: rule.fee_id, fee_code: rule.fee_code, fee_type: rule.fee_type },
+            total_debit: (amountInBaseCurrency + fee).toFixed(2)
+        });
+    } catch (e) {
+        console.error("FEE_QUOTE_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Expires all holds past their expires_at. Intended for schedulers and
+ * operators; holds are also rejected on completion once expired.
+ * POST /api/v1/auth/holds/expire
+ */
+authRouter.post('/holds/expire', async (req, res) => {
+    try {
+        const result = await expireHolds();
+        return res.status(200).json({ success: true, ...result });
+    } catch (e) {
+        console.error("HOLD_EXPIRY_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Test terminal: computes the ARQC a chip card would send for a transaction,
+ * ready to pass to /authorize in the `emv` object.
+ * POST /api/v1/auth/emv/arqc
+ */
+authRouter.post('/emv/arqc', async (req, res) => {
+    const { external_id, amount, currency_code, emv = {} } = req.body;
+
+    const amountValue = parseFloat(amount);
+    if (!external_id || isNaN(amountValue) || amountValue <= 0 || !currency_code) {
+        return res.status(400).json({ success: false, error: "Missing or invalid fields: external_id, amount, currency_code." });
+    }
+
+    const emvData = parseEmvData(emv, amountValue, currency_code);
+    if (!emvData.success) {
+        return res.status(400).json({ success: false, error: `Invalid EMV Data (${emvData.error})` });
+    }
+
+    try {
+        const card = await store.cards.findByExid(external_id);
+        if (!card) {
+            return res.status(404).json({ success: false, error: "Card not found." });
+        }
+
+        const { cdol1, panSequenceNumber } = emvData;
+        const arqc = hsm.generateArqc(card.pan, panSequenceNumber, cdol1);
+        return res.status(200).json({ success: true, arqc, cdol1_data: hsm.buildCdol1Data(cdol1) });
+    } catch (e) {
+        console.error("EMV_ARQC_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: "Internal System Error" });
+    }
+});
+
 // ========================================================================
 // --- 2. FUNDS MANAGEMENT ROUTER (DEPOSIT/CREDIT) ---
 // ========================================================================
@@ -424,10 +1401,12 @@ const fundsRouter = express.Router();
 fundsRouter.use(authenticateBearer); // Applying Bearer Auth to Funds endpoints
 
 /**
- * Endpoint to handle fund deposits/top-ups.
+ * Endpoint to handle fund deposits/top-ups. A deposit in a currency the
+ * account's product holds (pocket_currencies) credits that currency pocket.
  * POST /api/v1/funds/depositFunds
+ * Retries carrying the same Idempotency-Key header replay the first response.
  */
-fundsRouter.post('/depositFunds', async (req, res) => {
+fundsRouter.post('/depositFunds', idempotent, async (req, res) => {
     const { account_number, amount, currency_code } = req.body;
 
     const amountValue = parseFloat(amount);
@@ -443,40 +1422,59 @@ fundsRouter.post('/depositFunds', async (req, res) => {
                 success: true,
                 message: result.reason,
                 account_number,
+                currency_code: result.currency_code,
                 new_balance: result.new_balance
             });
         } else {
-            return res.status(403).json({ success: false, error: result.reason });
+            return res.status(result.httpStatus ?? 403).json({ success: false, error: result.reason });
         }
     } catch (e) {
         console.error('Deposit processing error:', e.message);
         return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
     }
 });
+
+/**
+ * Returns an account's balance in every currency it holds.
+ * GET /api/v1/funds/balances/:account_number
+ */
+fundsRouter.get('/balances/:account_number', async (req, res) => {
+    const { account_number } = req.params;
+    try {
+        const account = await store.accounts.findByNumber(account_number);
+        if (!account) {
+            return res.status(404).json({ success: false, error: 'Account not found.' });
+        }
+        return res.status(200).json({
+            success: true,
+            account_number,
+            base_currency: BASE_CURRENCY,
+            pockets: await listPockets(store, account)
+        });
+    } catch (e) {
+        console.error('BALANCE_LOOKUP_ERROR:', e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
 // ------------------------------------------------------------------------
 // --- FINAL API ROUTER ATTACHMENT ---
 // Both routers must be attached here to enable their paths.
-app.use('/api/v1/auth', authRouter); 
-app.use('/api/v1/funds', fundsRouter);
-// --- Server Startup ---
-(async () => {
-    try {
-        // DB Connection Pool Initialization
-        dbConnection = await mysql.createPool({
-            host: '',
-            user: '',
-            password: '',
-            database: 'card_management_system',
-            port: '',
-        });
-        console.log("MySQL connected and ready.");
+const router = express.Router();
+router.use('/auth', authRouter);
+router.use('/funds', fundsRouter);
 
-        app.listen(PORT, () => {
-            console.log(`Authorization API running on http://localhost:${PORT}`);
-        });
+module.exports = { router, expireHolds };
 
-    } catch (err) {
-        console.error("DB Connection Failed:", err.message);
-        process.exit(1);
-    }
-})();
\ No newline at end of file
+// --- Server Startup (standalone mode) ---
+if (require.main === module) {
+    loadKeys()
+        .then(() => {
+            createApp(router).listen(PORT, () => {
+                console.log(`Authorization API running on http://localhost:${PORT}`);
+            });
+        })
+        .catch((e) => {
+            console.error("KEY_STORE_LOAD_ERROR:", e.message);
+            process.exit(1);
+        });
+}
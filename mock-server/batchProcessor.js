@@ -0,0 +1,428 @@
+// batchProcessor.js
+// End-of-day (EOD) batch subsystem. Runs the EOD jobs in order, on a daily
+// schedule and on demand through the admin API, and records every run in
+// batch_runs so an interrupted run can be resumed.
+
+const express = require('express');
+const { createApp } = require('./app');
+const { getStore } = require('./store');
+const { expireHolds } = require('./authorisation');
+const { purgeExpiredKeys } = require('./idempotency');
+const { expireCards } = require('./cardExpiry');
+const { findLowRanges } = require('./panAllocation');
+const { runFeeBilling } = require('./feeBilling');
+const PORT = 3002;
+
+// --- Configuration ---
+const BEARER_TOKEN = 'sk_admin_xxxxx'; // Admin token for the batch endpoints
+const EOD_SCHEDULER_ENABLED = process.env.EOD_SCHEDULER_ENABLED !== 'false';
+const EOD_RUN_TIME = process.env.EOD_RUN_TIME || '00:00'; // HH:MM (UTC); the scheduled run closes the previous day
+const RUN_HISTORY_LIMIT = 50;
+
+/**
+ * Bearer Token Authentication Middleware
+ */
+const authenticateBearer = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ success: false, error: "Invalid or missing Bearer token format." });
+    }
+
+    if (authHeader.split(' ')[1] !== BEARER_TOKEN) {
+        return res.status(401).json({ success: false, error: "Invalid Bearer token value." });
+    }
+
+    next();
+};
+
+// --- Data Store (shared with the other modules) ---
+const store = getStore();
+
+// --- EOD Jobs ---
+// Run in this order. A run records each job once it has finished, and a
+// resumed run skips the jobs already recorded, so every job must either
+// commit all its work in one transaction or be safe to run twice.
+
+/**
+ * Resets accounts.daily_spent and cards.txn_count_daily in one transaction.
+ * @returns {object} Job result.
+ */
+const resetDailyCounters = async () => {
+    let tx;
+    try {
+        tx = await store.beginTransaction();
+        const accountsReset = await tx.accounts.resetDailySpent();
+        const cardsReset = await tx.cards.resetDailyCounters();
+        await tx.commit();
+
+        return { records_processed: accountsReset + cardsReset, accounts_reset: accountsReset, cards_reset: cardsReset };
+    } catch (e) {
+        if (tx) {
+            await tx.rollback();
+        }
+        throw e;
+    } finally {
+        if (tx) {
+            tx.release();
+        }
+    }
+};
+
+const EOD_JOBS = [
+    {
+        name: 'EXPIRE_HOLDS',
+        description: 'Releases pre-authorization holds that passed their expiry.',
+        run: async () => {
+            const result = await expireHolds();
+            return { records_processed: result.expired, ...result };
+        },
+    },
+    {
+        name: 'EXPIRE_CARDS',
+        description: "Moves Active and Inactive cards past their MM/YY expiry to 'Expired'.",
+        run: () => expireCards(),
+    },
+    {
+        name: 'RESET_DAILY_COUNTERS',
+        description: 'Resets accounts.daily_spent and cards.txn_count_daily.',
+        run: resetDailyCounters,
+    },
+    {
+        name: 'PURGE_IDEMPOTENCY_KEYS',
+        description: 'Deletes idempotency keys whose replay window has passed.',
+        run: async () => ({ records_processed: await purgeExpiredKeys() }),
+    },
+    {
+        name: 'BILL_FEES',
+        description: "Raises the month's periodic account fees and collects outstanding fees.",
+        run: async ({ businessDate }) => {
+            const report = await runFeeBilling({ businessDate });
+            return { records_processed: report.entries.length, ...report };
+        },
+    },
+    {
+        name: 'CHECK_PAN_RANGES',
+        description: 'Reports BIN ranges that are running out of PANs or are exhausted.',
+        run: async () => {
+            const lowRanges = await findLowRanges();
+            lowRanges.forEach((range) => console.warn(
+                `PAN_RANGE_LOW: Range ${range.range_id} (BIN ${range.bin}, ${range.pan_length} digits, ${range.product_code}) is ${range.availability} with ${range.remaining} PANs left.`));
+            return { records_processed: lowRanges.length, low_ranges: lowRanges };
+        },
+    },
+];
+
+// --- Helper Functions ---
+
+// Run currently executing in this process (null when idle).
+let activeRunId = null;
+let schedulerTimer = null;
+
+/**
+ * Formats a date as YYYY-MM-DD. DATE columns come back from mysql2 as local
+ * midnight Date objects, so local components are used for those.
+ * @param {Date|string} value
+ * @returns {string}
+ */
+const toBusinessDate = (value) => {
+    if (!(value instanceof Date)) return value;
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Returns the UTC calendar date of a timestamp.
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+const utcDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Checks a YYYY-MM-DD string for a real calendar date.
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidBusinessDate = (value) =>
+    typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(new Date(`${value}T00:00:00Z`).getTime()) && utcDate(new Date(`${value}T00:00:00Z`)) === value;
+
+const parseJson = (value, fallback) => (value ? JSON.parse(value) : fallback);
+
+/**
+ * Shapes a batch_runs row for API responses.
+ * @param {object} run - The batch_runs row.
+ * @returns {object}
+ */
+const formatRun = (run) => ({
+    run_id: run.run_id,
+    business_date: toBusinessDate(run.business_date),
+    trigger_source: run.trigger_source,
+    status: run.status,
+    completed_jobs: parseJson(run.completed_jobs, []),
+    job_results: parseJson(run.job_results, {}),
+    error_message: run.error_message,
+    resumed_from_run_id: run.resumed_from_run_id,
+    started_at: run.started_at,
+    finished_at: run.finished_at
+});
+
+/**
+ * Runs the EOD jobs for a business day and records the run.
+ * Only one run executes at a time per process.
+ * @param {object} [options]
+ * @param {string} [options.businessDate] - Day being closed (YYYY-MM-DD); defaults to today (UTC).
+ * @param {string} [options.trigger='ADMIN'] - SCHEDULER, ADMIN or RECOVERY.
+ * @param {object} [options.resumeFrom] - INTERRUPTED or FAILED run to continue; its completed jobs are skipped.
+ * @returns {object} { started: false, reason } when another run is active, otherwise { started: true, run }.
+ */
+const runEndOfDay = async ({ businessDate = utcDate(new Date()), trigger = 'ADMIN', resumeFrom = null } = {}) => {
+    if (activeRunId !== null) {
+        return { started: false, reason: `EOD run ${activeRunId} is still in progress.` };
+    }
+    activeRunId = 'starting';
+
+    try {
+        const completedJobs = resumeFrom ? parseJson(resumeFrom.completed_jobs, []) : [];
+        const jobResults = resumeFrom ? parseJson(resumeFrom.job_results, {}) : {};
+
+        const runId = await store.batchRuns.create({
+            business_date: businessDate,
+            trigger_source: trigger,
+            status: 'RUNNING',
+            completed_jobs: JSON.stringify(completedJobs),
+            job_results: JSON.stringify(jobResults),
+            resumed_from_run_id: resumeFrom ? resumeFrom.run_id : null
+        });
+        activeRunId = runId;
+
+        for (const job of EOD_JOBS) {
+            if (completedJobs.includes(job.name)) continue;
+
+            try {
+                jobResults[job.name] = await job.run({ businessDate, runId });
+            } catch (e) {
+                console.error(`EOD_JOB_ERROR: ${job.name} failed in run ${runId}:`, e.message);
+                await store.batchRuns.update(runId, {
+                    status: 'FAILED',
+                    error_message: `${job.name}: ${e.message}`.slice(0, 1000),
+                    finished_at: new Date()
+                });
+                return { started: true, run: formatRun(await store.batchRuns.findById(runId)) };
+            }
+
+            // Progress is saved after every job so a resumed run can skip it
+            completedJobs.push(job.name);
+            await store.batchRuns.update(runId, {
+                completed_jobs: JSON.stringify(completedJobs),
+                job_results: JSON.stringify(jobResults)
+            });
+        }
+
+        await store.batchRuns.update(runId, { status: 'COMPLETED', finished_at: new Date() });
+        return { started: true, run: formatRun(await store.batchRuns.findById(runId)) };
+    } finally {
+        activeRunId = null;
+    }
+};
+
+/**
+ * Finds runs left RUNNING by a process that stopped mid-run, marks them
+ * INTERRUPTED and resumes each one from its first unfinished job.
+ * Assumes a single batch process per database.
+ * @returns {Array<object>} The resumed runs.
+ */
+const recoverInterruptedRuns = async () => {
+    const orphaned = (await store.batchRuns.findByStatus('RUNNING')).filter((run) => run.run_id !== activeRunId);
+    const resumed = [];
+
+    for (const run of orphaned) {
+        await store.batchRuns.update(run.run_id, {
+            status: 'INTERRUPTED',
+            error_message: 'Run stopped before it finished; resumed by recovery.',
+            finished_at: new Date()
+        });
+        console.warn(`EOD_RECOVERY: Resuming interrupted run ${run.run_id} for ${toBusinessDate(run.business_date)}.`);
+
+        const result = await runEndOfDay({ businessDate: toBusinessDate(run.business_date), trigger: 'RECOVERY', resumeFrom: run });
+        if (result.started) resumed.push(result.run);
+    }
+    return resumed;
+};
+
+/**
+ * Milliseconds from now until the next EOD_RUN_TIME (UTC).
+ * @param {Date} now
+ * @returns {number}
+ */
+const msUntilNextRun = (now) => {
+    const [hours, minutes] = EOD_RUN_TIME.split(':').map(Number);
+    const next = new Date(now);
+    next.setUTCHours(hours, minutes, 0, 0);
+    if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+    return next - now;
+};
+
+/**
+ * Starts the daily EOD schedule after recovering any interrupted runs.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * Does nothing when EOD_SCHEDULER_ENABLED is 'false'.
+ */
+const startScheduler = async () => {
+    if (!EOD_SCHEDULER_ENABLED || schedulerTimer) return;
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(EOD_RUN_TIME)) {
+        throw new Error(`Invalid EOD_RUN_TIME '${EOD_RUN_TIME}'. Use HH:MM (UTC).`);
+    }
+
+    const scheduleNext = () => {
+        schedulerTimer = setTimeout(async () => {
+            // The scheduled run closes the previous (UTC) business day
+            const businessDate = utcDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
+            try {
+                const result = await runEndOfDay({ businessDate, trigger: 'SCHEDULER' });
+                if (!result.started) console.warn(`EOD_SCHEDULER: Skipped run for ${businessDate}. ${result.reason}`);
+            } catch (e) {
+                console.error("EOD_SCHEDULER_ERROR:", e.message);
+            }
+            scheduleNext();
+        }, msUntilNextRun(new Date()));
+        schedulerTimer.unref();
+    };
+    scheduleNext();
+
+    try {
+        await recoverInterruptedRuns();
+    } catch (e) {
+        console.error("EOD_RECOVERY_ERROR:", e.message);
+    }
+};
+
+const stopScheduler = () => {
+    clearTimeout(schedulerTimer);
+    schedulerTimer = null;
+};
+
+// ========================================================================
+// --- ADMIN ROUTER (EOD BATCH) ---
+// ========================================================================
+
+const adminRouter = express.Router();
+adminRouter.use(authenticateBearer);
+
+/**
+ * Lists the EOD jobs in execution order.
+ * GET /api/v1/admin/batch/jobs
+ */
+adminRouter.get('/jobs', (req, res) => {
+    res.status(200).json({
+        success: true,
+        run_time_utc: EOD_RUN_TIME,
+        scheduler_enabled: EOD_SCHEDULER_ENABLED,
+        jobs: EOD_JOBS.map(({ name, description }) => ({ name, description }))
+    });
+});
+
+/**
+ * Triggers an EOD run.
+ * POST /api/v1/admin/batch/eod/run
+ * Body (optional): { business_date: 'YYYY-MM-DD', resume_run_id }
+ * resume_run_id continues a FAILED or INTERRUPTED run instead of starting over.
+ */
+adminRouter.post('/eod/run', async (req, res) => {
+    const { business_date, resume_run_id } = req.body ?? {};
+
+    if (business_date !== undefined && !isValidBusinessDate(business_date)) {
+        return res.status(400).json({ success: false, error: "Invalid business_date. Use YYYY-MM-DD." });
+    }
+
+    try {
+        let resumeFrom = null;
+        if (resume_run_id !== undefined) {
+            resumeFrom = await store.batchRuns.findById(Number(resume_run_id));
+            if (!resumeFrom) {
+                return res.status(404).json({ success: false, error: `Batch run ${resume_run_id} not found.` });
+            }
+            if (!['FAILED', 'INTERRUPTED'].includes(resumeFrom.status)) {
+                return res.status(409).json({ success: false, error: `Batch run ${resume_run_id} is ${resumeFrom.status}; only FAILED or INTERRUPTED runs can be resumed.` });
+            }
+        }
+
+        const result = await runEndOfDay({
+            businessDate: resumeFrom ? toBusinessDate(resumeFrom.business_date) : business_date,
+            trigger: 'ADMIN',
+            resumeFrom
+        });
+        if (!result.started) {
+            return res.status(409).json({ success: false, error: result.reason });
+        }
+
+        return res.status(200).json({ success: result.run.status === 'COMPLETED', run: result.run });
+    } catch (e) {
+        console.error("EOD_RUN_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Resumes runs left RUNNING by a stopped process.
+ * POST /api/v1/admin/batch/recover
+ */
+adminRouter.post('/recover', async (req, res) => {
+    try {
+        const resumed = await recoverInterruptedRuns();
+        return res.status(200).json({ success: true, resumed_runs: resumed });
+    } catch (e) {
+        console.error("EOD_RECOVERY_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Lists recent EOD runs, newest first.
+ * GET /api/v1/admin/batch/runs
+ */
+adminRouter.get('/runs', async (req, res) => {
+    try {
+        const runs = await store.batchRuns.list({ limit: RUN_HISTORY_LIMIT });
+        return res.status(200).json({ success: true, runs: runs.map(formatRun) });
+    } catch (e) {
+        console.error("EOD_RUN_LIST_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Returns one EOD run.
+ * GET /api/v1/admin/batch/runs/:run_id
+ */
+adminRouter.get('/runs/:run_id', async (req, res) => {
+    try {
+        const run = await store.batchRuns.findById(Number(req.params.run_id));
+        if (!run) {
+            return res.status(404).json({ success: false, error: `Batch run ${req.params.run_id} not found.` });
+        }
+        return res.status(200).json({ success: true, run: formatRun(run) });
+    } catch (e) {
+        console.error("EOD_RUN_LOOKUP_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+// ------------------------------------------------------------------------
+// --- FINAL API ROUTER ATTACHMENT ---
+const router = express.Router();
+router.use('/admin/batch', adminRouter);
+
+module.exports = { router, runEndOfDay, recoverInterruptedRuns, startScheduler, stopScheduler };
+
+// --- Server Startup (standalone mode) ---
+if (require.main === module) {
+    createApp(router).listen(PORT, () => {
+        console.log(`EOD Batch API running on http://localhost:${PORT}`);
+        startScheduler().catch((e) => {
+            console.error("EOD_SCHEDULER_START_ERROR:", e.message);
+            process.exit(1);
+        });
+    });
+}
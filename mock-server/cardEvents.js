@@ -0,0 +1,90 @@
+// cardEvents.js
+// Writes the card_events audit trail: who changed a card, when, how and why.
+// Events are written through the caller's store or open transaction so they
+// commit or roll back together with the change they describe.
+
+// Card columns that are audited, and the event type recorded for each.
+const AUDITED_FIELDS = {
+    status: 'STATUS_CHANGE',
+    block_code: 'BLOCK_CODE_CHANGE',
+    limit_amount: 'LIMIT_CHANGE',
+    emboss_name: 'EMBOSS_NAME_CHANGE',
+};
+
+// Context used when a change is not made through an API call
+const SYSTEM_CONTEXT = { actor: 'system', reason: null, source: null };
+
+// --- Helper Functions ---
+
+/**
+ * Builds the audit context for a request: the caller identity comes from the
+ * X-Caller-Id header and the reason from the body's `reason` field.
+ * @param {object} req - Express request.
+ * @param {string|null} [defaultReason] - Used when the caller gives no reason.
+ * @returns {object} { actor, reason, source }.
+ */
+const getCallerContext = (req, defaultReason = null) => ({
+    actor: req.get('X-Caller-Id') || 'anonymous',
+    reason: req.body?.reason || defaultReason,
+    source: `${req.method} ${req.baseUrl}${req.path}`,
+});
+
+/**
+ * Normalises a column value for comparison and storage. Empty block codes
+ * and nulls both mean "not set".
+ * @param {*} value
+ * @returns {string|null}
+ */
+const toEventValue = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    return String(value);
+};
+
+/**
+ * Appends one event to a card's history.
+ * @param {object} db - The store or an open transaction.
+ * @param {object} card - The cards row (exid and card_id are used).
+ * @param {string} eventType - e.g. STATUS_CHANGE, PIN_SET.
+ * @param {object} context - { actor, reason, source }.
+ * @param {object} [values] - { oldValue, newValue }.
+ */
+const recordCardEvent = (db, card, eventType, context, { oldValue = null, newValue = null } = {}) =>
+    db.cardEvents.create({
+        exid: card.exid,
+        card_id: card.card_id,
+        event_type: eventType,
+        old_value: toEventValue(oldValue),
+        new_value: toEventValue(newValue),
+        actor: (context.actor || SYSTEM_CONTEXT.actor).slice(0, 100),
+        reason: context.reason ? String(context.reason).slice(0, 255) : null,
+        source: context.source,
+    });
+
+/**
+ * Appends an event for every audited column whose value differs between the
+ * card row and the update about to be applied to it.
+ * @param {object} db - The store or an open transaction.
+ * @param {object} card - The cards row before the update.
+ * @param {object} fields - Columns being written.
+ * @param {object} context - { actor, reason, source }.
+ * @returns {number} Number of events written.
+ */
+const recordCardChanges = async (db, card, fields, context) => {
+    let written = 0;
+    for (const [column, eventType] of Object.entries(AUDITED_FIELDS)) {
+        if (!(column in fields)) continue;
+
+        const oldValue = toEventValue(card[column]);
+        const newValue = toEventValue(fields[column]);
+        const changed = column === 'limit_amount'
+            ? parseFloat(oldValue) !== parseFloat(newValue) && !(oldValue === null && newValue === null)
+            : oldValue !== newValue;
+        if (!changed) continue;
+
+        await recordCardEvent(db, card, eventType, context, { oldValue, newValue });
+        written++;
+    }
+    return written;
+};
+
+module.exports = { SYSTEM_CONTEXT, getCallerContext, recordCardEvent, recordCardChanges };
@@ -0,0 +1,85 @@
+// cardExpiry.js
+// Card expiry rules shared by authorization, activation and the EOD batch.
+// Expiry dates are stored as MM/YY (see generateExpiry in CardCreate.js) and a
+// card is valid up to and including the last day of that month (UTC).
+
+const { getStore } = require('./store');
+const { transitionCard } = require('./cardLifecycle');
+
+// Statuses that move to 'Expired' once the expiry month has passed. Blocked and
+// Replaced cards keep their status so the block reason is not lost.
+const EXPIRABLE_STATUSES = ['Active', 'Inactive'];
+
+// Audit context for the card_events rows written by the expiry job
+const EXPIRY_CONTEXT = { actor: 'system:eod-batch', reason: 'Expiry date passed', source: 'EXPIRE_CARDS' };
+
+const store = getStore();
+
+/**
+ * Parses an MM/YY expiry.
+ * @param {string} expiry - e.g. '08/29'.
+ * @returns {object|null} { month, year, expiresAt } where expiresAt is the first
+ *   moment after the card stops being valid, or null when the format is invalid.
+ */
+const parseExpiry = (expiry) => {
+    const match = /^(\d{2})\/(\d{2})$/.exec(expiry ?? '');
+    if (!match) return null;
+
+    const month = parseInt(match[1], 10);
+    const year = 2000 + parseInt(match[2], 10);
+    if (month < 1 || month > 12) return null;
+
+    // Date.UTC rolls month 12 over into January of the next year
+    return { month, year, expiresAt: new Date(Date.UTC(year, month, 1)) };
+};
+
+/**
+ * Checks whether a card is past its expiry month. An expiry that cannot be
+ * parsed counts as expired, so a corrupt record never authorizes.
+ * @param {string} expiry - Card expiry date (MM/YY).
+ * @param {Date} [asOf=new Date()]
+ * @returns {boolean}
+ */
+const isCardExpired = (expiry, asOf = new Date()) => {
+    const parsed = parseExpiry(expiry);
+    return !parsed || asOf >= parsed.expiresAt;
+};
+
+/**
+ * Moves every Active or Inactive card past its expiry month to 'Expired', in
+ * one transaction so a failed run changes nothing and can simply be repeated.
+ * @param {Date} [asOf=new Date()]
+ * @returns {object} { records_processed, expired_cards: [{ exid, masked_pan, expiry, previous_status }] }.
+ */
+const expireCards = async (asOf = new Date()) => {
+    let tx;
+    try {
+        tx = await store.beginTransaction();
+
+        const candidates = await tx.cards.findByStatuses(EXPIRABLE_STATUSES, { forUpdate: true });
+        const expiredCards = [];
+        for (const card of candidates) {
+            if (!isCardExpired(card.expiry, asOf)) continue;
+
+            const result = await transitionCard(tx, card, 'Expired', { context: EXPIRY_CONTEXT });
+            if (!result.success) throw new Error(`Card ${card.exid}: ${result.error}`);
+            expiredCards.push({ exid: card.exid, masked_pan: card.masked_pan, expiry: card.expiry, previous_status: card.status });
+        }
+
+        await tx.commit();
+
+        expiredCards.forEach((card) => console.log(`CARD_EXPIRY: ${card.exid} (${card.masked_pan}, ${card.expiry}) ${card.previous_status} -> Expired`));
+        return { records_processed: expiredCards.length, expired_cards: expiredCards };
+    } catch (e) {
+        if (tx) {
+            await tx.rollback();
+        }
+        throw e;
+    } finally {
+        if (tx) {
+            tx.release();
+        }
+    }
+};
+
+module.exports = { parseExpiry, isCardExpired, expireCards };
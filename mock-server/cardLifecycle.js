@@ -0,0 +1,214 @@
+// cardLifecycle.js
+// Card lifecycle state machine. Defines the card and account statuses, the
+// allowed transitions between them and what each block code means. Every
+// route that changes a card's status goes through transitionCard() so the
+// rules are enforced (and audited in card_events) the same way everywhere.
+
+const { SYSTEM_CONTEXT, recordCardChanges } = require('./cardEvents');
+
+// --- Card States ---
+// Matches the cards.status ENUM in sql/migrations.
+const CARD_STATUSES = ['Inactive', 'Active', 'Blocked', 'Expired', 'Replaced', 'Closed'];
+
+// Allowed moves from each status. Blocked -> Blocked changes the block code
+// (e.g. a temporary block escalated to Lost, never the reverse). Closed is
+// terminal.
+// Inactive -> Active is not listed: only /card/activate, after checking the
+// CVV2 and expiry, may make it (transitionCard's `activation` option).
+const CARD_TRANSITIONS = {
+    Inactive: ['Blocked', 'Expired', 'Replaced', 'Closed'],
+    Active: ['Blocked', 'Expired', 'Replaced', 'Closed'],
+    Blocked: ['Active', 'Blocked', 'Expired', 'Replaced', 'Closed'],
+    Expired: ['Replaced', 'Closed'],
+    Replaced: ['Closed'],
+    Closed: [],
+};
+
+// --- Block Codes ---
+// Reversible blocks can be lifted back to Active; all others are permanent and
+// the card has to be replaced. A block with `liftedBy` belongs to one process:
+// only a transition made with that transitionCard option may lift it or
+// change it to another reversible code. The PIN lock (P) is only lifted by the
+// call centre's PIN unlock, which also resets the try counter.
+const BLOCK_CODES = {
+    T: { status: 'Blocked', reversible: true, description: 'Temporary Block' },
+    M: { status: 'Blocked', reversible: true, description: 'Chip Malfunction' },
+    A: {
+        status: 'Blocked', reversible: true, description: 'Account Frozen',
+        liftedBy: 'accountReactivation', howToLift: 'reactivate the account through /update/updateStatus'
+    },
+    P: {
+        status: 'Blocked', reversible: true, description: 'PIN Tries Exceeded',
+        liftedBy: 'pinUnlock', howToLift: 'unlock the PIN through /admin/pin/unlock'
+    },
+    B: { status: 'Blocked', reversible: false, description: 'Permanent Block' },
+    L: { status: 'Blocked', reversible: false, description: 'Lost Card' },
+    S: { status: 'Blocked', reversible: false, description: 'Stolen Card' },
+    F: { status: 'Blocked', reversible: false, description: 'Fraud Block' },
+    D: { status: 'Blocked', reversible: false, description: 'Damaged Card' },
+    C: { status: 'Closed', reversible: false, description: 'Closed by Customer' },
+};
+
+// --- Account States ---
+// Matches the accounts.status ENUM. Closed is terminal.
+const ACCOUNT_STATUSES = ['Active', 'Frozen', 'Closed'];
+
+const ACCOUNT_TRANSITIONS = {
+    Active: ['Frozen', 'Closed'],
+    Frozen: ['Active', 'Closed'],
+    Closed: [],
+};
+
+// --- Helper Functions ---
+
+/**
+ * Checks whether a card may move to a new status.
+ * @param {object} card - The cards row.
+ * @param {string} toStatus - Target status.
+ * @param {string|null} [blockCode] - Block code for Blocked/Closed targets.
+ * @param {object} [options]
+ * @param {boolean} [options.activation] - The move is a checked card activation.
+ * @param {boolean} [options.pinUnlock] - The move is the call centre's PIN unlock.
+ * @param {boolean} [options.accountReactivation] - The move follows the card's account back to Active.
+ * @returns {object|null} { httpStatus, error } when the move is not allowed, or null.
+ */
+const validateCardTransition = (card, toStatus, blockCode = null, { activation = false, pinUnlock = false, accountReactivation = false } = {}) => {
+    if (!CARD_STATUSES.includes(toStatus)) {
+        return { httpStatus: 400, error: `Unknown card status '${toStatus}'. Valid statuses are: ${CARD_STATUSES.join(', ')}.` };
+    }
+    if (blockCode !== null && BLOCK_CODES[blockCode]?.status !== toStatus) {
+        return { httpStatus: 400, error: `Block code '${blockCode}' cannot be used for status ${toStatus}.` };
+    }
+    if (toStatus === 'Blocked' && blockCode === null) {
+        return { httpStatus: 400, error: 'A block code is required to block a card.' };
+    }
+
+    const fromStatus = card.status;
+    if (fromStatus === 'Inactive' && toStatus === 'Active') {
+        return activation
+            ? null
+            : { httpStatus: 409, error: 'Inactive cards can only be activated through /card/activate.' };
+    }
+    if (!(CARD_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+        return { httpStatus: 409, error: `Invalid card status transition: ${fromStatus} -> ${toStatus}.` };
+    }
+
+    if (fromStatus === 'Blocked' && toStatus === 'Blocked' && card.block_code === blockCode) {
+        return { httpStatus: 409, error: `Card is already Blocked with block code ${blockCode}.` };
+    }
+    // A permanent block may only be escalated to another permanent one
+    if (fromStatus === 'Blocked' && toStatus === 'Blocked' &&
+        !BLOCK_CODES[card.block_code]?.reversible && BLOCK_CODES[blockCode].reversible) {
+        return {
+            httpStatus: 409,
+            error: `Card is Blocked with permanent block code ${card.block_code}; it cannot be changed to reversible block code ${blockCode}.`
+        };
+    }
+    if (fromStatus === 'Blocked' && toStatus === 'Active' && !BLOCK_CODES[card.block_code]?.reversible) {
+        return {
+            httpStatus: 409,
+            error: `Card is Blocked with permanent block code ${card.block_code}; it cannot be reactivated and must be replaced.`
+        };
+    }
+    const currentBlock = BLOCK_CODES[card.block_code];
+    const liftingBlock = toStatus === 'Active' || (toStatus === 'Blocked' && BLOCK_CODES[blockCode].reversible);
+    if (fromStatus === 'Blocked' && liftingBlock && currentBlock?.liftedBy &&
+        !{ pinUnlock, accountReactivation }[currentBlock.liftedBy]) {
+        return {
+            httpStatus: 409,
+            error: `Card is Blocked with block code ${card.block_code} (${currentBlock.description}); to lift it, ${currentBlock.howToLift}.`
+        };
+    }
+    // Otherwise lifting the block would skip the CVV/expiry checks of /card/activate
+    if (fromStatus === 'Inactive' && BLOCK_CODES[blockCode]?.reversible) {
+        return { httpStatus: 409, error: `Reversible block ${blockCode} can only be placed on an Active card.` };
+    }
+    return null;
+};
+
+/**
+ * Validates and applies a card status change, and records it in card_events.
+ * Must be given the store or the caller's open transaction; nothing is written
+ * when the move is rejected.
+ * @param {object} db - The store or an open transaction.
+ * @param {object} card - The cards row (as currently stored).
+ * @param {string} toStatus - Target status.
+ * @param {object} [options]
+ * @param {string|null} [options.blockCode] - Required for Blocked; defaults to 'C' for Closed.
+ * @param {boolean} [options.activation] - Allows Inactive -> Active (card activation only).
+ * @param {boolean} [options.pinUnlock] - Allows lifting block code P (PIN unlock only).
+ * @param {boolean} [options.accountReactivation] - Allows lifting block code A (account reactivation only).
+ * @param {object} [options.context] - Audit context { actor, reason, source }.
+ * @returns {object} { success: true, from, to, block_code } or { success: false, httpStatus, error }.
+ */
+const transitionCard = async (db, card, toStatus, { blockCode = null, activation = false, pinUnlock = false, accountReactivation = false, context = SYSTEM_CONTEXT } = {}) => {
+    const effectiveBlockCode = toStatus === 'Closed' && blockCode === null ? 'C' : blockCode;
+
+    const failure = validateCardTransition(card, toStatus, effectiveBlockCode, { activation, pinUnlock, accountReactivation });
+    if (failure) {
+        return { success: false, ...failure };
+    }
+
+    const fields = { status: toStatus };
+    if (effectiveBlockCode !== null) {
+        fields.block_code = effectiveBlockCode;
+    } else if (toStatus === 'Active') {
+        fields.block_code = ''; // Reactivation clears the block code
+        if (card.block_code === 'P') {
+            fields.pin_attempts = 0; // Lifting a PIN lock also resets the try counter
+        }
+    }
+
+    await recordCardChanges(db, card, fields, context);
+    await db.cards.update(card.exid, fields);
+    return { success: true, from: card.status, to: toStatus, block_code: fields.block_code ?? card.block_code };
+};
+
+/**
+ * Checks whether an account may move to a new status.
+ * @param {object} account - The accounts row.
+ * @param {string} toStatus - Target status.
+ * @returns {object|null} { httpStatus, error } when the move is not allowed, or null.
+ */
+const validateAccountTransition = (account, toStatus) => {
+    if (!ACCOUNT_STATUSES.includes(toStatus)) {
+        return { httpStatus: 400, error: `Unknown account status '${toStatus}'. Valid statuses are: ${ACCOUNT_STATUSES.join(', ')}.` };
+    }
+    if (!(ACCOUNT_TRANSITIONS[account.status] || []).includes(toStatus)) {
+        return { httpStatus: 409, error: `Invalid account status transition: ${account.status} -> ${toStatus}.` };
+    }
+    return null;
+};
+
+/**
+ * Works out what an account status change means for one of its cards.
+ * - Frozen blocks Active cards with block code A.
+ * - Active lifts block code A again.
+ * - Closed closes every card that is not already Closed.
+ * @param {string} accountStatus - New account status.
+ * @param {object} card - The cards row.
+ * @returns {object|null} { status, blockCode } to apply, or null when the card is unaffected.
+ */
+const cardTransitionForAccountStatus = (accountStatus, card) => {
+    switch (accountStatus) {
+        case 'Frozen':
+            return card.status === 'Active' ? { status: 'Blocked', blockCode: 'A' } : null;
+        case 'Active':
+            return card.status === 'Blocked' && card.block_code === 'A' ? { status: 'Active', blockCode: null } : null;
+        case 'Closed':
+            return card.status !== 'Closed' ? { status: 'Closed', blockCode: 'C' } : null;
+        default:
+            return null;
+    }
+};
+
+module.exports = {
+    CARD_STATUSES,
+    CARD_TRANSITIONS,
+    BLOCK_CODES,
+    ACCOUNT_STATUSES,
+    validateCardTransition,
+    transitionCard,
+    validateAccountTransition,
+    cardTransitionForAccountStatus,
+};
@@ -0,0 +1,71 @@
+// cardSecurity.js
+// Card security codes. CVV1 (magstripe), CVV2 (printed on the card) and iCVV
+// (chip) are derived through the HSM from the PAN, expiry and service code.
+// They are never stored: issuance hands them to card personalisation and
+// verification recomputes them under the CVK version the card was issued
+// with (cards.cvk_version), so rotating the CVK only affects new cards.
+
+const hsm = require('./hsmSimulator');
+const keyStore = require('./keyStore');
+const { parseExpiry } = require('./cardExpiry');
+
+// Service code encoded on the magstripe: international, IC card, normal
+// authorization, no restrictions
+const SERVICE_CODE = process.env.CARD_SERVICE_CODE || '201';
+
+const SECURITY_CODE_TYPES = ['CVV1', 'CVV2', 'ICVV'];
+
+// --- Helper Functions ---
+
+/**
+ * Converts a stored MM/YY expiry to the YYMM form the CVV algorithm uses.
+ * @param {string} expiry - e.g. '08/29'.
+ * @returns {string|null} e.g. '2908', or null when the expiry is invalid.
+ */
+const toYymm = (expiry) => (parseExpiry(expiry) ? `${expiry.slice(3, 5)}${expiry.slice(0, 2)}` : null);
+
+/**
+ * Derives all security codes of a card.
+ * @param {string} pan - Primary Account Number.
+ * @param {string} expiry - MM/YY.
+ * @param {number|null} [cvkVersion] - CVK version; new cards use the current one.
+ * @returns {object} { service_code, cvk_version, cvv1, cvv2, icvv }.
+ */
+const deriveSecurityCodes = (pan, expiry, cvkVersion = null) => {
+    const yymm = toYymm(expiry);
+    if (!yymm) throw new Error(`Invalid card expiry '${expiry}'.`);
+    const version = cvkVersion ?? keyStore.getCurrentVersion('CVK');
+
+    return {
+        service_code: SERVICE_CODE,
+        cvk_version: version,
+        cvv1: hsm.generateCvvCvc(pan, yymm, SERVICE_CODE, version),
+        cvv2: hsm.generateCvvCvc2(pan, yymm, version),
+        icvv: hsm.generateIcvv(pan, yymm, version),
+    };
+};
+
+/**
+ * Verifies a security code by recomputing it through the HSM.
+ * @param {object} card - The cards row (pan, expiry and cvk_version are used).
+ * @param {string} value - The code presented.
+ * @param {string} [type='CVV2'] - CVV1, CVV2 or ICVV.
+ * @returns {boolean}
+ */
+const verifySecurityCode = (card, value, type = 'CVV2') => {
+    if (!SECURITY_CODE_TYPES.includes(type)) throw new Error(`Unknown security code type '${type}'.`);
+    if (!/^\d{3}$/.test(String(value ?? ''))) return false;
+    if (!toYymm(card.expiry)) return false; // A corrupt expiry never verifies
+
+    let codes;
+    try {
+        codes = deriveSecurityCodes(card.pan, card.expiry, card.cvk_version ?? 1);
+    } catch (e) {
+        // A retired (or missing) CVK version no longer verifies anything
+        console.error("CVV_VERIFY_ERROR:", e.message);
+        return false;
+    }
+    return codes[type.toLowerCase()] === String(value);
+};
+
+module.exports = { SERVICE_CODE, SECURITY_CODE_TYPES, deriveSecurityCodes, verifySecurityCode };
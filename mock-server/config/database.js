@@ -0,0 +1,22 @@
+// config/database.js
+// Shared storage settings for every mock module and the combined launcher.
+// Values can be overridden through environment variables so the same code
+// runs against a local or a CI database without editing the modules.
+
+// Storage backend used by the repositories: 'mysql' (default) or 'memory'.
+// The in-memory backend lets the mock run on a machine without MySQL.
+const STORE_BACKEND = process.env.STORE_BACKEND || 'mysql';
+
+// Whether the in-memory backend starts with the seed data from sql/seeds
+// (fee rules plus demo clients, accounts and cards). Set to 'false' to start empty.
+const MEMORY_STORE_SEED = process.env.MEMORY_STORE_SEED !== 'false';
+
+const dbConfig = {
+    host: process.env.DB_HOST || '',
+    user: process.env.DB_USER || '',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'card_management_system',
+    port: process.env.DB_PORT ? parseInt(process.env.DB_PORT, 10) : 3306,
+};
+
+module.exports = { STORE_BACKEND, MEMORY_STORE_SEED, dbConfig };
@@ -1,22 +1,55 @@
 // config/hsmKeys.js
 // !!! WARNING: NON-PRODUCTION TEST KEYS !!!
 // In a real system, these would be high-entropy, encrypted keys managed by an HSM.
+// The key store (keyStore.js) imports them as version 1 of each key (PVKS by
+// PVKI), wrapped under the local master key, the first time it is loaded.
 
 const HASH_SALT = 'CMS-MOCK-SALT'; // Used for generic hashing/mocking cryptographic output
 
 const MOCK_KEYS = {
     // 1. For CVV/CVC Generation
-    CVK: '0A1B2C3D4E5F6A7B8C9D0E1F2A3B4C5D', // Card Verification Key (32 hex chars for T-DES mock)
+    CVK: '0A1B2C3D4E5F6A7B8C9D0E1F2A3B4C5D', // Card Verification Key pair A|B (double-length T-DES, 32 hex chars)
 
-    // 2. For PIN Validation
-    PVK: 'F1E2D3C4B5A69788796A5B4C3D2E1F0A', // PIN Verification Key
+    // 2. For PIN Validation: PIN Verification Keys (double-length T-DES) by
+    // PVKI. New PVVs use DEFAULT_PVKI; older PVVs keep verifying with the key
+    // their card's pvki points to.
+    PVKS: {
+        1: 'F1E2D3C4B5A69788796A5B4C3D2E1F0A',
+        2: '5D4C3B2A1F0E9D8C7B6A594837261504',
+    },
+    DEFAULT_PVKI: 1,
+
+    // Zone PIN Keys: PIN blocks exchanged with terminals and gateways are
+    // encrypted under these (ISO 9564 formats 0, 1 and 3 use TDES, format 4 AES)
+    ZPK: 'C1D0F8FB4958670DBA40AB1F3752EF0D', // Double-length T-DES key (32 hex chars)
+    ZPK_AES: '2B7E151628AED2A6ABF7158809CF4F3C', // AES-128 key (32 hex chars)
 
     // 3. For EMV Key Derivation (Mock Master Keys)
-    MK_AC: 'EMV-AC-MASTER-KEY-TEST-001', // Master Key for Application Cryptogram
+    MK_AC: '9E15204313F7318ACB79B90BD986AD29', // Issuer Master Key for Application Cryptograms (double-length T-DES)
     MK_SDA: 'EMV-SDA-MASTER-KEY-TEST-002', // Master Key for Static Data Authentication
 
-    // Optional (for future use)
-    MK_DUKPT: 'DUKPT-TEST-KEY-003',
+    // 4. Base Derivation Keys for DUKPT terminals (PIN blocks encrypted per transaction)
+    MK_DUKPT: '0123456789ABCDEFFEDCBA9876543210', // TDES DUKPT BDK (double-length), the ANSI X9.24 test BDK
+    MK_DUKPT_AES: 'FEDCBA9876543210F1F1F1F1F1F1F1F1', // AES DUKPT BDK (AES-128), the ANSI X9.24-3 test BDK
+
+    // 5. Zone Master Keys: TR-31 key block protection keys for key exchange
+    ZMK: '89E88CF7931444F334BD7547FC3F380C', // Double-length T-DES (version B key blocks)
+    ZMK_AES: '88E1AB2A2E3DD38C1FA039A536500CC8A87AB9D62DC92C01058FA79F44657DE6', // AES-256 (version D key blocks)
+};
+
+// Local Master Key (AES-256): every key in the key store is held as a TR-31
+// key block wrapped under it. Changing it makes stored key blocks unreadable.
+const LOCAL_MASTER_KEY = process.env.HSM_LMK || '9B71D224BD62F3785D96D46AD3EA3D73319BFBC2890CAADAE2DFF72519673CA7';
+
+// Published example keys. With HSM_TEST_VECTOR_MODE=true the simulator uses
+// these for every CVK/PVK (whatever the PVKI) so its output can be compared
+// with the scheme test vectors.
+const TEST_VECTOR_KEYS = {
+    CVK: '0123456789ABCDEFFEDCBA9876543210',
+    PVK: '0123456789ABCDEFFEDCBA9876543210',
+    BDK: '0123456789ABCDEFFEDCBA9876543210',
+    BDK_AES: 'FEDCBA9876543210F1F1F1F1F1F1F1F1',
+    KBPK_AES: '88E1AB2A2E3DD38C1FA039A536500CC8A87AB9D62DC92C01058FA79F44657DE6',
 };
 
-module.exports = { MOCK_KEYS, HASH_SALT };
\ No newline at end of file
+module.exports = { MOCK_KEYS, HASH_SALT, TEST_VECTOR_KEYS, LOCAL_MASTER_KEY };
\ No newline at end of file
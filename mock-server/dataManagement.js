@@ -1,15 +1,25 @@
 const express = require('express');
-const cors = require('cors');
-const mysql = require('mysql2/promise');
-const app = express();
+const { createApp } = require('./app');
+const { getStore } = require('./store');
+const {
+    ACCOUNT_STATUSES,
+    transitionCard,
+    validateAccountTransition,
+    cardTransitionForAccountStatus
+} = require('./cardLifecycle');
+const { getCallerContext, recordCardChanges } = require('./cardEvents');
+const { findProduct, findOpenProduct, pocketCurrencies } = require('./productCatalog');
 const PORT = 3000;
 
 // --- Configuration ---
 const BEARER_TOKEN = 'sk_test_xxxxxx'; // The expected valid token
 
-// --- Middleware ---
-app.use(express.json());
-app.use(cors());
+// Card-level meaning of the new_status values accepted by /updateStatus
+const CARD_STATUS_FOR_UPDATE = {
+    Active: { status: 'Active', blockCode: null },
+    Frozen: { status: 'Blocked', blockCode: 'T' }, // Freeze = temporary block
+    Closed: { status: 'Closed', blockCode: 'C' },
+};
 
 /**
  * Bearer Token Authentication Middleware
@@ -30,8 +40,8 @@ const authenticateBearer = (req, res, next) => {
     next();
 };
 
-// --- DB Connection Setup ---
-let dbConnection;
+// --- Data Store (shared with the other modules) ---
+const store = getStore();
 
 // --- DB Helper Functions ---
 
@@ -41,9 +51,7 @@ let dbConnection;
  * @returns {object|null} The client row or null.
  */
 const findClient = async (id) => {
-    // Select client_id and tax_number for the uniqueness check
-    const [rows] = await dbConnection.query('SELECT client_id, tax_number FROM clients WHERE client_id = ?', [id]);
-    return rows.length > 0 ? rows[0] : null;
+    return store.clients.findById(id);
 };
 
 /**
@@ -55,32 +63,30 @@ const findClient = async (id) => {
 const isTaxNumberUnique = async (taxNumber, clientId) => {
     if (!taxNumber) return true;
 
-    const [rows] = await dbConnection.query(
-        'SELECT client_id FROM clients WHERE tax_number = ? AND client_id != ?',
-        [taxNumber, clientId]
-    );
-    return rows.length === 0;
+    const otherClient = await store.clients.findByTaxNumber(taxNumber, { excludeClientId: clientId });
+    return !otherClient;
 };
 
 /**
  * Finds an account record using the account_number.
  * @param {string} accountNumber - The account number.
+ * @param {object} [db=store] - The store or open transaction to read from.
+ * @param {object} [options] - { forUpdate } locks the row for the rest of the transaction.
  * @returns {object|null} The account row or null.
  */
-const findAccountByNumber = async (accountNumber) => {
-    const [rows] = await dbConnection.query('SELECT account_number FROM accounts WHERE account_number = ?', [accountNumber]);
-    return rows.length > 0 ? rows[0] : null;
+const findAccountByNumber = async (accountNumber, db = store, options) => {
+    return db.accounts.findByNumber(accountNumber, options);
 };
 
 /**
  * Finds a card record using the external_id (exid).
  * @param {string} exid - The card's external ID.
+ * @param {object} [db=store] - The store or open transaction to read from.
+ * @param {object} [options] - { forUpdate } locks the row for the rest of the transaction.
  * @returns {object|null} The card row or null.
  */
-const findCardByExid = async (exid) => {
-    // We select 'exid' for existence check and 'account_number' if needed for status sync logic
-    const [rows] = await dbConnection.query('SELECT exid, account_number FROM cards WHERE exid = ?', [exid]);
-    return rows.length > 0 ? rows[0] : null;
+const findCardByExid = async (exid, db = store, options) => {
+    return db.cards.findByExid(exid, options);
 };
 
 /**
@@ -89,8 +95,7 @@ const findCardByExid = async (exid) => {
  * @returns {Array<object>} List of card records linked to the account.
  */
 const findCardsByAccountNumber = async (accountNumber) => {
-    const [rows] = await dbConnection.query('SELECT exid, status FROM cards WHERE account_number = ?', [accountNumber]);
-    return rows;
+    return store.cards.findByAccountNumber(accountNumber);
 };
 
 // --- ROUTER SETUP ---
@@ -133,12 +138,9 @@ updateRouter.post('/updateClient', async (req, res) => {
         // --- Execute Update Query ---
         const incomeValue = income ? parseFloat(income) : null; 
 
-        await dbConnection.execute(
-            `UPDATE clients 
-             SET name = ?, surname = ?, id_number = ?, date_of_birth = ?, gender = ?, income = ?, tax_number = ?, updated_at = NOW() 
-             WHERE client_id = ?`,
-            [name, surname, id_number, date_of_birth, gender, incomeValue, tax_number, client_id]
-        );
+        await store.clients.update(client_id, {
+            name, surname, id_number, date_of_birth, gender, income: incomeValue, tax_number
+        });
 
         return res.status(200).json({ success: true, message: 'Client updated successfully.', client_id });
     } catch (e) {
@@ -165,25 +167,53 @@ updateRouter.post('/updateAccountContract', async (req, res) => {
         return res.status(400).json({ success: false, error: 'Missing mandatory fields (product_code, dateOpened).' });
     }
 
+    let tx;
     try {
-        const account = await findAccountByNumber(account_number);
+        tx = await store.beginTransaction();
+
+        // Locked so no deposit opens or fills a pocket while the product changes
+        const account = await tx.accounts.findByNumber(account_number, { forUpdate: true });
 
         if (!account) {
+            await tx.rollback();
             return res.status(404).json({ success: false, error: 'Account not found.' });
         }
 
+        // The new product must be in the catalog and Active
+        const productLookup = await findOpenProduct(tx, product_code);
+        if (!productLookup.success) {
+            await tx.rollback();
+            return res.status(productLookup.httpStatus).json({ success: false, error: productLookup.error });
+        }
+
+        // Money in a currency pocket the new product cannot hold would be stranded
+        const allowedCurrencies = pocketCurrencies(productLookup.product);
+        const strandedPockets = (await tx.accountPockets.findByAccountNumber(account_number)).filter((pocket) =>
+            !allowedCurrencies.includes(pocket.currency_code) &&
+            (parseFloat(pocket.balance) !== 0 || parseFloat(pocket.held_amount) !== 0));
+        if (strandedPockets.length > 0) {
+            await tx.rollback();
+            return res.status(409).json({
+                success: false,
+                error: `Product ${product_code} cannot hold ${strandedPockets.map((pocket) => pocket.currency_code).join(', ')}. Settle the balances and holds of those currency pockets first.`
+            });
+        }
+
         // --- Execute Update Query against the 'accounts' table ---
-        await dbConnection.execute(
-            `UPDATE accounts 
-             SET product_code = ?, date_opened = ?, updated_at = NOW() 
-             WHERE account_number = ?`,
-            [product_code, dateOpened, account_number]
-        );
+        await tx.accounts.update(account_number, { product_code, date_opened: dateOpened });
+        await tx.commit();
 
         return res.status(200).json({ success: true, message: 'Account updated successfully.', account_number });
     } catch (e) {
+        if (tx) {
+            await tx.rollback();
+        }
         console.error(`Account update error for ${account_number}:`, e.message);
         return res.status(500).json({ success: false, error: `Database or server error: ${e.message}` });
+    } finally {
+        if (tx) {
+            tx.release();
+        }
     }
 });
 
@@ -205,29 +235,55 @@ updateRouter.post('/updateCardContract', async (req, res) => {
         return res.status(400).json({ success: false, error: 'Missing mandatory fields (product_code).' });
     }
 
+    let tx;
     try {
+        tx = await store.beginTransaction();
+
         // Find the record using exid
-        const card = await findCardByExid(exid);
+        const card = await findCardByExid(exid, tx, { forUpdate: true });
 
         if (!card) {
+            await tx.rollback();
             return res.status(404).json({ success: false, error: `Card details not found for External ID ${exid}.` });
         }
-        
-        // Ensure limit_amount is handled as a number
-        const limitAmountValue = limit_amount ? parseFloat(limit_amount) : null; 
 
-        // --- Execute Update Query against the 'cards' table ---
-        await dbConnection.execute(
-            `UPDATE cards 
-             SET product_code = ?, emboss_name = ?, limit_amount = ?, updated_at = NOW() 
-             WHERE exid = ?`,
-            [product_code, emboss_name, limitAmountValue, exid]
-        );
+        // The new product must be in the catalog and Active
+        const productLookup = await findOpenProduct(tx, product_code);
+        if (!productLookup.success) {
+            await tx.rollback();
+            return res.status(productLookup.httpStatus).json({ success: false, error: productLookup.error });
+        }
+        const { product } = productLookup;
+
+        // A physical card cannot become virtual (or the reverse) in place; that needs a new card
+        const currentProduct = await findProduct(tx, card.product_code);
+        if (currentProduct && currentProduct.card_type !== product.card_type) {
+            await tx.rollback();
+            return res.status(409).json({ success: false, error: `Card is ${currentProduct.card_type} and product ${product_code} is ${product.card_type}. Issue a new card instead.` });
+        }
+
+        // Ensure limit_amount is handled as a number; the product's default limit unless one is given
+        const limitAmountValue = limit_amount !== undefined && !isNaN(parseFloat(limit_amount)) ? parseFloat(limit_amount) : product.default_limit;
+        const fields = { product_code, limit_amount: limitAmountValue };
+        if (emboss_name !== undefined) fields.emboss_name = emboss_name;
+
+        // --- Audit limit/emboss name changes, then update the 'cards' table ---
+        await recordCardChanges(tx, card, fields, getCallerContext(req, 'Card contract update'));
+        await tx.cards.update(exid, fields);
+
+        await tx.commit();
 
         return res.status(200).json({ success: true, message: 'Card details updated successfully.', exid });
     } catch (e) {
+        if (tx) {
+            await tx.rollback();
+        }
         console.error(`Card update error for ${exid}:`, e.message);
         return res.status(500).json({ success: false, error: `Database or server error: ${e.message}` });
+    } finally {
+        if (tx) {
+            tx.release();
+        }
     }
 });
 
@@ -244,89 +300,87 @@ updateRouter.post('/updateStatus', async (req, res) => {
     } = req.body;
 
     // --- Validation ---
-    const allowedStatuses = ['Active', 'Frozen', 'Closed'];
-    if (!new_status || !allowedStatuses.includes(new_status)) {
-        return res.status(400).json({ success: false, error: `Mandatory field new_status is invalid. Must be one of: ${allowedStatuses.join(', ')}.` });
+    if (!new_status || !ACCOUNT_STATUSES.includes(new_status)) {
+        return res.status(400).json({ success: false, error: `Mandatory field new_status is invalid. Must be one of: ${ACCOUNT_STATUSES.join(', ')}.` });
     }
     
     if (!account_number && !exid) {
         return res.status(400).json({ success: false, error: 'Must provide either account_number or exid.' });
     }
 
-    let connection;
+    const context = getCallerContext(req, `Status update to ${new_status}`);
+    let tx;
+
+    // Rolls back and reports a transition the lifecycle rejected
+    const reject = async (failure) => {
+        await tx.rollback();
+        return res.status(failure.httpStatus).json({ success: false, error: failure.error });
+    };
+
     try {
-        connection = await dbConnection.getConnection();
-        await connection.beginTransaction();
+        tx = await store.beginTransaction();
 
         const updates = [];
-        let accountUpdatePerformed = false;
-        let cardUpdatePerformed = false;
 
         // 1. Handle Account Status Update and Card Synchronization
         if (account_number) {
-            const accountUpdateResult = await connection.execute(
-                `UPDATE accounts 
-                 SET status = ?, updated_at = NOW() 
-                 WHERE account_number = ?`,
-                [new_status, account_number]
-            );
-
-            if (accountUpdateResult[0].affectedRows > 0) {
-                accountUpdatePerformed = true;
-                updates.push(`Account ${account_number} updated to ${new_status}.`);
-
-                // Synchronize all linked cards to the same status
-                const [cardSyncResult] = await connection.execute(
-                    `UPDATE cards 
-                     SET status = ?, updated_at = NOW() 
-                     WHERE account_number = ?`,
-                    [new_status, account_number]
-                );
-                if (cardSyncResult.affectedRows > 0) {
-                    updates.push(`Synchronized ${cardSyncResult.affectedRows} linked card(s) to ${new_status}.`);
-                }
-            } else {
-                // Check if account exists but wasn't updated (e.g., status already set)
-                const account = await findAccountByNumber(account_number);
-                if (!account) {
-                    await connection.rollback();
-                    return res.status(404).json({ success: false, error: `Account ${account_number} not found.` });
+            const account = await findAccountByNumber(account_number, tx, { forUpdate: true });
+            if (!account) {
+                await tx.rollback();
+                return res.status(404).json({ success: false, error: `Account ${account_number} not found.` });
+            }
+
+            const accountFailure = validateAccountTransition(account, new_status);
+            if (accountFailure) {
+                return await reject(accountFailure);
+            }
+            await tx.accounts.update(account_number, { status: new_status });
+            updates.push(`Account ${account_number} updated to ${new_status}.`);
+
+            // Synchronize the linked cards through the card lifecycle
+            const linkedCards = await tx.cards.findByAccountNumber(account_number, { forUpdate: true });
+            let cardsSynced = 0;
+            for (const card of linkedCards) {
+                const target = cardTransitionForAccountStatus(new_status, card);
+                if (!target) continue;
+
+                const result = await transitionCard(tx, card, target.status, {
+                    blockCode: target.blockCode,
+                    accountReactivation: new_status === 'Active',
+                    context: getCallerContext(req, `Account ${account_number} set to ${new_status}`)
+                });
+                if (!result.success) {
+                    return await reject({ httpStatus: result.httpStatus, error: `Card ${card.exid}: ${result.error}` });
                 }
+                cardsSynced++;
+            }
+            if (cardsSynced > 0) {
+                updates.push(`Synchronized ${cardsSynced} linked card(s) for account status ${new_status}.`);
             }
         }
 
         // 2. Handle Specific Card Status Update
         if (exid) {
-            // Only update the specific card if it wasn't already updated via the account cascade
-            const cardUpdateResult = await connection.execute(
-                `UPDATE cards 
-                 SET status = ?, updated_at = NOW() 
-                 WHERE exid = ?`,
-                [new_status, exid]
-            );
-
-            if (cardUpdateResult[0].affectedRows > 0) {
-                cardUpdatePerformed = true;
-                updates.push(`Card ${exid} updated to ${new_status}.`);
+            const card = await findCardByExid(exid, tx, { forUpdate: true });
+            if (!card) {
+                await tx.rollback();
+                return res.status(404).json({ success: false, error: `Card ${exid} not found.` });
+            }
+
+            const target = CARD_STATUS_FOR_UPDATE[new_status];
+            if (account_number && card.account_number === account_number && card.status === target.status) {
+                // Already moved by the account cascade above
+                updates.push(`Card ${exid} already ${card.status} via the account update.`);
             } else {
-                // Check if card exists but wasn't updated
-                const card = await findCardByExid(exid);
-                if (!card) {
-                    await connection.rollback();
-                    return res.status(404).json({ success: false, error: `Card ${exid} not found.` });
+                const result = await transitionCard(tx, card, target.status, { blockCode: target.blockCode, context });
+                if (!result.success) {
+                    return await reject(result);
                 }
+                updates.push(`Card ${exid} updated from ${result.from} to ${result.to}.`);
             }
         }
 
-        // Ensure at least one update occurred if both identifiers were provided, or the single one was updated.
-        if (!accountUpdatePerformed && !cardUpdatePerformed) {
-             // Rollback if we failed to update, but only after checking the entities exist (which was done above)
-             await connection.rollback();
-             return res.status(400).json({ success: false, error: 'No updates were performed. Check if the entity already has the requested status.' });
-        }
-
-
-        await connection.commit();
+        await tx.commit();
         
         return res.status(200).json({ 
             success: true, 
@@ -336,40 +390,28 @@ updateRouter.post('/updateStatus', async (req, res) => {
         });
 
     } catch (e) {
-        if (connection) {
-            await connection.rollback();
+        if (tx) {
+            await tx.rollback();
         }
         console.error("STATUS_UPDATE_ERROR:", e.message);
         return res.status(500).json({ success: false, error: `Database or server error: ${e.message}` });
     } finally {
-        if (connection) {
-            connection.release();
+        if (tx) {
+            tx.release();
         }
     }
 });
 
 
-// Attach the router to the main app path
-app.use('/api/v1/update', updateRouter);
+// Attach the update router under its module path
+const router = express.Router();
+router.use('/update', updateRouter);
 
-// --- Server Startup ---
-(async () => {
-    try {
-        dbConnection = await mysql.createPool({
-            host: "",
-            user: "",
-            password: "", //  UPDATE THIS PASSWORD
-            database: "card_management_system",
-            port: 3306,
-        });
-        console.log("MySQL connected and ready.");
-
-        app.listen(PORT, () => {
-            console.log(`Update API running on http://localhost:${PORT}`);
-        });
+module.exports = { router };
 
-    } catch (err) {
-        console.error("DB Connection Failed:", err.message);
-        process.exit(1);
-    }
-})();
\ No newline at end of file
+// --- Server Startup (standalone mode) ---
+if (require.main === module) {
+    createApp(router).listen(PORT, () => {
+        console.log(`Update API running on http://localhost:${PORT}`);
+    });
+}
@@ -0,0 +1,21 @@
+// db.js
+// Owns the single MySQL connection pool shared by all mock modules.
+
+const mysql = require('mysql2/promise');
+const { dbConfig } = require('./config/database');
+
+let pool;
+
+/**
+ * Returns the shared connection pool, creating it on first use.
+ * mysql2 pools connect lazily, so this never blocks module loading.
+ * @returns {object} The mysql2 promise pool.
+ */
+const getPool = () => {
+    if (!pool) {
+        pool = mysql.createPool(dbConfig);
+    }
+    return pool;
+};
+
+module.exports = { getPool };
@@ -0,0 +1,369 @@
+// feeBilling.js
+// Fee billing: charges the account fees that are not tied to a transaction.
+// Periodic fees (monthly service, inactivity) are raised once per account
+// and calendar month; event fees (card replacement) are raised when the
+// event happens. Both come from the fee rules in fees_schedule (see
+// feeEngine.js) and are posted to fee_ledger as PENDING, then collected from
+// the account's available balance by the billing run. A fee the balance
+// cannot cover is collected in part or deferred, and later runs collect the
+// rest.
+
+const express = require('express');
+const { createApp } = require('./app');
+const { getStore } = require('./store');
+const { toIsoDate, calculateFee, findFeeRule } = require('./feeEngine');
+const PORT = 3006;
+
+// --- Configuration ---
+const BEARER_TOKEN = 'sk_admin_xxxxx'; // Admin token for the billing endpoints
+const INACTIVITY_DAYS = parseInt(process.env.INACTIVITY_DAYS || '180', 10);
+
+// What a run does with a fee the available balance cannot cover in full:
+// PARTIAL collects what there is, DEFER collects nothing until it can all be paid
+const COLLECTION_MODES = ['PARTIAL', 'DEFER'];
+const FEE_COLLECTION_MODE = process.env.FEE_COLLECTION_MODE || 'PARTIAL';
+
+// Trigger events of the fees billed here (fees_schedule.trigger_event)
+const FEE_EVENTS = {
+    MONTHLY_SERVICE: 'MONTHLY_SERVICE',
+    INACTIVITY: 'INACTIVITY',
+    CARD_REPLACEMENT: 'CARD_REPLACEMENT',
+};
+
+// Accounts that are raised periodic fees; Closed accounts only have their
+// outstanding fees collected
+const BILLABLE_ACCOUNT_STATUSES = ['Active', 'Frozen'];
+
+// fee_ledger statuses with an outstanding_amount still to collect
+const OUTSTANDING_STATUSES = ['PENDING', 'DEFERRED', 'PARTIAL'];
+
+const store = getStore();
+
+/**
+ * Bearer Token Authentication Middleware
+ */
+const authenticateBearer = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ success: false, error: "Invalid or missing Bearer token format." });
+    }
+
+    if (authHeader.split(' ')[1] !== BEARER_TOKEN) {
+        return res.status(401).json({ success: false, error: "Invalid Bearer token value." });
+    }
+
+    next();
+};
+
+// --- Helper Functions ---
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+// Adds two amounts without floating-point drift
+const addAmounts = (a, b) => (toCents(a) + toCents(b)) / 100;
+
+/**
+ * Whether an account has had no approved transaction for INACTIVITY_DAYS
+ * before the business date. Accounts opened within that time are not inactive.
+ * @param {object} tx - Open store transaction.
+ * @param {object} account - accounts row.
+ * @param {string} businessDate - YYYY-MM-DD.
+ * @returns {boolean}
+ */
+const isInactive = async (tx, account, businessDate) => {
+    const cutoff = new Date(`${businessDate}T00:00:00`);
+    cutoff.setDate(cutoff.getDate() - INACTIVITY_DAYS);
+
+    const lastTransaction = await tx.transactions.findLastApproved(account.account_number);
+    let lastActivity = new Date(account.created_at);
+    if (lastTransaction) lastActivity = new Date(lastTransaction.created_at);
+    else if (account.date_opened) lastActivity = new Date(`${toIsoDate(account.date_opened)}T00:00:00`);
+    return lastActivity < cutoff;
+};
+
+// Periodic fees in the order they are raised; isDue decides whether an
+// account owes the fee this period
+const PERIODIC_FEES = [
+    { triggerEvent: FEE_EVENTS.MONTHLY_SERVICE, isDue: async () => true },
+    { triggerEvent: FEE_EVENTS.INACTIVITY, isDue: isInactive },
+];
+
+/**
+ * Shapes a fee_ledger row for API responses and reports.
+ * @param {object} entry - fee_ledger row.
+ * @returns {object}
+ */
+const formatEntry = (entry) => ({
+    ledger_id: entry.ledger_id,
+    account_number: entry.account_number,
+    fee_code: entry.fee_code,
+    billing_period: entry.billing_period,
+    event_reference: entry.event_reference,
+    charged_amount: parseFloat(entry.charged_amount),
+    outstanding_amount: parseFloat(entry.outstanding_amount),
+    status: entry.status,
+    charged_at: entry.charged_at,
+});
+
+/**
+ * Raises the account's periodic fees for the billing period and collects
+ * everything outstanding on it, oldest first, from the available balance.
+ * Runs inside the caller's transaction.
+ * @param {object} tx - Open store transaction.
+ * @param {string} accountNumber
+ * @param {object} options - { businessDate, billingPeriod, insufficientFunds }.
+ * @returns {Array<object>} One result per entry collected (or not).
+ */
+const billAccount = async (tx, accountNumber, { businessDate, billingPeriod, insufficientFunds }) => {
+    const account = await tx.accounts.findByNumber(accountNumber, { forUpdate: true });
+    if (!account) return [];
+
+    // 1. Raise this period's periodic fees (once per account, fee and month)
+    const raised = [];
+    if (BILLABLE_ACCOUNT_STATUSES.includes(account.status)) {
+        for (const { triggerEvent, isDue } of PERIODIC_FEES) {
+            const rule = await findFeeRule(tx, account.product_code, triggerEvent, businessDate);
+            if (!rule || await tx.feeLedger.findByPeriod(accountNumber, rule.fee_code, billingPeriod)) continue;
+            if (!(await isDue(tx, account, businessDate))) continue;
+
+            // Percentage fees are a percentage of the ledger balance
+            const fee = calculateFee(rule, Math.max(parseFloat(account.balance), 0));
+            if (fee <= 0) continue;
+
+            raised.push(await tx.feeLedger.create({
+                fee_id: rule.fee_id,
+                account_number: accountNumber,
+                fee_code: rule.fee_code,
+                charged_amount: 0.00,
+                outstanding_amount: fee,
+                billing_period: billingPeriod,
+                status: 'PENDING'
+            }));
+        }
+    }
+
+    // 2. Collect what is outstanding from the available balance (never into the overdraft)
+    const entries = await tx.feeLedger.findByStatuses(OUTSTANDING_STATUSES, { accountNumber, forUpdate: true });
+    let balanceCents = toCents(account.balance);
+    let availableCents = balanceCents - toCents(account.held_amount);
+    const results = [];
+
+    for (const entry of entries) {
+        const outstandingCents = toCents(entry.outstanding_amount);
+        let collectCents = Math.min(outstandingCents, Math.max(availableCents, 0));
+        if (insufficientFunds === 'DEFER' && collectCents < outstandingCents) collectCents = 0;
+
+        const remainingCents = outstandingCents - collectCents;
+        const chargedCents = toCents(entry.charged_amount) + collectCents;
+        let status = 'DEFERRED';
+        if (remainingCents === 0) status = 'POSTED';
+        else if (chargedCents > 0) status = 'PARTIAL';
+
+        await tx.feeLedger.update(entry.ledger_id, {
+            charged_amount: chargedCents / 100,
+            outstanding_amount: remainingCents / 100,
+            status
+        });
+        balanceCents -= collectCents;
+        availableCents -= collectCents;
+
+        results.push({
+            ...formatEntry({ ...entry, charged_amount: chargedCents / 100, outstanding_amount: remainingCents / 100, status }),
+            raised: raised.includes(entry.ledger_id),
+            collected_amount: collectCents / 100,
+        });
+    }
+
+    // 3. Debit the account and sync the cards
+    if (balanceCents !== toCents(account.balance)) {
+        await tx.accounts.update(accountNumber, { balance: balanceCents / 100 });
+        await tx.cards.updateByAccountNumber(accountNumber, { balance: balanceCents / 100 });
+    }
+    return results;
+};
+
+// --- Public API ---
+
+/**
+ * Raises an event fee (e.g. CARD_REPLACEMENT) as a PENDING fee_ledger entry
+ * for the next billing run to collect. Runs inside the caller's transaction,
+ * so the fee is only raised if the event commits.
+ * @param {object} tx - Open store transaction.
+ * @param {object} event - { accountNumber, productCode, triggerEvent, eventReference }.
+ * @returns {object|null} { fee_code, amount }, or null when the product charges nothing.
+ */
+const raiseEventFee = async (tx, { accountNumber, productCode, triggerEvent, eventReference }) => {
+    const rule = await findFeeRule(tx, productCode, triggerEvent);
+    if (!rule) return null;
+
+    const fee = calculateFee(rule, 0);
+    if (fee <= 0) return null;
+
+    await tx.feeLedger.create({
+        fee_id: rule.fee_id,
+        account_number: accountNumber,
+        fee_code: rule.fee_code,
+        charged_amount: 0.00,
+        outstanding_amount: fee,
+        event_reference: eventReference,
+        status: 'PENDING'
+    });
+    return { fee_code: rule.fee_code, amount: fee };
+};
+
+/**
+ * Runs fee billing for a business day: raises the month's periodic fees and
+ * collects every outstanding fee, one transaction per account so a failure
+ * leaves the other accounts billed. Safe to run more than once a month; a
+ * periodic fee is only raised once per billing period.
+ * @param {object} [options]
+ * @param {string} [options.businessDate] - YYYY-MM-DD; defaults to today.
+ * @param {string} [options.insufficientFunds=FEE_COLLECTION_MODE] - PARTIAL or DEFER.
+ * @returns {object} The billing run report.
+ */
+const runFeeBilling = async ({ businessDate = toIsoDate(new Date()), insufficientFunds = FEE_COLLECTION_MODE } = {}) => {
+    if (!COLLECTION_MODES.includes(insufficientFunds)) {
+        throw new Error(`Invalid fee collection mode '${insufficientFunds}'. Use ${COLLECTION_MODES.join(' or ')}.`);
+    }
+    const billingPeriod = businessDate.slice(0, 7);
+
+    const report = {
+        business_date: businessDate,
+        billing_period: billingPeriod,
+        insufficient_funds: insufficientFunds,
+        accounts_billed: 0,
+        fees_raised: 0,
+        collected: { count: 0, amount: 0 },
+        partially_collected: { count: 0, amount: 0, outstanding: 0 },
+        deferred: { count: 0, outstanding: 0 },
+        failed: 0,
+        by_fee_code: {},
+        entries: [],
+    };
+
+    // Every billable account, plus any other account with fees outstanding
+    const outstanding = await store.feeLedger.findByStatuses(OUTSTANDING_STATUSES);
+    const billable = await store.accounts.findByStatuses(BILLABLE_ACCOUNT_STATUSES);
+    const accountNumbers = [...new Set([
+        ...billable.map((account) => account.account_number),
+        ...outstanding.map((entry) => entry.account_number),
+    ])];
+
+    for (const accountNumber of accountNumbers) {
+        let tx;
+        try {
+            tx = await store.beginTransaction();
+            const results = await billAccount(tx, accountNumber, { businessDate, billingPeriod, insufficientFunds });
+            await tx.commit();
+
+            if (results.length > 0) report.accounts_billed += 1;
+            results.forEach((result) => {
+                if (!report.by_fee_code[result.fee_code]) {
+                    report.by_fee_code[result.fee_code] = { raised: 0, collected_amount: 0, outstanding_amount: 0 };
+                }
+                const byFee = report.by_fee_code[result.fee_code];
+                if (result.raised) {
+                    report.fees_raised += 1;
+                    byFee.raised += 1;
+                }
+                byFee.collected_amount = addAmounts(byFee.collected_amount, result.collected_amount);
+                byFee.outstanding_amount = addAmounts(byFee.outstanding_amount, result.outstanding_amount);
+
+                const { collected, partially_collected: partial, deferred } = report;
+                if (result.status === 'POSTED') {
+                    collected.count += 1;
+                    collected.amount = addAmounts(collected.amount, result.collected_amount);
+                } else if (result.collected_amount > 0) {
+                    partial.count += 1;
+                    partial.amount = addAmounts(partial.amount, result.collected_amount);
+                    partial.outstanding = addAmounts(partial.outstanding, result.outstanding_amount);
+                } else {
+                    deferred.count += 1;
+                    deferred.outstanding = addAmounts(deferred.outstanding, result.outstanding_amount);
+                }
+                report.entries.push(result);
+            });
+        } catch (e) {
+            if (tx) {
+                await tx.rollback();
+            }
+            report.failed += 1;
+            console.error(`FEE_BILLING_ERROR: Failed to bill account ${accountNumber}:`, e.message);
+        } finally {
+            if (tx) {
+                tx.release();
+            }
+        }
+    }
+
+    if (report.deferred.count + report.partially_collected.count > 0) {
+        console.warn(`FEE_BILLING_SHORTFALL: ${report.deferred.count} fees deferred and ${report.partially_collected.count} partly collected for ${billingPeriod}.`);
+    }
+    return report;
+};
+
+// ------------------------------------------------------------------------
+// --- ADMIN ENDPOINTS ---
+const adminRouter = express.Router();
+adminRouter.use(authenticateBearer);
+
+/**
+ * Runs fee billing now. The EOD batch also runs it every day (BILL_FEES).
+ * POST /api/v1/admin/billing/run
+ * Body (optional): { business_date: 'YYYY-MM-DD', insufficient_funds: 'PARTIAL' | 'DEFER' }
+ */
+adminRouter.post('/run', async (req, res) => {
+    const { business_date, insufficient_funds } = req.body ?? {};
+
+    if (business_date !== undefined && !(typeof business_date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(business_date) &&
+        toIsoDate(new Date(`${business_date}T00:00:00`)) === business_date)) {
+        return res.status(400).json({ success: false, error: "Invalid business_date. Use YYYY-MM-DD." });
+    }
+    if (insufficient_funds !== undefined && !COLLECTION_MODES.includes(insufficient_funds)) {
+        return res.status(400).json({ success: false, error: `Invalid insufficient_funds. Must be ${COLLECTION_MODES.join(' or ')}.` });
+    }
+
+    try {
+        const report = await runFeeBilling({ businessDate: business_date, insufficientFunds: insufficient_funds });
+        return res.status(200).json({ success: report.failed === 0, report });
+    } catch (e) {
+        console.error("FEE_BILLING_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Lists fees still to collect (PENDING, DEFERRED and PARTIAL), oldest first.
+ * GET /api/v1/admin/billing/outstanding?account_number=10000000001
+ */
+adminRouter.get('/outstanding', async (req, res) => {
+    try {
+        const entries = (await store.feeLedger.findByStatuses(OUTSTANDING_STATUSES, { accountNumber: req.query.account_number }))
+            .map(formatEntry);
+        const totalCents = entries.reduce((sum, entry) => sum + toCents(entry.outstanding_amount), 0);
+        return res.status(200).json({ success: true, total_outstanding: (totalCents / 100).toFixed(2), entries });
+    } catch (e) {
+        console.error("FEE_OUTSTANDING_LIST_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+// ------------------------------------------------------------------------
+// --- FINAL API ROUTER ATTACHMENT ---
+const router = express.Router();
+router.use('/admin/billing', adminRouter);
+
+module.exports = {
+    router,
+    FEE_EVENTS,
+    raiseEventFee,
+    runFeeBilling,
+};
+
+// --- Server Startup (standalone mode) ---
+if (require.main === module) {
+    createApp(router).listen(PORT, () => {
+        console.log(`Fee Billing API running on http://localhost:${PORT}`);
+    });
+}
@@ -0,0 +1,451 @@
+// feeEngine.js
+// Fee engine: calculates fees from the rules in fees_schedule and manages
+// those rules. A rule belongs to a product and a trigger event (for
+// transaction fees, the transaction type) and applies from effective_from to
+// effective_to (inclusive; null = open-ended) while is_active. The active
+// rules of a product and trigger event may not overlap in time, so at most
+// one rule applies on any day. Authorizations charge the fee of the card's
+// product; with no rule there is no fee.
+
+const express = require('express');
+const { createApp } = require('./app');
+const { getStore } = require('./store');
+const { findProduct } = require('./productCatalog');
+const PORT = 3005;
+
+// --- Configuration ---
+const BEARER_TOKEN = 'sk_admin_xxxxx'; // Admin token for the fee rule endpoints
+
+// How each fee type uses the amount_fixed, amount_percent, min_fee and
+// max_fee columns (see calculateFee)
+const FEE_TYPES = ['FIXED', 'PERCENTAGE', 'PERCENTAGE_MIN', 'PERCENTAGE_MIN_MAX'];
+
+// Bounds for open-ended periods in the overlap check
+const FIRST_DATE = '0000-01-01';
+const LAST_DATE = '9999-12-31';
+
+const store = getStore();
+
+/**
+ * Bearer Token Authentication Middleware
+ */
+const authenticateBearer = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ success: false, error: "Invalid or missing Bearer token format." });
+    }
+
+    if (authHeader.split(' ')[1] !== BEARER_TOKEN) {
+        return res.status(401).json({ success: false, error: "Invalid Bearer token value." });
+    }
+
+    next();
+};
+
+// --- Helper Functions ---
+
+/**
+ * Formats a date as YYYY-MM-DD in local time. mysql2 returns DATE columns as
+ * Dates at local midnight; the memory store keeps the strings it was given.
+ * @param {Date|string|null} value
+ * @returns {string|null}
+ */
+const toIsoDate = (value) => {
+    if (value == null) return null;
+    if (value instanceof Date) {
+        const month = String(value.getMonth() + 1).padStart(2, '0');
+        const day = String(value.getDate()).padStart(2, '0');
+        return `${value.getFullYear()}-${month}-${day}`;
+    }
+    return String(value).slice(0, 10);
+};
+
+const isIsoDate = (value) =>
+    typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && toIsoDate(new Date(`${value}T00:00:00`)) === value;
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const roundCents = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Shapes a fees_schedule row: DECIMAL columns come back from mysql2 as
+ * strings and DATE columns as Dates.
+ * @param {object} row - fees_schedule row.
+ * @returns {object}
+ */
+const formatRule = (row) => ({
+    fee_id: row.fee_id,
+    product_code: row.product_code,
+    trigger_event: row.trigger_event,
+    fee_code: row.fee_code,
+    fee_type: row.fee_type,
+    amount_fixed: row.amount_fixed == null ? null : parseFloat(row.amount_fixed),
+    amount_percent: row.amount_percent == null ? null : parseFloat(row.amount_percent),
+    min_fee: row.min_fee == null ? null : parseFloat(row.min_fee),
+    max_fee: row.max_fee == null ? null : parseFloat(row.max_fee),
+    effective_from: toIsoDate(row.effective_from),
+    effective_to: toIsoDate(row.effective_to),
+    is_active: Boolean(Number(row.is_active)),
+});
+
+/**
+ * Validates rule fields from a request against the rule's fee type. Only the
+ * fields present are checked, except that the fee type's amounts must be set
+ * once merged with the stored rule.
+ * @param {object} rule - The rule after the change (formatRule shape).
+ * @returns {string|null} The first error, or null.
+ */
+const validateRule = (rule) => {
+    const { fee_code, fee_type, amount_fixed, amount_percent, min_fee, max_fee, effective_from, effective_to } = rule;
+
+    if (typeof fee_code !== 'string' || !/^[A-Z0-9_]{2,50}$/.test(fee_code)) {
+        return "Invalid fee_code. Must be 2 to 50 characters of A-Z, 0-9 and '_'.";
+    }
+    if (!FEE_TYPES.includes(fee_type)) {
+        return `Invalid fee_type. Must be one of ${FEE_TYPES.join(', ')}.`;
+    }
+    if (amount_fixed != null && !isAmount(amount_fixed)) {
+        return "Invalid amount_fixed. Must be a number of 0 or more.";
+    }
+    if (amount_percent != null && (!isAmount(amount_percent) || amount_percent > 1)) {
+        return "Invalid amount_percent. Must be a rate from 0 to 1 (0.015 = 1.5%).";
+    }
+    if (min_fee != null && !isAmount(min_fee)) {
+        return "Invalid min_fee. Must be a number of 0 or more.";
+    }
+    if (max_fee != null && !isAmount(max_fee)) {
+        return "Invalid max_fee. Must be a number of 0 or more.";
+    }
+
+    if (fee_type === 'FIXED' && amount_fixed == null) {
+        return "A FIXED fee needs amount_fixed.";
+    }
+    if (fee_type !== 'FIXED' && amount_percent == null) {
+        return `A ${fee_type} fee needs amount_percent.`;
+    }
+    if (fee_type === 'PERCENTAGE_MIN_MAX' && (max_fee == null || (min_fee ?? 0) > max_fee)) {
+        return "A PERCENTAGE_MIN_MAX fee needs max_fee of at least min_fee.";
+    }
+
+    if (effective_from != null && !isIsoDate(effective_from)) {
+        return "Invalid effective_from. Must be a date (YYYY-MM-DD) or null.";
+    }
+    if (effective_to != null && !isIsoDate(effective_to)) {
+        return "Invalid effective_to. Must be a date (YYYY-MM-DD) or null.";
+    }
+    if (effective_from != null && effective_to != null && effective_from > effective_to) {
+        return "effective_from must not be after effective_to.";
+    }
+    return null;
+};
+
+/**
+ * Whether two rules' effective periods share a day.
+ * @param {object} a - formatRule shape.
+ * @param {object} b - formatRule shape.
+ * @returns {boolean}
+ */
+const periodsOverlap = (a, b) =>
+    (a.effective_from ?? FIRST_DATE) <= (b.effective_to ?? LAST_DATE) &&
+    (b.effective_from ?? FIRST_DATE) <= (a.effective_to ?? LAST_DATE);
+
+/**
+ * Finds an active rule of the same product and trigger event whose period
+ * overlaps the rule's.
+ * @param {object} tx - Open store transaction.
+ * @param {object} rule - formatRule shape (fee_id is null for a new rule).
+ * @returns {object|null} The overlapping rule.
+ */
+const findOverlappingRule = async (tx, rule) => {
+    const rules = await tx.feesSchedule.list({ productCode: rule.product_code, triggerEvent: rule.trigger_event });
+    return rules.map(formatRule).find((existing) =>
+        existing.fee_id !== rule.fee_id && existing.is_active && periodsOverlap(existing, rule)) ?? null;
+};
+
+/**
+ * Picks the rule columns out of a request body.
+ * @param {object} body
+ * @returns {object}
+ */
+const ruleFieldsFrom = (body) => {
+    const fields = {};
+    ['fee_code', 'fee_type', 'amount_fixed', 'amount_percent', 'min_fee', 'max_fee', 'effective_from', 'effective_to']
+        .forEach((field) => {
+            if (body[field] !== undefined) fields[field] = body[field];
+        });
+    return fields;
+};
+
+/**
+ * Saves a rule inside a transaction after the overlap check.
+ * @param {object} rule - The complete rule (formatRule shape).
+ * @param {function} save - async (tx) => fee_id; writes the rule.
+ * @returns {object} { success: true, rule } or { success: false, httpStatus, error }.
+ */
+const saveRule = async (rule, save) => {
+    let tx;
+    try {
+        tx = await store.beginTransaction();
+
+        if (rule.is_active) {
+            const overlapping = await findOverlappingRule(tx, rule);
+            if (overlapping) {
+                await tx.rollback();
+                const period = `${overlapping.effective_from ?? 'always'} to ${overlapping.effective_to ?? 'open-ended'}`;
+                return { success: false, httpStatus: 409, error: `Rule overlaps fee rule ${overlapping.fee_id} for ${rule.product_code} ${rule.trigger_event} (${period}).` };
+            }
+        }
+
+        const feeId = await save(tx);
+        await tx.commit();
+        return { success: true, rule: formatRule(await store.feesSchedule.findById(feeId)) };
+    } catch (e) {
+        if (tx) {
+            await tx.rollback();
+        }
+        throw e;
+    } finally {
+        if (tx) {
+            tx.release();
+        }
+    }
+};
+
+// --- Public API ---
+
+/**
+ * Calculates a rule's fee on an amount.
+ * - FIXED: amount_fixed.
+ * - PERCENTAGE: amount x amount_percent.
+ * - PERCENTAGE_MIN: as PERCENTAGE, at least min_fee.
+ * - PERCENTAGE_MIN_MAX: as PERCENTAGE, between min_fee and max_fee.
+ * @param {object} rule - fees_schedule row or formatRule shape.
+ * @param {number} amount - Amount in base currency (ZAR).
+ * @returns {number} The fee, rounded to two decimal places.
+ */
+const calculateFee = (rule, amount) => {
+    const { fee_type, amount_fixed, amount_percent, min_fee, max_fee } = formatRule(rule);
+
+    let fee = 0.00;
+    switch (fee_type) {
+        case 'FIXED':
+            fee = amount_fixed ?? 0;
+            break;
+        case 'PERCENTAGE':
+            fee = amount * amount_percent;
+            break;
+        case 'PERCENTAGE_MIN':
+            fee = Math.max(amount * amount_percent, min_fee ?? 0);
+            break;
+        case 'PERCENTAGE_MIN_MAX':
+            fee = Math.min(Math.max(amount * amount_percent, min_fee ?? 0), max_fee);
+            break;
+    }
+    return roundCents(fee);
+};
+
+/**
+ * Looks up the rule that applies to a product and trigger event on a day.
+ * @param {object} db - The store or an open transaction.
+ * @param {string} productCode
+ * @param {string} triggerEvent - e.g. ATM_WITHDRAWAL.
+ * @param {Date|string} [asOf=new Date()]
+ * @returns {object|null} The formatted rule.
+ */
+const findFeeRule = async (db, productCode, triggerEvent, asOf = new Date()) => {
+    if (!productCode || !triggerEvent) return null;
+    const row = await db.feesSchedule.findEffective(productCode, triggerEvent, toIsoDate(asOf));
+    return row ? formatRule(row) : null;
+};
+
+/**
+ * Works out the fee a product charges for a trigger event and amount.
+ * @param {object} db - The store or an open transaction.
+ * @param {string} productCode
+ * @param {string} triggerEvent
+ * @param {number} amount - Amount in base currency (ZAR).
+ * @param {Date|string} [asOf=new Date()]
+ * @returns {object} { fee, rule }, with rule null (and fee 0) when no rule applies.
+ */
+const quoteFee = async (db, productCode, triggerEvent, amount, asOf = new Date()) => {
+    const rule = await findFeeRule(db, productCode, triggerEvent, asOf);
+    return { fee: rule ? calculateFee(rule, amount) : 0.00, rule };
+};
+
+// ------------------------------------------------------------------------
+// --- ADMIN ENDPOINTS ---
+const adminRouter = express.Router();
+adminRouter.use(authenticateBearer);
+
+/**
+ * Lists fee rules, optionally for one product and/or trigger event.
+ * GET /api/v1/admin/fees?product_code=CHQ-01&trigger_event=ATM_WITHDRAWAL
+ */
+adminRouter.get('/', async (req, res) => {
+    const { product_code, trigger_event } = req.query;
+    try {
+        const rules = (await store.feesSchedule.list({ productCode: product_code, triggerEvent: trigger_event })).map(formatRule);
+        res.status(200).json({ success: true, fee_rules: rules });
+    } catch (e) {
+        console.error("FEE_RULE_LIST_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Returns one fee rule.
+ * GET /api/v1/admin/fees/:fee_id
+ */
+adminRouter.get('/:fee_id', async (req, res) => {
+    try {
+        const row = await store.feesSchedule.findById(Number(req.params.fee_id));
+        if (!row) {
+            return res.status(404).json({ success: false, error: `Fee rule ${req.params.fee_id} not found.` });
+        }
+        res.status(200).json({ success: true, fee_rule: formatRule(row) });
+    } catch (e) {
+        console.error("FEE_RULE_LOOKUP_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Adds a fee rule. To change a fee from a date, end the current rule the day
+ * before (PUT effective_to) and add the new rule from that date.
+ * POST /api/v1/admin/fees
+ * Body: { product_code, trigger_event, fee_code, fee_type, amount_fixed, amount_percent,
+ *         min_fee, max_fee, effective_from, effective_to }
+ */
+adminRouter.post('/', async (req, res) => {
+    const body = req.body ?? {};
+    const { product_code, trigger_event } = body;
+
+    if (typeof trigger_event !== 'string' || !/^[A-Za-z0-9_]{2,50}$/.test(trigger_event)) {
+        return res.status(400).json({ success: false, error: "Invalid trigger_event. Must be 2 to 50 characters of A-Z, a-z, 0-9 and '_'." });
+    }
+    const rule = {
+        fee_id: null,
+        product_code,
+        trigger_event,
+        amount_fixed: null, amount_percent: null, min_fee: null, max_fee: null,
+        effective_from: null, effective_to: null,
+        is_active: true,
+        ...ruleFieldsFrom(body),
+    };
+    const validationError = validateRule(rule);
+    if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+    }
+
+    try {
+        if (!(await findProduct(store, product_code))) {
+            return res.status(400).json({ success: false, error: `Invalid product code: ${product_code}. Product not found in the product catalog.` });
+        }
+
+        const result = await saveRule(rule, async (tx) => {
+            const { fee_id, is_active, ...columns } = rule;
+            return (await tx.feesSchedule.create({
+                ...columns,
+                amount_fixed: columns.amount_fixed ?? 0.00,
+                min_fee: columns.min_fee ?? 0.00,
+                is_active: 1,
+            })).insertId;
+        });
+        if (!result.success) {
+            return res.status(result.httpStatus).json({ success: false, error: result.error });
+        }
+        res.status(201).json({ success: true, fee_rule: result.rule });
+    } catch (e) {
+        console.error("FEE_RULE_CREATE_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Changes a fee rule's amounts, dates or is_active. The product and trigger
+ * event cannot change; add a new rule instead.
+ * PUT /api/v1/admin/fees/:fee_id
+ * Body: any of the POST fields except product_code and trigger_event, plus is_active.
+ */
+adminRouter.put('/:fee_id', async (req, res) => {
+    const feeId = Number(req.params.fee_id);
+    const body = req.body ?? {};
+
+    if (body.product_code !== undefined || body.trigger_event !== undefined) {
+        return res.status(400).json({ success: false, error: "product_code and trigger_event cannot be changed. Add a new rule instead." });
+    }
+    if (body.is_active !== undefined && typeof body.is_active !== 'boolean') {
+        return res.status(400).json({ success: false, error: "Invalid is_active. Must be true or false." });
+    }
+    const fields = ruleFieldsFrom(body);
+    if (Object.keys(fields).length === 0 && body.is_active === undefined) {
+        return res.status(400).json({ success: false, error: "Nothing to update." });
+    }
+
+    try {
+        const row = await store.feesSchedule.findById(feeId);
+        if (!row) {
+            return res.status(404).json({ success: false, error: `Fee rule ${req.params.fee_id} not found.` });
+        }
+
+        const rule = { ...formatRule(row), ...fields, is_active: body.is_active ?? Boolean(Number(row.is_active)) };
+        const validationError = validateRule(rule);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const result = await saveRule(rule, async (tx) => {
+            await tx.feesSchedule.update(feeId, { ...fields, is_active: rule.is_active ? 1 : 0 });
+            return feeId;
+        });
+        if (!result.success) {
+            return res.status(result.httpStatus).json({ success: false, error: result.error });
+        }
+        res.status(200).json({ success: true, fee_rule: result.rule });
+    } catch (e) {
+        console.error("FEE_RULE_UPDATE_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Deactivates a fee rule. Rules are kept because fee_ledger entries refer to
+ * them; an inactive rule charges nothing.
+ * DELETE /api/v1/admin/fees/:fee_id
+ */
+adminRouter.delete('/:fee_id', async (req, res) => {
+    const feeId = Number(req.params.fee_id);
+    try {
+        const row = await store.feesSchedule.findById(feeId);
+        if (!row) {
+            return res.status(404).json({ success: false, error: `Fee rule ${req.params.fee_id} not found.` });
+        }
+        await store.feesSchedule.update(feeId, { is_active: 0 });
+        res.status(200).json({ success: true, fee_rule: formatRule({ ...row, is_active: 0 }) });
+    } catch (e) {
+        console.error("FEE_RULE_DELETE_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+// ------------------------------------------------------------------------
+// --- FINAL API ROUTER ATTACHMENT ---
+const router = express.Router();
+router.use('/admin/fees', adminRouter);
+
+module.exports = {
+    router,
+    FEE_TYPES,
+    toIsoDate,
+    calculateFee,
+    findFeeRule,
+    quoteFee,
+};
+
+// --- Server Startup (standalone mode) ---
+if (require.main === module) {
+    createApp(router).listen(PORT, () => {
+        console.log(`Fee Engine API running on http://localhost:${PORT}`);
+    });
+}
@@ -0,0 +1,431 @@
+// fxRates.js
+// Exchange rates: the fx_rates table, currency conversion and the rate admin
+// API. A rate converts one currency into another from its effective_from
+// timestamp until a later rate for the same pair takes over; rates are only
+// ever added, so the table is also the rate history. Conversions may add a
+// cross-border markup (the card product's fx_markup_percent) on top of the
+// rate, and report the rate row and markup they used so transactions can be
+// reconciled against the history.
+
+const express = require('express');
+const { createApp } = require('./app');
+const { getStore } = require('./store');
+const PORT = 3007;
+
+// --- Configuration ---
+const BEARER_TOKEN = 'sk_admin_xxxxx'; // Admin token for the rate endpoints
+
+const MAX_RATE = 999999999; // DECIMAL(15, 6)
+const MAX_UPLOAD_ROWS = 1000;
+const DEFAULT_HISTORY_LIMIT = 100;
+
+// CSV upload columns; effective_from may be left out (rates apply at once)
+const CSV_COLUMNS = ['from_currency', 'to_currency', 'rate', 'effective_from'];
+
+const store = getStore();
+
+/**
+ * Bearer Token Authentication Middleware
+ */
+const authenticateBearer = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ success: false, error: "Invalid or missing Bearer token format." });
+    }
+
+    if (authHeader.split(' ')[1] !== BEARER_TOKEN) {
+        return res.status(401).json({ success: false, error: "Invalid Bearer token value." });
+    }
+
+    next();
+};
+
+// --- Helper Functions ---
+
+const isCurrencyCode = (value) => typeof value === 'string' && /^[A-Z]{3}$/.test(value);
+
+const roundCents = (value) => parseFloat(value.toFixed(2));
+
+const roundRate = (value) => parseFloat(value.toFixed(6));
+
+/**
+ * Shapes an fx_rates row: DECIMAL columns come back from mysql2 as strings;
+ * effective_from is a Date (or, from the seeds in the memory store, a
+ * 'YYYY-MM-DD HH:MM:SS' string).
+ * @param {object} row - fx_rates row.
+ * @returns {object}
+ */
+const formatRate = (row) => ({
+    rate_id: row.rate_id,
+    from_currency: row.from_currency,
+    to_currency: row.to_currency,
+    rate: parseFloat(row.rate),
+    effective_from: new Date(row.effective_from).toISOString(),
+    source: row.source,
+});
+
+/**
+ * Parses an effective_from timestamp: ISO 8601 ('2025-03-01T08:00:00Z'),
+ * MySQL style ('2025-03-01 08:00:00', local time) or a date. Rates apply to
+ * the second, as DATETIME stores them.
+ * @param {string} value
+ * @returns {Date|null} null when the value is not a timestamp.
+ */
+const parseTimestamp = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(value)) {
+        return null;
+    }
+    // A bare date is local midnight, like the MySQL style (Date parses it as UTC)
+    const timestamp = new Date(value.length === 10 ? `${value}T00:00:00` : value.replace(' ', 'T'));
+    if (isNaN(timestamp.getTime())) return null;
+    timestamp.setMilliseconds(0);
+    return timestamp;
+};
+
+/**
+ * Validates a rate from a request or CSV line and builds its fx_rates row.
+ * Rates cannot be back-dated: transactions have already been converted at
+ * the rates in effect, and the history must keep showing them.
+ * @param {object} input - { from_currency, to_currency, rate, effective_from }.
+ * @param {string} source - ADMIN or CSV_UPLOAD.
+ * @returns {object} { row } or { error }.
+ */
+const buildRateRow = ({ from_currency, to_currency, rate, effective_from }, source) => {
+    if (!isCurrencyCode(from_currency) || !isCurrencyCode(to_currency)) {
+        return { error: "Invalid from_currency/to_currency. Must be ISO 4217 codes, e.g. USD." };
+    }
+    if (from_currency === to_currency) {
+        return { error: "from_currency and to_currency must differ." };
+    }
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0 || rate > MAX_RATE) {
+        return { error: "Invalid rate. Must be a positive number (units of to_currency per unit of from_currency)." };
+    }
+
+    const now = new Date();
+    now.setMilliseconds(0);
+    let effectiveFrom = now;
+    if (effective_from != null && effective_from !== '') {
+        effectiveFrom = parseTimestamp(effective_from);
+        if (!effectiveFrom) {
+            return { error: "Invalid effective_from. Must be a timestamp, e.g. 2025-03-01T08:00:00Z." };
+        }
+        if (effectiveFrom < now) {
+            return { error: "effective_from cannot be in the past; leave it out to apply the rate now." };
+        }
+    }
+
+    return { row: { from_currency, to_currency, rate: roundRate(rate), effective_from: effectiveFrom, source } };
+};
+
+/**
+ * Parses a rates CSV: a header line naming from_currency, to_currency, rate
+ * and optionally effective_from (in any order), then one rate per line.
+ * Blank lines are skipped.
+ * @param {string} text
+ * @returns {object} { rates: [{ line, input }] } or { error }.
+ */
+const parseRatesCsv = (text) => {
+    const lines = text.split(/\r?\n/).map((line, index) => ({ line: index + 1, text: line.trim() }))
+        .filter(({ text: line }) => line !== '');
+    if (lines.length === 0) {
+        return { error: "The CSV is empty." };
+    }
+
+    const splitLine = (line) => line.split(',').map((field) => field.trim().replace(/^"(.*)"$/, '$1'));
+    const header = splitLine(lines[0].text).map((column) => column.toLowerCase());
+    const unknown = header.find((column) => !CSV_COLUMNS.includes(column));
+    if (unknown !== undefined || !['from_currency', 'to_currency', 'rate'].every((column) => header.includes(column))) {
+        return { error: `Invalid CSV header. Expected columns ${CSV_COLUMNS.join(', ')} (effective_from optional).` };
+    }
+    if (lines.length - 1 > MAX_UPLOAD_ROWS) {
+        return { error: `Too many rates. Upload at most ${MAX_UPLOAD_ROWS} per file.` };
+    }
+
+    const rates = lines.slice(1).map(({ line, text: content }) => {
+        const fields = splitLine(content);
+        const input = {};
+        header.forEach((column, index) => { input[column] = fields[index]; });
+        input.rate = input.rate === undefined || input.rate === '' ? NaN : Number(input.rate);
+        input.from_currency = input.from_currency?.toUpperCase();
+        input.to_currency = input.to_currency?.toUpperCase();
+        return { line, input, extraFields: fields.length > header.length };
+    });
+    return { rates };
+};
+
+/**
+ * Adds rates in one transaction: either all are loaded or none.
+ * @param {Array<object>} rows - fx_rates rows from buildRateRow.
+ * @returns {object} { success: true, rates } or { success: false, httpStatus, error }.
+ */
+const saveRates = async (rows) => {
+    let tx;
+    try {
+        tx = await store.beginTransaction();
+
+        const rateIds = [];
+        for (const row of rows) {
+            try {
+                rateIds.push((await tx.fxRates.create(row)).insertId);
+            } catch (e) {
+                if (e.code !== 'ER_DUP_ENTRY') throw e;
+                await tx.rollback();
+                return {
+                    success: false,
+                    httpStatus: 409,
+                    error: `A ${row.from_currency}/${row.to_currency} rate effective from ${row.effective_from.toISOString()} already exists.`
+                };
+            }
+        }
+
+        await tx.commit();
+        return { success: true, rates: rows.map((row, index) => formatRate({ ...row, rate_id: rateIds[index] })) };
+    } catch (e) {
+        if (tx) {
+            await tx.rollback();
+        }
+        throw e;
+    } finally {
+        if (tx) {
+            tx.release();
+        }
+    }
+};
+
+// --- Public API ---
+
+/**
+ * Looks up the rate of a currency pair in effect at a point in time.
+ * @param {object} db - The store or an open transaction.
+ * @param {string} fromCurrency
+ * @param {string} toCurrency
+ * @param {Date} [asOf=new Date()]
+ * @returns {object|null} The formatted rate.
+ */
+const findRate = async (db, fromCurrency, toCurrency, asOf = new Date()) => {
+    const row = await db.fxRates.findEffective(fromCurrency, toCurrency, asOf);
+    return row ? formatRate(row) : null;
+};
+
+/**
+ * The rate a customer is charged: the rate plus the markup.
+ * @param {number} rate
+ * @param {number} markupPercent - e.g. 0.0275 = 2.75%.
+ * @returns {number}
+ */
+const appliedRate = (rate, markupPercent) => roundRate(rate * (1 + markupPercent));
+
+/**
+ * Converts an amount at a known rate and adds the markup on the converted
+ * amount. Used on its own where the rate was fixed earlier (pre-auth holds).
+ * @param {number} amount - Amount in from_currency.
+ * @param {object} rate - { rate_id, from_currency, to_currency, rate }.
+ * @param {number} [markupPercent=0]
+ * @returns {object} The conversion: { from_currency, to_currency, amount, rate_id, rate, markup_percent,
+ *   applied_rate, converted_amount, markup_amount, total_amount }.
+ */
+const applyRate = (amount, { rate_id, from_currency, to_currency, rate }, markupPercent = 0) => {
+    const convertedAmount = roundCents(amount * rate);
+    const markupAmount = roundCents(convertedAmount * markupPercent);
+    return {
+        from_currency,
+        to_currency,
+        amount,
+        rate_id: rate_id ?? null,
+        rate,
+        markup_percent: markupPercent,
+        applied_rate: appliedRate(rate, markupPercent),
+        converted_amount: convertedAmount,
+        markup_amount: markupAmount,
+        total_amount: roundCents(convertedAmount + markupAmount),
+    };
+};
+
+/**
+ * Converts an amount at the rate in effect now (or asOf), adding a markup.
+ * @param {object} db - The store or an open transaction.
+ * @param {number} amount
+ * @param {string} fromCurrency
+ * @param {string} toCurrency
+ * @param {object} [options]
+ * @param {number} [options.markupPercent=0]
+ * @param {Date} [options.asOf=new Date()]
+ * @returns {object|null} The conversion (see applyRate), or null when the pair has no rate.
+ */
+const convertAmount = async (db, amount, fromCurrency, toCurrency, { markupPercent = 0, asOf = new Date() } = {}) => {
+    const rate = await findRate(db, fromCurrency, toCurrency, asOf);
+    return rate ? applyRate(amount, rate, markupPercent) : null;
+};
+
+/**
+ * A conversion as returned in API responses, amounts to two decimal places.
+ * @param {object|null} conversion
+ * @returns {object|null}
+ */
+const describeConversion = (conversion) => conversion && {
+    from_currency: conversion.from_currency,
+    to_currency: conversion.to_currency,
+    rate_id: conversion.rate_id,
+    rate: conversion.rate,
+    markup_percent: conversion.markup_percent,
+    applied_rate: conversion.applied_rate,
+    converted_amount: conversion.converted_amount.toFixed(2),
+    markup_amount: conversion.markup_amount.toFixed(2),
+    total_amount: conversion.total_amount.toFixed(2),
+};
+
+// ------------------------------------------------------------------------
+// --- ADMIN ENDPOINTS ---
+const adminRouter = express.Router();
+adminRouter.use(authenticateBearer);
+
+/**
+ * Lists the rate in effect for every currency pair, now or at a timestamp.
+ * GET /api/v1/admin/fx-rates?as_of=2025-03-01T08:00:00Z
+ */
+adminRouter.get('/', async (req, res) => {
+    const asOf = req.query.as_of === undefined ? new Date() : parseTimestamp(req.query.as_of);
+    if (!asOf) {
+        return res.status(400).json({ success: false, error: "Invalid as_of. Must be a timestamp, e.g. 2025-03-01T08:00:00Z." });
+    }
+
+    try {
+        // Newest first within a pair, so the first rate in effect is the current one
+        const current = new Map();
+        (await store.fxRates.list()).map(formatRate).forEach((rate) => {
+            const pair = `${rate.from_currency}/${rate.to_currency}`;
+            if (!current.has(pair) && new Date(rate.effective_from) <= asOf) current.set(pair, rate);
+        });
+        res.status(200).json({ success: true, as_of: asOf.toISOString(), fx_rates: [...current.values()] });
+    } catch (e) {
+        console.error("FX_RATE_LIST_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Rate history, newest first, including rates scheduled for later.
+ * GET /api/v1/admin/fx-rates/history?from_currency=USD&to_currency=ZAR&limit=100
+ */
+adminRouter.get('/history', async (req, res) => {
+    const { from_currency, to_currency } = req.query;
+    const limit = req.query.limit === undefined ? DEFAULT_HISTORY_LIMIT : Number(req.query.limit);
+
+    if ((from_currency !== undefined && !isCurrencyCode(from_currency)) || (to_currency !== undefined && !isCurrencyCode(to_currency))) {
+        return res.status(400).json({ success: false, error: "Invalid from_currency/to_currency. Must be ISO 4217 codes, e.g. USD." });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_UPLOAD_ROWS) {
+        return res.status(400).json({ success: false, error: `Invalid limit. Must be 1 to ${MAX_UPLOAD_ROWS}.` });
+    }
+
+    try {
+        const rates = (await store.fxRates.list({ fromCurrency: from_currency, toCurrency: to_currency, limit })).map(formatRate);
+        res.status(200).json({ success: true, fx_rates: rates });
+    } catch (e) {
+        console.error("FX_RATE_HISTORY_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Loads one rate, effective now or from a later timestamp.
+ * POST /api/v1/admin/fx-rates
+ * Body: { from_currency, to_currency, rate, effective_from }
+ */
+adminRouter.post('/', async (req, res) => {
+    const { row, error } = buildRateRow(req.body ?? {}, 'ADMIN');
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const result = await saveRates([row]);
+        if (!result.success) {
+            return res.status(result.httpStatus).json({ success: false, error: result.error });
+        }
+        res.status(201).json({ success: true, fx_rate: result.rates[0] });
+    } catch (e) {
+        console.error("FX_RATE_CREATE_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Bulk-loads rates from a CSV file (Content-Type: text/csv), e.g. a treasury
+ * rate sheet. Every line is validated first and the file is loaded only if
+ * all of them are valid; otherwise the errors are returned by line number.
+ * POST /api/v1/admin/fx-rates/upload
+ * Body:
+ *   from_currency,to_currency,rate,effective_from
+ *   USD,ZAR,18.72,2025-03-01T08:00:00Z
+ *   EUR,ZAR,20.31,
+ */
+adminRouter.post('/upload', express.text({ type: 'text/csv', limit: '1mb' }), async (req, res) => {
+    if (typeof req.body !== 'string') {
+        return res.status(415).json({ success: false, error: "Send the rates as a CSV body with Content-Type: text/csv." });
+    }
+
+    const parsed = parseRatesCsv(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+    }
+    if (parsed.rates.length === 0) {
+        return res.status(400).json({ success: false, error: "The CSV has no rates after the header." });
+    }
+
+    const rows = [];
+    const errors = [];
+    const seen = new Set();
+    parsed.rates.forEach(({ line, input, extraFields }) => {
+        const { row, error } = extraFields
+            ? { error: "More fields than header columns." }
+            : buildRateRow(input, 'CSV_UPLOAD');
+        if (error) {
+            errors.push({ line, error });
+            return;
+        }
+        const key = `${row.from_currency}/${row.to_currency}@${row.effective_from.getTime()}`;
+        if (seen.has(key)) {
+            errors.push({ line, error: `Duplicate ${row.from_currency}/${row.to_currency} rate for the same effective_from.` });
+            return;
+        }
+        seen.add(key);
+        rows.push(row);
+    });
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: `${errors.length} invalid line(s); nothing was loaded.`, errors });
+    }
+
+    try {
+        const result = await saveRates(rows);
+        if (!result.success) {
+            return res.status(result.httpStatus).json({ success: false, error: `${result.error} Nothing was loaded.` });
+        }
+        res.status(201).json({ success: true, loaded: result.rates.length, fx_rates: result.rates });
+    } catch (e) {
+        console.error("FX_RATE_UPLOAD_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+// ------------------------------------------------------------------------
+// --- FINAL API ROUTER ATTACHMENT ---
+const router = express.Router();
+router.use('/admin/fx-rates', adminRouter);
+
+module.exports = {
+    router,
+    findRate,
+    appliedRate,
+    applyRate,
+    convertAmount,
+    describeConversion,
+};
+
+// --- Server Startup (standalone mode) ---
+if (require.main === module) {
+    createApp(router).listen(PORT, () => {
+        console.log(`FX Rates API running on http://localhost:${PORT}`);
+    });
+}
@@ -0,0 +1,156 @@
+// hsmCrypto.js
+// Block cipher primitives shared by the HSM simulator, the key store and the
+// TR-31 key block code. All values are passed around as uppercase hex.
+
+const crypto = require('crypto');
+
+// --- Block Ciphers ---
+
+/**
+ * Returns the Node cipher name for a key.
+ * @param {string} algorithm - 'tdes' (16 or 24 byte key) or 'aes' (16, 24 or 32 byte key).
+ * @param {Buffer} key
+ * @param {string} mode - 'ecb' or 'cbc'.
+ * @returns {string}
+ */
+const cipherName = (algorithm, key, mode) => {
+    if (algorithm === 'tdes' && key.length === 16) return `des-ede-${mode}`;
+    if (algorithm === 'tdes' && key.length === 24) return `des-ede3-${mode}`;
+    if (algorithm === 'aes' && [16, 24, 32].includes(key.length)) return `aes-${key.length * 8}-${mode}`;
+    throw new Error(`Invalid ${algorithm.toUpperCase()} key length (${key.length} bytes).`);
+};
+
+/**
+ * Encrypts or decrypts whole blocks in ECB mode without padding.
+ * @param {string} algorithm - 'tdes' (16 or 24 byte key) or 'aes' (16, 24 or 32 byte key).
+ * @param {string} keyHex - The key as hex.
+ * @param {string} dataHex - Data as hex, a multiple of the cipher block size.
+ * @param {boolean} [decrypt=false]
+ * @returns {string} - Result as uppercase hex.
+ */
+const ecb = (algorithm, keyHex, dataHex, decrypt = false) => {
+    const key = Buffer.from(keyHex, 'hex');
+    const name = cipherName(algorithm, key, 'ecb');
+
+    const cipher = decrypt
+        ? crypto.createDecipheriv(name, key, null)
+        : crypto.createCipheriv(name, key, null);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(Buffer.from(dataHex, 'hex')), cipher.final()]).toString('hex').toUpperCase();
+};
+
+/**
+ * Encrypts or decrypts whole blocks in CBC mode without padding.
+ * @param {string} algorithm - 'tdes' or 'aes'.
+ * @param {string} keyHex
+ * @param {string} dataHex - A multiple of the cipher block size.
+ * @param {string} ivHex - One cipher block.
+ * @param {boolean} [decrypt=false]
+ * @returns {string} - Result as uppercase hex.
+ */
+const cbc = (algorithm, keyHex, dataHex, ivHex, decrypt = false) => {
+    const key = Buffer.from(keyHex, 'hex');
+    const name = cipherName(algorithm, key, 'cbc');
+    const iv = Buffer.from(ivHex, 'hex');
+
+    const cipher = decrypt
+        ? crypto.createDecipheriv(name, key, iv)
+        : crypto.createCipheriv(name, key, iv);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(Buffer.from(dataHex, 'hex')), cipher.final()]).toString('hex').toUpperCase();
+};
+
+/**
+ * XORs two hex strings of the same length.
+ * @returns {string} - Uppercase hex.
+ */
+const xorHex = (a, b) => {
+    const out = Buffer.from(a, 'hex');
+    const other = Buffer.from(b, 'hex');
+    for (let i = 0; i < out.length; i++) out[i] ^= other[i];
+    return out.toString('hex').toUpperCase();
+};
+
+/**
+ * Shifts a hex block left by one bit (CMAC subkey generation).
+ * @param {string} hex
+ * @returns {string}
+ */
+const shiftLeft = (hex) => {
+    const bits = BigInt(`0x${hex}`) << 1n;
+    const mask = (1n << BigInt(hex.length * 4)) - 1n;
+    return (bits & mask).toString(16).toUpperCase().padStart(hex.length, '0');
+};
+
+/**
+ * CMAC (NIST SP 800-38B) over T-DES or AES.
+ * @param {string} algorithm - 'tdes' or 'aes'.
+ * @param {string} keyHex
+ * @param {string} dataHex - Any whole number of bytes (may be empty).
+ * @returns {string} - Full-block MAC (16 hex for T-DES, 32 for AES); callers truncate.
+ */
+const cmac = (algorithm, keyHex, dataHex) => {
+    const blockHex = algorithm === 'aes' ? 32 : 16;
+    const rb = algorithm === 'aes' ? '87' : '1B';
+
+    // Subkeys K1 and K2
+    const subkey = (block) => {
+        const shifted = shiftLeft(block);
+        return parseInt(block[0], 16) & 0x8 ? xorHex(shifted, rb.padStart(blockHex, '0')) : shifted;
+    };
+    const k1 = subkey(ecb(algorithm, keyHex, '0'.repeat(blockHex)));
+    const k2 = subkey(k1);
+
+    const complete = dataHex.length > 0 && dataHex.length % blockHex === 0;
+    const padded = complete ? dataHex : `${dataHex}80`.padEnd(Math.ceil((dataHex.length + 2) / blockHex) * blockHex, '0');
+    const lastBlock = xorHex(padded.slice(-blockHex), complete ? k1 : k2);
+    const message = padded.slice(0, -blockHex) + lastBlock;
+
+    return cbc(algorithm, keyHex, message, '0'.repeat(blockHex)).slice(-blockHex);
+};
+
+// --- Keys ---
+
+/**
+ * Random bytes as uppercase hex.
+ * @param {number} bytes
+ * @returns {string}
+ */
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex').toUpperCase();
+
+/**
+ * Sets odd parity on every byte of a DES key.
+ * @param {string} keyHex
+ * @returns {string}
+ */
+const withOddParity = (keyHex) => {
+    const key = Buffer.from(keyHex, 'hex');
+    for (let i = 0; i < key.length; i++) {
+        let ones = 0;
+        for (let bit = 1; bit < 0x100; bit <<= 1) if (key[i] & bit & 0xFE) ones++;
+        key[i] = (key[i] & 0xFE) | (ones % 2 === 0 ? 1 : 0);
+    }
+    return key.toString('hex').toUpperCase();
+};
+
+/**
+ * Generates a random key.
+ * @param {string} algorithm - 'tdes' or 'aes'.
+ * @param {number} length - Key length in bytes.
+ * @returns {string}
+ */
+const generateKey = (algorithm, length) =>
+    (algorithm === 'tdes' ? withOddParity(randomHex(length)) : randomHex(length));
+
+/**
+ * Key check value: the first 3 bytes of zeros encrypted under a T-DES key, or
+ * of the CMAC of a zero block under an AES key (ANSI X9.24-1:2017).
+ * @param {string} algorithm - 'tdes' or 'aes'.
+ * @param {string} keyHex
+ * @returns {string} - 6 hex characters.
+ */
+const calculateKcv = (algorithm, keyHex) => (algorithm === 'aes'
+    ? cmac('aes', keyHex, '0'.repeat(32))
+    : ecb('tdes', keyHex, '0'.repeat(16))).slice(0, 6);
+
+module.exports = { ecb, cbc, xorHex, cmac, randomHex, generateKey, calculateKcv };
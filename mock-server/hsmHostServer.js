@@ -0,0 +1,420 @@
+// hsmHostServer.js
+// payShield-style host command interface: a TCP server in front of the HSM
+// simulator, so switch and issuer host code can be tested against the same
+// framing it uses with a real HSM. Every message is a 2-byte big-endian
+// length followed by ASCII: a header (echoed back), a 2-character command
+// code and the command fields. The response carries the response code (the
+// command code with its second character incremented, e.g. CW -> CX), a
+// 2-digit error code and the response fields.
+//
+// Keys travel in the command as 'S' + a TR-31 key block under the LMK, as
+// returned by GET /api/v1/admin/keys (key_block). The block's key usage must
+// suit the command.
+
+const net = require('net');
+const hsm = require('./hsmSimulator');
+const keyStore = require('./keyStore');
+const { KEY_ALGORITHMS } = require('./tr31');
+
+// --- Configuration ---
+const HSM_HOST_PORT = parseInt(process.env.HSM_HOST_PORT, 10) || 1500;
+const HSM_HEADER_LENGTH = process.env.HSM_HEADER_LENGTH !== undefined
+    ? parseInt(process.env.HSM_HEADER_LENGTH, 10)
+    : 4; // Message header length; 0 for no header
+const HSM_LATENCY_MS = parseInt(process.env.HSM_LATENCY_MS, 10) || 0; // Added before every response
+
+const FIRMWARE_VERSION = '0007-E000';
+
+// --- Error Codes ---
+const ERROR_CODES = {
+    NO_ERROR: '00',
+    VERIFICATION_FAILURE: '01',
+    INVALID_KEY_TYPE: '04',   // The key block's usage does not suit the command
+    KEY_BLOCK_ERROR: '10',    // The key block fails its MAC check under the LMK
+    INVALID_INPUT: '15',
+    PIN_BLOCK_ERROR: '20',    // The PIN block does not decrypt to a valid PIN
+    INVALID_PIN_BLOCK_FORMAT: '23',
+    INVALID_PIN_LENGTH: '24',
+    INVALID_KEY_SCHEME: '26',
+};
+
+// Unknown commands get response code ZZ
+const UNKNOWN_COMMAND_RESPONSE = 'ZZ';
+
+// Host PIN block format codes -> ISO 9564 formats. Format 4 (48) needs the
+// full PAN, which these commands do not carry, so it is not offered here.
+const PIN_BLOCK_FORMAT_CODES = { '01': 0, '05': 1, '47': 3 };
+
+// TR-31 key usages expected by each key field
+const KEY_USAGES = { CVK: 'C0', PVK: 'V2', ZPK: 'P0', MK_AC: 'E0' };
+
+// --- Helper Functions ---
+
+/**
+ * Builds an error that becomes the response's error code.
+ * @param {string} errorCode - An ERROR_CODES value.
+ * @param {string} message - Logged only; never returned to the host.
+ * @returns {Error}
+ */
+const hostError = (errorCode, message) => {
+    const error = new Error(message);
+    error.hsmErrorCode = errorCode;
+    return error;
+};
+
+/**
+ * Reads the command fields left to right.
+ * @param {string} data - The message after the command code.
+ * @returns {object} Field readers; each throws INVALID_INPUT when the data runs short or does not match.
+ */
+const createFieldReader = (data) => {
+    let position = 0;
+
+    const take = (length, pattern, name) => {
+        const value = data.slice(position, position + length);
+        if (value.length !== length || (pattern && !pattern.test(value))) {
+            throw hostError(ERROR_CODES.INVALID_INPUT, `Invalid ${name} at offset ${position}.`);
+        }
+        position += length;
+        return value;
+    };
+
+    return {
+        /** Fixed-length numeric field. */
+        digits: (length, name) => take(length, /^\d+$/, name),
+        /** Fixed-length hex field. */
+        hex: (length, name) => take(length, /^[0-9A-F]+$/i, name).toUpperCase(),
+        /** Variable-length numeric field ended by a delimiter (consumed). */
+        digitsUntil: (delimiter, maxLength, name) => {
+            const end = data.indexOf(delimiter, position);
+            if (end === -1 || end - position > maxLength) {
+                throw hostError(ERROR_CODES.INVALID_INPUT, `Missing delimiter after ${name}.`);
+            }
+            const value = take(end - position, /^\d+$/, name);
+            position += delimiter.length;
+            return value;
+        },
+        /** A delimiter character. */
+        delimiter: (delimiter, name) => {
+            if (data.slice(position, position + delimiter.length) !== delimiter) {
+                throw hostError(ERROR_CODES.INVALID_INPUT, `Missing delimiter after ${name}.`);
+            }
+            position += delimiter.length;
+        },
+        /**
+         * Key field: 'S' then a TR-31 key block under the LMK, whose length
+         * is read from its header. Returns the unwrapped key.
+         */
+        key: (name) => {
+            const scheme = take(1, null, `${name} key scheme`);
+            if (scheme !== 'S') throw hostError(ERROR_CODES.INVALID_KEY_SCHEME, `${name} must be a key block (scheme S).`);
+
+            const lengthField = data.slice(position + 1, position + 5);
+            if (!/^\d{4}$/.test(lengthField)) throw hostError(ERROR_CODES.INVALID_INPUT, `Invalid ${name} key block header.`);
+            const keyBlock = take(parseInt(lengthField, 10), null, `${name} key block`);
+
+            let unwrapped;
+            try {
+                unwrapped = keyStore.unwrapLmkKeyBlock(keyBlock);
+            } catch (e) {
+                throw hostError(ERROR_CODES.KEY_BLOCK_ERROR, `${name}: ${e.message}`);
+            }
+            if (unwrapped.header.usage !== KEY_USAGES[name]) {
+                throw hostError(ERROR_CODES.INVALID_KEY_TYPE, `${name} key block has usage ${unwrapped.header.usage}.`);
+            }
+            return { algorithm: KEY_ALGORITHMS[unwrapped.header.algorithm], key: unwrapped.key };
+        },
+        /** Throws when fields are left over. */
+        end: () => {
+            if (position !== data.length) throw hostError(ERROR_CODES.INVALID_INPUT, `Unexpected data at offset ${position}.`);
+        },
+    };
+};
+
+/**
+ * Checks a key is a double-length T-DES key (CVK, PVK, MK-AC and these ZPKs).
+ * @param {object} key - From the field reader.
+ * @param {string} name
+ * @returns {string} The key.
+ */
+const requireTdesKey = ({ algorithm, key }, name) => {
+    if (algorithm !== 'tdes' || key.length !== 32) {
+        throw hostError(ERROR_CODES.INVALID_KEY_TYPE, `${name} must be a double-length T-DES key.`);
+    }
+    return key;
+};
+
+/**
+ * Reads a host PIN block format code.
+ * @returns {number} The ISO 9564 format.
+ */
+const readPinBlockFormat = (fields, name) => {
+    const code = fields.digits(2, name);
+    if (PIN_BLOCK_FORMAT_CODES[code] === undefined) {
+        throw hostError(ERROR_CODES.INVALID_PIN_BLOCK_FORMAT, `Unsupported PIN block format code ${code}.`);
+    }
+    return PIN_BLOCK_FORMAT_CODES[code];
+};
+
+/**
+ * The PIN block account number field is the 12 rightmost PAN digits without
+ * the check digit; a dummy check digit turns it back into a PAN for the
+ * simulator's PAN-based functions.
+ * @param {string} account - 12 digits.
+ * @returns {string}
+ */
+const accountToPan = (account) => `${account}0`;
+
+/**
+ * Decrypts a PIN block under a ZPK and checks it has the declared format.
+ * @returns {string} The PIN.
+ */
+const decryptPin = (zpk, pinBlock, format, account) => {
+    const decrypted = hsm.withKeys.decryptPinBlock(pinBlock, accountToPan(account), { tdes: zpk });
+    if (!decrypted || decrypted.format !== format) throw hostError(ERROR_CODES.PIN_BLOCK_ERROR, 'PIN block does not decrypt to a valid PIN.');
+    return decrypted.pin;
+};
+
+// --- Host Commands ---
+// Field layouts (N = digits, H = hex, K = 'S' + key block):
+
+const COMMANDS = {
+    /**
+     * CW - Generate a CVV.
+     * CVK (K), PAN (up to 19N), ';', expiry YYMM (4N), service code (3N).
+     * Response CX: CVV (3N).
+     */
+    CW: (fields) => {
+        const cvk = requireTdesKey(fields.key('CVK'), 'CVK');
+        const pan = fields.digitsUntil(';', 19, 'PAN');
+        const expiry = fields.digits(4, 'expiry');
+        const serviceCode = fields.digits(3, 'service code');
+        fields.end();
+        return hsm.withKeys.calculateCvv(cvk, pan, expiry, serviceCode);
+    },
+
+    /**
+     * CY - Verify a CVV.
+     * CVK (K), CVV (3N), PAN (up to 19N), ';', expiry YYMM (4N), service code (3N).
+     * Response CZ: error 01 when the CVV does not match.
+     */
+    CY: (fields) => {
+        const cvk = requireTdesKey(fields.key('CVK'), 'CVK');
+        const cvv = fields.digits(3, 'CVV');
+        const pan = fields.digitsUntil(';', 19, 'PAN');
+        const expiry = fields.digits(4, 'expiry');
+        const serviceCode = fields.digits(3, 'service code');
+        fields.end();
+        if (hsm.withKeys.calculateCvv(cvk, pan, expiry, serviceCode) !== cvv) {
+            throw hostError(ERROR_CODES.VERIFICATION_FAILURE, 'CVV mismatch.');
+        }
+        return '';
+    },
+
+    /**
+     * FW - Generate a Visa PVV for a customer-selected PIN.
+     * ZPK (K), PVK (K), PIN block (16H), PIN block format code (2N),
+     * account number (12N), PVKI (1N).
+     * Response FX: PVV (4N).
+     */
+    FW: (fields) => {
+        const zpk = requireTdesKey(fields.key('ZPK'), 'ZPK');
+        const pvk = requireTdesKey(fields.key('PVK'), 'PVK');
+        const pinBlock = fields.hex(16, 'PIN block');
+        const format = readPinBlockFormat(fields, 'PIN block format code');
+        const account = fields.digits(12, 'account number');
+        const pvki = fields.digits(1, 'PVKI');
+        fields.end();
+
+        const pin = decryptPin(zpk, pinBlock, format, account);
+        return hsm.withKeys.calculatePvv(pvk, accountToPan(account), pin, pvki);
+    },
+
+    /**
+     * EC - Verify an interchange PIN with the Visa PVV method.
+     * ZPK (K), PVK (K), PIN block (16H), PIN block format code (2N),
+     * account number (12N), PVKI (1N), PVV (4N).
+     * Response ED: error 01 when the PIN does not match.
+     */
+    EC: (fields) => {
+        const zpk = requireTdesKey(fields.key('ZPK'), 'ZPK');
+        const pvk = requireTdesKey(fields.key('PVK'), 'PVK');
+        const pinBlock = fields.hex(16, 'PIN block');
+        const format = readPinBlockFormat(fields, 'PIN block format code');
+        const account = fields.digits(12, 'account number');
+        const pvki = fields.digits(1, 'PVKI');
+        const pvv = fields.digits(4, 'PVV');
+        fields.end();
+
+        const pin = decryptPin(zpk, pinBlock, format, account);
+        if (hsm.withKeys.calculatePvv(pvk, accountToPan(account), pin, pvki) !== pvv) {
+            throw hostError(ERROR_CODES.VERIFICATION_FAILURE, 'PIN mismatch.');
+        }
+        return '';
+    },
+
+    /**
+     * CC - Translate a PIN block from one ZPK to another.
+     * Source ZPK (K), destination ZPK (K), maximum PIN length (2N),
+     * source PIN block (16H), source format code (2N), destination format
+     * code (2N), account number (12N).
+     * Response CD: PIN length (2N), destination PIN block (16H), destination format code (2N).
+     */
+    CC: (fields) => {
+        const sourceZpk = requireTdesKey(fields.key('ZPK'), 'source ZPK');
+        const destinationZpk = requireTdesKey(fields.key('ZPK'), 'destination ZPK');
+        const maxPinLength = parseInt(fields.digits(2, 'maximum PIN length'), 10);
+        const pinBlock = fields.hex(16, 'source PIN block');
+        const sourceFormat = readPinBlockFormat(fields, 'source format code');
+        const destinationFormatCode = fields.digits(2, 'destination format code');
+        const destinationFormat = PIN_BLOCK_FORMAT_CODES[destinationFormatCode];
+        if (destinationFormat === undefined) {
+            throw hostError(ERROR_CODES.INVALID_PIN_BLOCK_FORMAT, `Unsupported PIN block format code ${destinationFormatCode}.`);
+        }
+        const account = fields.digits(12, 'account number');
+        fields.end();
+
+        const pin = decryptPin(sourceZpk, pinBlock, sourceFormat, account);
+        if (pin.length > maxPinLength) throw hostError(ERROR_CODES.INVALID_PIN_LENGTH, 'PIN is longer than the maximum PIN length.');
+
+        const translated = hsm.withKeys.encryptPinBlock(pin, accountToPan(account), destinationFormat, { tdes: destinationZpk });
+        return String(pin.length).padStart(2, '0') + translated + destinationFormatCode;
+    },
+
+    /**
+     * KQ - Verify an ARQC and/or generate an ARPC (EMV common session key, ARPC method 1).
+     * Mode flag (1N: 0 = verify ARQC, 1 = verify ARQC and generate ARPC,
+     * 2 = generate ARPC only), MK-AC (K), PAN/PSN (16N: rightmost 14 digits
+     * of the PAN followed by the 2-digit PAN sequence number), ATC (4H),
+     * transaction data length (2N, bytes), transaction data (hex), ';',
+     * ARQC (16H), ARC (4H, modes 1 and 2).
+     * Response KR: ARPC (16H, modes 1 and 2); error 01 when the ARQC does not match.
+     */
+    KQ: (fields) => {
+        const mode = fields.digits(1, 'mode flag');
+        if (!['0', '1', '2'].includes(mode)) throw hostError(ERROR_CODES.INVALID_INPUT, `Invalid mode flag ${mode}.`);
+        const imk = requireTdesKey(fields.key('MK_AC'), 'MK-AC');
+        const panPsn = fields.digits(16, 'PAN/PSN');
+        const atc = fields.hex(4, 'ATC');
+        const dataLength = parseInt(fields.digits(2, 'transaction data length'), 10);
+        const transactionData = fields.hex(dataLength * 2, 'transaction data');
+        fields.delimiter(';', 'transaction data');
+        const arqc = fields.hex(16, 'ARQC');
+        const arc = mode === '0' ? null : fields.hex(4, 'ARC');
+        fields.end();
+
+        const pan = panPsn.slice(0, 14);
+        const psn = panPsn.slice(14);
+        if (mode !== '2' && hsm.withKeys.generateArqc(imk, pan, psn, atc, transactionData) !== arqc) {
+            throw hostError(ERROR_CODES.VERIFICATION_FAILURE, 'ARQC mismatch.');
+        }
+        return arc ? hsm.withKeys.generateArpc(imk, pan, psn, atc, arqc, { method: 1, arc }) : '';
+    },
+
+    /**
+     * NC - Diagnostics.
+     * No fields.
+     * Response ND: LMK check value (6H), firmware version.
+     */
+    NC: (fields) => {
+        fields.end();
+        return keyStore.getLmkCheckValue() + FIRMWARE_VERSION;
+    },
+};
+
+/**
+ * Response code for a command code: the second character incremented.
+ * @param {string} command
+ * @returns {string}
+ */
+const responseCodeFor = (command) => command[0] + String.fromCharCode(command.charCodeAt(1) + 1);
+
+// --- Public API ---
+
+/**
+ * Processes one host command message (without its length prefix).
+ * @param {string} message - Header, command code and fields.
+ * @param {number} [headerLength=HSM_HEADER_LENGTH]
+ * @returns {string} The response message (without its length prefix).
+ */
+const handleCommand = (message, headerLength = HSM_HEADER_LENGTH) => {
+    const header = message.slice(0, headerLength);
+    const command = message.slice(headerLength, headerLength + 2);
+    const handler = COMMANDS[command];
+    if (!handler) return `${header}${UNKNOWN_COMMAND_RESPONSE}${ERROR_CODES.NO_ERROR}`;
+
+    const responseCode = responseCodeFor(command);
+    try {
+        const responseData = handler(createFieldReader(message.slice(headerLength + 2)));
+        return `${header}${responseCode}${ERROR_CODES.NO_ERROR}${responseData}`;
+    } catch (e) {
+        if (e.hsmErrorCode) {
+            if (e.hsmErrorCode !== ERROR_CODES.VERIFICATION_FAILURE) console.error(`HSM_HOST_COMMAND_ERROR: ${command} ${e.hsmErrorCode}`, e.message);
+            return `${header}${responseCode}${e.hsmErrorCode}`;
+        }
+        // Input that got past the field checks but was rejected by the simulator
+        console.error(`HSM_HOST_COMMAND_ERROR: ${command}`, e.message);
+        return `${header}${responseCode}${ERROR_CODES.INVALID_INPUT}`;
+    }
+};
+
+/**
+ * Creates the TCP server. Messages on one connection are answered in order.
+ * @param {object} [options]
+ * @param {number} [options.headerLength=HSM_HEADER_LENGTH]
+ * @param {number} [options.latencyMs=HSM_LATENCY_MS] - Delay before each response.
+ * @returns {net.Server}
+ */
+const createHsmHostServer = ({ headerLength = HSM_HEADER_LENGTH, latencyMs = HSM_LATENCY_MS } = {}) =>
+    net.createServer((socket) => {
+        let buffered = Buffer.alloc(0);
+        let responses = Promise.resolve();
+
+        const respond = async (message) => {
+            const response = Buffer.from(handleCommand(message, headerLength), 'latin1');
+            if (latencyMs > 0) await new Promise((resolve) => setTimeout(resolve, latencyMs));
+            if (socket.destroyed) return;
+
+            const lengthPrefix = Buffer.alloc(2);
+            lengthPrefix.writeUInt16BE(response.length);
+            socket.write(Buffer.concat([lengthPrefix, response]));
+        };
+
+        socket.on('data', (chunk) => {
+            buffered = Buffer.concat([buffered, chunk]);
+            while (buffered.length >= 2) {
+                const messageLength = buffered.readUInt16BE(0);
+                if (buffered.length < 2 + messageLength) break;
+
+                const message = buffered.subarray(2, 2 + messageLength).toString('latin1');
+                buffered = buffered.subarray(2 + messageLength);
+                responses = responses.then(() => respond(message));
+            }
+        });
+        socket.on('error', (e) => console.error("HSM_HOST_SOCKET_ERROR:", e.message));
+    });
+
+/**
+ * Starts the TCP server.
+ * @param {object} [options] - createHsmHostServer() options plus port.
+ * @returns {net.Server}
+ */
+const startHsmHostServer = ({ port = HSM_HOST_PORT, ...options } = {}) => {
+    const server = createHsmHostServer(options);
+    server.listen(port, () => {
+        console.log(`HSM host command interface listening on tcp://localhost:${port} (header length ${options.headerLength ?? HSM_HEADER_LENGTH})`);
+    });
+    return server;
+};
+
+module.exports = { ERROR_CODES, handleCommand, createHsmHostServer, startHsmHostServer };
+
+// --- Server Startup (standalone mode) ---
+if (require.main === module) {
+    keyStore.loadKeys()
+        .then(() => startHsmHostServer())
+        .catch((e) => {
+            console.error("KEY_STORE_LOAD_ERROR:", e.message);
+            process.exit(1);
+        });
+}
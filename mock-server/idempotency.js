@@ -0,0 +1,156 @@
+// idempotency.js
+// Idempotency-Key support for endpoints that move money or create records.
+// The first response sent for a key is stored and replayed on retries, so a
+// client that times out can safely send the same request again.
+
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+// --- Configuration ---
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24; // Keys can be reused after this
+
+const store = getStore();
+
+// --- Helper Functions ---
+
+/**
+ * Serialises a value to JSON with object keys sorted, so that bodies that only
+ * differ in key order produce the same hash.
+ * @param {*} value
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Fingerprints a request: the same key may only be replayed for the same
+ * method, path and body.
+ * @param {object} req - Express request.
+ * @returns {string} Hex SHA-256 digest.
+ */
+const hashRequest = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body ?? {})}`)
+    .digest('hex');
+
+/**
+ * Claims a key for this request by inserting an IN_PROGRESS row. An expired
+ * row left over for the same key is discarded first.
+ * @returns {object|null} The existing row when the key is already taken, or null once claimed.
+ */
+const claimKey = async (key, req, requestHash) => {
+    const existing = await store.idempotencyKeys.findByKey(key);
+    if (existing && new Date(existing.expires_at) > new Date()) {
+        return existing;
+    }
+    if (existing) {
+        await store.idempotencyKeys.delete(key);
+    }
+
+    try {
+        await store.idempotencyKeys.create({
+            idempotency_key: key,
+            request_method: req.method,
+            request_path: `${req.baseUrl}${req.path}`,
+            request_hash: requestHash,
+            status: 'IN_PROGRESS',
+            expires_at: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+        });
+        return null;
+    } catch (e) {
+        // A concurrent request claimed the key between the lookup and the insert
+        if (e.code === 'ER_DUP_ENTRY') {
+            return store.idempotencyKeys.findByKey(key);
+        }
+        throw e;
+    }
+};
+
+// --- Middleware ---
+
+/**
+ * Makes a route idempotent when the caller sends an Idempotency-Key header.
+ * Requests without the header are processed as before.
+ *
+ * - A retry with the same key and body gets the stored status and body back,
+ *   with an Idempotent-Replayed: true header, and the handler does not run.
+ * - The same key with a different method, path or body is rejected with 409.
+ * - A retry while the first request is still running is rejected with 409.
+ * - 5xx responses are not stored, so the request can be retried with the same key.
+ */
+const idempotent = async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) {
+        return next();
+    }
+    if (key.trim() === '' || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: `${IDEMPOTENCY_HEADER} header must be between 1 and ${MAX_KEY_LENGTH} characters.`
+        });
+    }
+
+    const requestHash = hashRequest(req);
+    let existing;
+    try {
+        existing = await claimKey(key, req, requestHash);
+    } catch (e) {
+        console.error("IDEMPOTENCY_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+
+    if (existing) {
+        if (existing.request_hash !== requestHash) {
+            return res.status(409).json({
+                success: false,
+                error: `${IDEMPOTENCY_HEADER} '${key}' was already used for a different request to ${existing.request_method} ${existing.request_path}. Use a new key for a new request.`
+            });
+        }
+        if (existing.status !== 'COMPLETED') {
+            return res.status(409).json({
+                success: false,
+                error: `A request with ${IDEMPOTENCY_HEADER} '${key}' is still being processed. Retry later.`
+            });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(JSON.parse(existing.response_body));
+    }
+
+    // Store the response before it is sent, so a retry never runs the handler twice
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        const saved = res.statusCode >= 500
+            ? store.idempotencyKeys.delete(key)
+            : store.idempotencyKeys.update(key, {
+                status: 'COMPLETED',
+                response_status: res.statusCode,
+                response_body: JSON.stringify(body)
+            });
+
+        saved
+            .catch((e) => console.error(`IDEMPOTENCY_ERROR: Failed to store the response for key ${key}:`, e.message))
+            .finally(() => sendJson(body));
+        return res;
+    };
+
+    next();
+};
+
+/**
+ * Deletes keys whose replay window has passed.
+ * @param {Date} [asOf=new Date()]
+ * @returns {number} Number of keys removed.
+ */
+const purgeExpiredKeys = (asOf = new Date()) => store.idempotencyKeys.deleteExpired(asOf);
+
+module.exports = { idempotent, purgeExpiredKeys };
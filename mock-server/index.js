@@ -0,0 +1,51 @@
+// index.js
+// Single launcher: mounts every mock module under /api/v1 in one process,
+// sharing one DB pool, so the full card lifecycle can run against one port.
+
+const { createApp } = require('./app');
+const cardCreate = require('./CardCreate');
+const dataManagement = require('./dataManagement');
+const pinManagement = require('./pinManagement');
+const authorisation = require('./authorisation');
+const batchProcessor = require('./batchProcessor');
+const keyManagement = require('./keyManagement');
+const productCatalog = require('./productCatalog');
+const feeEngine = require('./feeEngine');
+const feeBilling = require('./feeBilling');
+const fxRates = require('./fxRates');
+const { loadKeys } = require('./keyStore');
+const { startHsmHostServer } = require('./hsmHostServer');
+
+const PORT = process.env.PORT || 3000;
+const HSM_HOST_ENABLED = process.env.HSM_HOST_ENABLED !== 'false'; // TCP host command interface (hsmHostServer.js)
+
+const app = createApp(
+    cardCreate.router,
+    dataManagement.router,
+    pinManagement.router,
+    authorisation.router,
+    batchProcessor.router,
+    keyManagement.router,
+    productCatalog.router,
+    feeEngine.router,
+    feeBilling.router,
+    fxRates.router
+);
+
+// The HSM key versions must be loaded before the first request uses a key
+loadKeys()
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`\nCMS mock launcher running on http://localhost:${PORT}/api/v1`);
+            console.log('Mounted modules: CardCreate, dataManagement, pinManagement, authorisation, batchProcessor, keyManagement, productCatalog, feeEngine, feeBilling, fxRates.');
+            batchProcessor.startScheduler().catch((e) => {
+                console.error("EOD_SCHEDULER_START_ERROR:", e.message);
+                process.exit(1);
+            });
+        });
+        if (HSM_HOST_ENABLED) startHsmHostServer();
+    })
+    .catch((e) => {
+        console.error("KEY_STORE_LOAD_ERROR:", e.message);
+        process.exit(1);
+    });
@@ -0,0 +1,164 @@
+// keyManagement.js
+// Admin API of the HSM key store (keyStore.js): lists key versions with their
+// key check values, rotates and retires versions, and exchanges keys with
+// other systems as TR-31 key blocks.
+
+const express = require('express');
+const { createApp } = require('./app');
+const keyStore = require('./keyStore');
+const PORT = 3003;
+
+// --- Configuration ---
+const BEARER_TOKEN = 'sk_admin_xxxxx'; // Admin token for the key management endpoints
+
+/**
+ * Bearer Token Authentication Middleware
+ */
+const authenticateBearer = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ success: false, error: "Invalid or missing Bearer token format." });
+    }
+
+    if (authHeader.split(' ')[1] !== BEARER_TOKEN) {
+        return res.status(401).json({ success: false, error: "Invalid Bearer token value." });
+    }
+
+    next();
+};
+
+/**
+ * Checks an optional key version from a request.
+ * @param {*} version
+ * @returns {boolean}
+ */
+const isValidVersion = (version) => version === undefined || version === null || /^\d{1,2}$/.test(String(version));
+
+/**
+ * Sends a keyStore result object.
+ * @param {object} res - Express response.
+ * @param {object} result - { success: true, ... } or { success: false, httpStatus, error }.
+ */
+const sendResult = (res, result) => {
+    if (!result.success) {
+        return res.status(result.httpStatus).json({ success: false, error: result.error });
+    }
+    return res.status(200).json(result);
+};
+
+// ------------------------------------------------------------------------
+// --- ADMIN ENDPOINTS ---
+const adminRouter = express.Router();
+adminRouter.use(authenticateBearer);
+
+/**
+ * Lists every key version with its KCV and status (never the key).
+ * GET /api/v1/admin/keys
+ */
+adminRouter.get('/', (req, res) => {
+    res.status(200).json({ success: true, keys: keyStore.listKeys() });
+});
+
+/**
+ * Lists the versions of one key.
+ * GET /api/v1/admin/keys/:name
+ */
+adminRouter.get('/:name', (req, res) => {
+    const { name } = req.params;
+    if (!keyStore.KEY_TYPES[name]) {
+        return res.status(404).json({ success: false, error: `Unknown key '${name}'.` });
+    }
+    res.status(200).json({ success: true, current_version: keyStore.getCurrentVersion(name), keys: keyStore.listKeys(name) });
+});
+
+/**
+ * Generates a new version of a key and makes it current.
+ * POST /api/v1/admin/keys/:name/rotate
+ */
+adminRouter.post('/:name/rotate', async (req, res) => {
+    try {
+        return sendResult(res, await keyStore.rotateKey(req.params.name));
+    } catch (e) {
+        console.error("KEY_ROTATE_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Retires a key version that is no longer current.
+ * POST /api/v1/admin/keys/:name/retire
+ * Body: { version }
+ */
+adminRouter.post('/:name/retire', async (req, res) => {
+    const { version } = req.body ?? {};
+    if (version === undefined || !isValidVersion(version)) {
+        return res.status(400).json({ success: false, error: "Missing or invalid version." });
+    }
+
+    try {
+        return sendResult(res, await keyStore.retireKey(req.params.name, Number(version)));
+    } catch (e) {
+        console.error("KEY_RETIRE_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Exports a key version as a TR-31 key block.
+ * POST /api/v1/admin/keys/:name/export
+ * Body (optional): { version, kbpk: 'ZMK' | 'ZMK_AES' }
+ */
+adminRouter.post('/:name/export', (req, res) => {
+    const { version, kbpk } = req.body ?? {};
+    if (!isValidVersion(version)) {
+        return res.status(400).json({ success: false, error: "Invalid version." });
+    }
+
+    try {
+        return sendResult(res, keyStore.exportKey(req.params.name, version ?? null, kbpk));
+    } catch (e) {
+        console.error("KEY_EXPORT_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Imports a TR-31 key block as a new, current version of a key.
+ * POST /api/v1/admin/keys/:name/import
+ * Body: { key_block, kbpk: 'ZMK' | 'ZMK_AES' (optional) }
+ */
+adminRouter.post('/:name/import', async (req, res) => {
+    const { key_block, kbpk } = req.body ?? {};
+    if (!key_block || typeof key_block !== 'string') {
+        return res.status(400).json({ success: false, error: "Missing mandatory field: key_block." });
+    }
+
+    try {
+        return sendResult(res, await keyStore.importKey(req.params.name, key_block.trim(), kbpk));
+    } catch (e) {
+        console.error("KEY_IMPORT_ERROR:", e.message);
+        return res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+// ------------------------------------------------------------------------
+// --- FINAL API ROUTER ATTACHMENT ---
+const router = express.Router();
+router.use('/admin/keys', adminRouter);
+
+module.exports = { router };
+
+// --- Server Startup (standalone mode) ---
+if (require.main === module) {
+    keyStore.loadKeys()
+        .then(() => {
+            createApp(router).listen(PORT, () => {
+                console.log(`Key Management API running on http://localhost:${PORT}`);
+            });
+        })
+        .catch((e) => {
+            console.error("KEY_STORE_LOAD_ERROR:", e.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,431 @@
+// keyStore.js
+// HSM key store. Keys are held as TR-31 key blocks wrapped under the local
+// master key (LMK), the way a payment HSM keeps its working keys in the host
+// database, and are only unwrapped when the HSM simulator uses them. A key
+// name can have several Active versions: the current one is used for new
+// CVVs, PVVs and cryptograms, while older versions keep verifying what was
+// made with them (a card's pvki and cvk_version say which).
+
+const { getStore } = require('./store');
+const { MOCK_KEYS, LOCAL_MASTER_KEY } = require('./config/hsmKeys');
+const { generateKey, calculateKcv } = require('./hsmCrypto');
+const { KEY_ALGORITHMS, wrapKey, unwrapKey } = require('./tr31');
+
+// --- Key Types ---
+// Algorithm, length (bytes) and TR-31 usage/mode of use of every key name.
+// PVK versions double as PVKIs, so they stop at 6.
+const KEY_TYPES = {
+    CVK: { algorithm: 'tdes', length: 16, usage: 'C0', modeOfUse: 'C' },
+    PVK: { algorithm: 'tdes', length: 16, usage: 'V2', modeOfUse: 'C', maxVersion: 6 },
+    ZPK: { algorithm: 'tdes', length: 16, usage: 'P0', modeOfUse: 'B' },
+    ZPK_AES: { algorithm: 'aes', length: 16, usage: 'P0', modeOfUse: 'B' },
+    MK_AC: { algorithm: 'tdes', length: 16, usage: 'E0', modeOfUse: 'X' },
+    MK_DUKPT: { algorithm: 'tdes', length: 16, usage: 'B0', modeOfUse: 'X' },
+    MK_DUKPT_AES: { algorithm: 'aes', length: 16, usage: 'B0', modeOfUse: 'X' },
+    ZMK: { algorithm: 'tdes', length: 16, usage: 'K1', modeOfUse: 'B' },
+    ZMK_AES: { algorithm: 'aes', length: 32, usage: 'K1', modeOfUse: 'B' },
+};
+
+// Keys that can protect TR-31 key blocks for import and export
+const KBPK_USAGE = 'K1';
+const DEFAULT_KBPK = 'ZMK_AES';
+
+const MAX_KEY_VERSION = 99; // The TR-31 header has two digits for the key version
+
+const LMK = { algorithm: 'aes', key: LOCAL_MASTER_KEY };
+
+const store = getStore();
+
+// key_name -> Map(version -> hsm_keys row)
+const keys = new Map();
+
+// --- Helper Functions ---
+
+/**
+ * Wraps a clear key under the LMK and builds its hsm_keys row.
+ * @param {string} name - Key name (a KEY_TYPES entry).
+ * @param {number} version
+ * @param {string} clearKey - Hex.
+ * @param {boolean} isCurrent
+ * @returns {object} The row (key_block holds the wrapped key; no clear key is kept).
+ */
+const buildKeyRow = (name, version, clearKey, isCurrent) => {
+    const type = KEY_TYPES[name];
+    return {
+        key_name: name,
+        version,
+        algorithm: type.algorithm.toUpperCase(),
+        key_usage: type.usage,
+        key_block: wrapKey(LMK, {
+            usage: type.usage,
+            algorithm: type.algorithm === 'aes' ? 'A' : 'T',
+            modeOfUse: type.modeOfUse,
+            keyVersion: String(version).padStart(2, '0'),
+            exportability: 'E',
+        }, clearKey),
+        kcv: calculateKcv(type.algorithm, clearKey),
+        status: 'Active',
+        is_current: isCurrent ? 1 : 0,
+        created_at: new Date(),
+    };
+};
+
+/**
+ * The configured keys in config/hsmKeys.js, as version 1 of each key name
+ * (the PVKs keep their PVKI as version).
+ * @returns {Array<object>} hsm_keys rows.
+ */
+const configuredKeyRows = () => Object.keys(KEY_TYPES).flatMap((name) => {
+    if (name === 'PVK') {
+        return Object.entries(MOCK_KEYS.PVKS).map(([pvki, key]) =>
+            buildKeyRow(name, Number(pvki), key, Number(pvki) === MOCK_KEYS.DEFAULT_PVKI));
+    }
+    return [buildKeyRow(name, 1, MOCK_KEYS[name], true)];
+});
+
+/**
+ * Replaces the cached versions of one key name.
+ * @param {string} name
+ * @param {Array<object>} rows
+ */
+const cacheKeyRows = (name, rows) => {
+    keys.set(name, new Map(rows.map((row) => [Number(row.version), { ...row, version: Number(row.version) }])));
+};
+
+/**
+ * Public description of a key version. The key only appears wrapped under
+ * the LMK, which is how host applications hold it for the host command
+ * interface (hsmHostServer.js).
+ * @param {object} row - hsm_keys row.
+ * @returns {object}
+ */
+const describeKey = (row) => ({
+    key_name: row.key_name,
+    version: row.version,
+    algorithm: row.algorithm,
+    key_usage: row.key_usage,
+    kcv: row.kcv,
+    status: row.status,
+    current: Boolean(row.is_current),
+    key_block: row.key_block,
+    created_at: row.created_at,
+});
+
+/**
+ * Finds a cached key version.
+ * @param {string} name
+ * @param {number|string|null} [version] - Defaults to the current version.
+ * @returns {object|null} The hsm_keys row.
+ */
+const findKeyRow = (name, version = null) => {
+    const versions = keys.get(name);
+    if (!versions) return null;
+    if (version === null || version === undefined) {
+        return [...versions.values()].find((row) => row.is_current) ?? null;
+    }
+    return versions.get(Number(version)) ?? null;
+};
+
+const unknownKeyResult = (name) => ({
+    success: false,
+    httpStatus: 404,
+    error: `Unknown key '${name}'. Known keys: ${Object.keys(KEY_TYPES).join(', ')}.`
+});
+
+// The configured keys are usable straight away; loadKeys() brings in the
+// versions saved in the store.
+configuredKeyRows().forEach((row) => {
+    if (!keys.has(row.key_name)) keys.set(row.key_name, new Map());
+    keys.get(row.key_name).set(row.version, row);
+});
+
+// --- Public API ---
+
+/**
+ * Loads the key versions saved in the store. Key names with no saved versions
+ * are saved from config/hsmKeys.js, so the store becomes the source of truth
+ * after the first start. Every key block is unwrapped once to check it was
+ * made under this LMK.
+ * @throws {Error} When a saved key block cannot be unwrapped under the LMK.
+ */
+const loadKeys = async () => {
+    const savedRows = await store.hsmKeys.findAll();
+    const configuredRows = configuredKeyRows();
+
+    for (const name of Object.keys(KEY_TYPES)) {
+        const saved = savedRows.filter((row) => row.key_name === name);
+        if (saved.length > 0) {
+            saved.forEach((row) => {
+                try {
+                    unwrapKey(LMK, row.key_block);
+                } catch (e) {
+                    throw new Error(`Key ${name} version ${row.version} cannot be unwrapped under the LMK: ${e.message}`);
+                }
+            });
+            cacheKeyRows(name, saved);
+            continue;
+        }
+
+        const configured = configuredRows.filter((row) => row.key_name === name);
+        for (const row of configured) {
+            await store.hsmKeys.create(row);
+        }
+        cacheKeyRows(name, configured);
+    }
+};
+
+/**
+ * Unwraps a key for use by the HSM simulator.
+ * @param {string} name - Key name, e.g. 'CVK'.
+ * @param {number|string|null} [version] - Defaults to the current version.
+ * @returns {string} The clear key (hex).
+ * @throws {Error} When the key or version does not exist or is Retired.
+ */
+const getKey = (name, version = null) => {
+    if (!KEY_TYPES[name]) throw new Error(`Unknown key '${name}'.`);
+    const row = findKeyRow(name, version);
+    if (!row) throw new Error(`Key ${name} version ${version ?? '(current)'} not found.`);
+    if (row.status !== 'Active') throw new Error(`Key ${name} version ${row.version} is ${row.status}.`);
+
+    const { header, key } = unwrapKey(LMK, row.key_block);
+    if (header.usage !== KEY_TYPES[name].usage) {
+        throw new Error(`Key block for ${name} version ${row.version} is bound to usage ${header.usage}.`);
+    }
+    return key;
+};
+
+/**
+ * Unwraps a key block presented under the LMK (by a host command).
+ * @param {string} keyBlock
+ * @returns {object} { header, key }.
+ * @throws {Error} When the block was not made under this LMK or was altered.
+ */
+const unwrapLmkKeyBlock = (keyBlock) => unwrapKey(LMK, keyBlock);
+
+/**
+ * The LMK's key check value, reported by the host command diagnostics.
+ * @returns {string}
+ */
+const getLmkCheckValue = () => calculateKcv(LMK.algorithm, LMK.key);
+
+/**
+ * The version used for new CVVs, PVVs and cryptograms.
+ * @param {string} name
+ * @returns {number}
+ */
+const getCurrentVersion = (name) => {
+    const row = findKeyRow(name);
+    if (!row) throw new Error(`Key ${name} has no current version.`);
+    return row.version;
+};
+
+/**
+ * Lists key versions with their KCVs (never the clear keys).
+ * @param {string} [name] - Only this key name.
+ * @returns {Array<object>}
+ */
+const listKeys = (name = null) => [...keys.entries()]
+    .filter(([keyName]) => !name || keyName === name)
+    .flatMap(([, versions]) => [...versions.values()].sort((a, b) => a.version - b.version).map(describeKey));
+
+/**
+ * Saves a new version of a key and makes it the current one.
+ * @param {string} name
+ * @param {number} version
+ * @param {string} clearKey
+ * @returns {object} The new hsm_keys row.
+ */
+const addKeyVersion = async (name, version, clearKey) => {
+    const row = buildKeyRow(name, version, clearKey, true);
+    const previous = findKeyRow(name);
+
+    let tx;
+    try {
+        tx = await store.beginTransaction();
+        if (previous) {
+            await tx.hsmKeys.update(name, previous.version, { is_current: 0 });
+        }
+        await tx.hsmKeys.create(row);
+        await tx.commit();
+    } catch (e) {
+        if (tx) {
+            await tx.rollback();
+        }
+        throw e;
+    } finally {
+        if (tx) {
+            tx.release();
+        }
+    }
+
+    if (previous) previous.is_current = 0;
+    keys.get(name).set(version, row);
+    return row;
+};
+
+/**
+ * Works out the next free version of a key.
+ * @param {string} name
+ * @returns {number|null} Null when the key has no versions left.
+ */
+const nextVersion = (name) => {
+    const next = Math.max(0, ...keys.get(name).keys()) + 1;
+    return next <= (KEY_TYPES[name].maxVersion ?? MAX_KEY_VERSION) ? next : null;
+};
+
+/**
+ * Generates a new version of a key and makes it current. Earlier versions
+ * stay Active until they are retired.
+ * @param {string} name
+ * @returns {object} { success: true, key } or { success: false, httpStatus, error }.
+ */
+const rotateKey = async (name) => {
+    const type = KEY_TYPES[name];
+    if (!type) return unknownKeyResult(name);
+
+    const version = nextVersion(name);
+    if (version === null) {
+        return { success: false, httpStatus: 409, error: `Key ${name} has no versions left; retire and reuse is not supported.` };
+    }
+
+    const row = await addKeyVersion(name, version, generateKey(type.algorithm, type.length));
+    console.log(`KEY_ROTATED: ${name} version ${version} (KCV ${row.kcv}) is now current`);
+    return { success: true, key: describeKey(row) };
+};
+
+/**
+ * Retires a key version: it can no longer be used, so whatever was made with
+ * it (PVVs, card security codes) stops verifying.
+ * @param {string} name
+ * @param {number|string} version
+ * @returns {object} { success: true, key } or { success: false, httpStatus, error }.
+ */
+const retireKey = async (name, version) => {
+    if (!KEY_TYPES[name]) return unknownKeyResult(name);
+
+    const row = findKeyRow(name, version);
+    if (!row) {
+        return { success: false, httpStatus: 404, error: `Key ${name} version ${version} not found.` };
+    }
+    if (row.is_current) {
+        return { success: false, httpStatus: 409, error: `Key ${name} version ${row.version} is the current version; rotate the key first.` };
+    }
+    if (row.status === 'Retired') {
+        return { success: false, httpStatus: 409, error: `Key ${name} version ${row.version} is already Retired.` };
+    }
+
+    await store.hsmKeys.update(name, row.version, { status: 'Retired' });
+    row.status = 'Retired';
+    console.log(`KEY_RETIRED: ${name} version ${row.version}`);
+    return { success: true, key: describeKey(row) };
+};
+
+/**
+ * Resolves a key block protection key.
+ * @param {string} kbpkName
+ * @returns {object} { success: true, kbpk: { algorithm, key } } or a failure result.
+ */
+const resolveKbpk = (kbpkName) => {
+    if (KEY_TYPES[kbpkName]?.usage !== KBPK_USAGE) {
+        const kbpks = Object.keys(KEY_TYPES).filter((name) => KEY_TYPES[name].usage === KBPK_USAGE);
+        return { success: false, httpStatus: 400, error: `'${kbpkName}' is not a key block protection key. Use one of: ${kbpks.join(', ')}.` };
+    }
+    return { success: true, kbpk: { algorithm: KEY_TYPES[kbpkName].algorithm, key: getKey(kbpkName) } };
+};
+
+/**
+ * Exports a key version as a TR-31 key block under a zone master key
+ * (version B under ZMK, version D under ZMK_AES).
+ * @param {string} name
+ * @param {number|string|null} [version] - Defaults to the current version.
+ * @param {string} [kbpkName='ZMK_AES']
+ * @returns {object} { success: true, key_block, kcv, ... } or { success: false, httpStatus, error }.
+ */
+const exportKey = (name, version = null, kbpkName = DEFAULT_KBPK) => {
+    const type = KEY_TYPES[name];
+    if (!type) return unknownKeyResult(name);
+
+    const row = findKeyRow(name, version);
+    if (!row) {
+        return { success: false, httpStatus: 404, error: `Key ${name} version ${version ?? '(current)'} not found.` };
+    }
+    if (row.status !== 'Active') {
+        return { success: false, httpStatus: 409, error: `Key ${name} version ${row.version} is ${row.status} and cannot be exported.` };
+    }
+    if (name === kbpkName) {
+        return { success: false, httpStatus: 400, error: 'A key cannot be exported under itself.' };
+    }
+
+    const resolved = resolveKbpk(kbpkName);
+    if (!resolved.success) return resolved;
+
+    const keyBlock = wrapKey(resolved.kbpk, {
+        usage: type.usage,
+        algorithm: type.algorithm === 'aes' ? 'A' : 'T',
+        modeOfUse: type.modeOfUse,
+        keyVersion: String(row.version).padStart(2, '0'),
+        exportability: 'N', // The receiving side may not export it again
+    }, getKey(name, row.version));
+
+    return { success: true, key_name: name, version: row.version, kcv: row.kcv, kbpk: kbpkName, key_block: keyBlock };
+};
+
+/**
+ * Imports a TR-31 key block as a new version of a key and makes it current.
+ * The block's usage, algorithm and key length must match the key name; its
+ * key version field gives the version ('00' takes the next free one).
+ * @param {string} name
+ * @param {string} keyBlock
+ * @param {string} [kbpkName='ZMK_AES']
+ * @returns {object} { success: true, key } or { success: false, httpStatus, error }.
+ */
+const importKey = async (name, keyBlock, kbpkName = DEFAULT_KBPK) => {
+    const type = KEY_TYPES[name];
+    if (!type) return unknownKeyResult(name);
+
+    const resolved = resolveKbpk(kbpkName);
+    if (!resolved.success) return resolved;
+
+    let unwrapped;
+    try {
+        unwrapped = unwrapKey(resolved.kbpk, keyBlock);
+    } catch (e) {
+        return { success: false, httpStatus: 400, error: `Key block rejected: ${e.message}` };
+    }
+
+    const { header, key } = unwrapped;
+    if (header.usage !== type.usage || KEY_ALGORITHMS[header.algorithm] !== type.algorithm || key.length !== type.length * 2) {
+        return {
+            success: false,
+            httpStatus: 400,
+            error: `Key block (usage ${header.usage}, algorithm ${header.algorithm}, ${key.length * 4} bits) does not fit key ${name} ` +
+                `(usage ${type.usage}, algorithm ${type.algorithm === 'aes' ? 'A' : 'T'}, ${type.length * 8} bits).`
+        };
+    }
+
+    const version = header.keyVersion === '00' ? nextVersion(name) : parseInt(header.keyVersion, 10);
+    if (!version || version > (type.maxVersion ?? MAX_KEY_VERSION)) {
+        return { success: false, httpStatus: 409, error: `Key ${name} has no version ${header.keyVersion === '00' ? 'left' : header.keyVersion} available.` };
+    }
+    if (findKeyRow(name, version)) {
+        return { success: false, httpStatus: 409, error: `Key ${name} version ${version} already exists.` };
+    }
+
+    const row = await addKeyVersion(name, version, key);
+    console.log(`KEY_IMPORTED: ${name} version ${version} (KCV ${row.kcv}) is now current`);
+    return { success: true, key: describeKey(row) };
+};
+
+module.exports = {
+    KEY_TYPES,
+    loadKeys,
+    getKey,
+    getCurrentVersion,
+    unwrapLmkKeyBlock,
+    getLmkCheckValue,
+    listKeys,
+    rotateKey,
+    retireKey,
+    exportKey,
+    importKey,
+};
@@ -0,0 +1,271 @@
+// panAllocation.js
+// PAN allocation from the BIN ranges in bin_ranges. Every product and card
+// length has one or more ranges of account identifiers after a BIN; PANs are
+// handed out in order with a Luhn check digit, and a range's next_account
+// only moves forward, so a PAN is never allocated twice. PANs already on a
+// card (issued before the ranges existed) are skipped. A range is reported
+// as running out once its free PANs drop to its low_threshold.
+
+const { getStore } = require('./store');
+
+// --- Configuration ---
+const DEFAULT_PAN_LENGTH = 16;
+const MIN_PAN_LENGTH = 13;
+const MAX_PAN_LENGTH = 19;
+const DEFAULT_LOW_THRESHOLD = 1000;
+const RANGE_STATUSES = ['Active', 'Inactive'];
+
+const store = getStore();
+
+// --- Luhn ---
+
+/**
+ * Computes the Luhn (mod 10) check digit for a PAN without its check digit.
+ * @param {string} partialPan
+ * @returns {string} One digit.
+ */
+const luhnCheckDigit = (partialPan) => {
+    let sum = 0;
+    // Doubling starts from the rightmost digit, which sits next to the check digit
+    [...partialPan].reverse().forEach((char, index) => {
+        let digit = Number(char);
+        if (index % 2 === 0) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    });
+    return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Checks a PAN's Luhn check digit.
+ * @param {string} pan
+ * @returns {boolean}
+ */
+const isLuhnValid = (pan) =>
+    /^\d{2,19}$/.test(pan) && luhnCheckDigit(pan.slice(0, -1)) === pan.slice(-1);
+
+// --- Helper Functions ---
+
+/**
+ * Number of account identifier digits between a range's BIN and check digit.
+ * @param {object} range - bin_ranges row (or { bin, pan_length }).
+ * @returns {number}
+ */
+const accountDigits = (range) => range.pan_length - range.bin.length - 1;
+
+/**
+ * Builds the PAN for an account identifier in a range.
+ * @param {object} range
+ * @param {number} account
+ * @returns {string}
+ */
+const buildPan = (range, account) => {
+    const partialPan = range.bin + String(account).padStart(accountDigits(range), '0');
+    return partialPan + luhnCheckDigit(partialPan);
+};
+
+/**
+ * Masks a PAN, keeping the first six and last four digits.
+ * @param {string} pan
+ * @returns {string}
+ */
+const maskPan = (pan) => `${pan.slice(0, 6)}${'*'.repeat(pan.length - 10)}${pan.slice(-4)}`;
+
+/**
+ * Free PANs left in a range.
+ * @param {object} range
+ * @returns {number}
+ */
+const remainingPans = (range) => Math.max(Number(range.account_end) - Number(range.next_account) + 1, 0);
+
+/**
+ * Public view of a range with its usage.
+ * @param {object} range - bin_ranges row.
+ * @returns {object}
+ */
+const describeRange = (range) => {
+    const remaining = remainingPans(range);
+    const size = Number(range.account_end) - Number(range.account_start) + 1;
+    let availability = 'Available';
+    if (remaining === 0) availability = 'Exhausted';
+    else if (remaining <= range.low_threshold) availability = 'Low';
+
+    return {
+        range_id: range.range_id,
+        product_code: range.product_code,
+        bin: range.bin,
+        pan_length: range.pan_length,
+        first_pan: maskPan(buildPan(range, Number(range.account_start))),
+        last_pan: maskPan(buildPan(range, Number(range.account_end))),
+        size,
+        allocated: size - remaining,
+        remaining,
+        low_threshold: range.low_threshold,
+        availability,
+        status: range.status,
+    };
+};
+
+/**
+ * The first and last PAN (without check digit) of a range as numbers, for
+ * overlap checks between ranges of the same PAN length.
+ * @param {object} range
+ * @returns {Array<bigint>}
+ */
+const panBounds = (range) => [range.account_start, range.account_end]
+    .map((account) => BigInt(range.bin + String(account).padStart(accountDigits(range), '0')));
+
+const isWholeNumber = (value) => Number.isSafeInteger(value) && value >= 0;
+
+// --- Public API ---
+
+/**
+ * Allocates the next free PAN for a product and card length. Runs inside the
+ * caller's transaction, which should also insert the card: the ranges are
+ * locked until it commits, and a rollback gives the PAN back.
+ * @param {object} tx - Open store transaction.
+ * @param {string} productCode
+ * @param {object} [options]
+ * @param {number} [options.panLength=DEFAULT_PAN_LENGTH]
+ * @returns {object} { success: true, pan, maskedPan, rangeId } or { success: false, httpStatus, error }.
+ */
+const allocatePan = async (tx, productCode, { panLength = DEFAULT_PAN_LENGTH } = {}) => {
+    const ranges = await tx.binRanges.findActive(productCode, panLength, { forUpdate: true });
+
+    for (const range of ranges) {
+        let next = Number(range.next_account);
+        const end = Number(range.account_end);
+
+        while (next <= end) {
+            const pan = buildPan(range, next);
+            next += 1;
+            if (await tx.cards.findByPan(pan)) continue;
+
+            await tx.binRanges.update(range.range_id, { next_account: next });
+            const remaining = remainingPans({ ...range, next_account: next });
+            if (remaining <= range.low_threshold) {
+                console.warn(`PAN_RANGE_LOW: Range ${range.range_id} (BIN ${range.bin}, ${panLength} digits, ${productCode}) has ${remaining} PANs left.`);
+            }
+            return { success: true, pan, maskedPan: maskPan(pan), rangeId: range.range_id };
+        }
+        // Every PAN left in this range was already on a card
+        await tx.binRanges.update(range.range_id, { next_account: next });
+    }
+
+    const error = ranges.length === 0
+        ? `No active BIN range is configured for product ${productCode} with ${panLength}-digit PANs.`
+        : `The BIN ranges for product ${productCode} with ${panLength}-digit PANs have no free PANs left.`;
+    console.error("PAN_ALLOCATION_ERROR:", error);
+    return { success: false, httpStatus: 409, error };
+};
+
+/**
+ * Lists every range with its usage.
+ * @returns {Array<object>}
+ */
+const listRanges = async () => (await store.binRanges.list()).map(describeRange);
+
+/**
+ * Ranges that are running out or exhausted (Active ranges only).
+ * @returns {Array<object>}
+ */
+const findLowRanges = async () => (await listRanges())
+    .filter((range) => range.status === 'Active' && range.availability !== 'Available');
+
+/**
+ * Adds a BIN range. Ranges of the same PAN length may not overlap, whatever
+ * their product.
+ * @param {object} input - { product_code, bin, pan_length, account_start, account_end, low_threshold }.
+ * @returns {object} { success: true, range } or { success: false, httpStatus, error }.
+ */
+const createRange = async ({ product_code, bin, pan_length, account_start, account_end, low_threshold = DEFAULT_LOW_THRESHOLD }) => {
+    if (typeof bin !== 'string' || !/^\d{6,11}$/.test(bin)) {
+        return { success: false, httpStatus: 400, error: "Invalid bin. Must be 6 to 11 digits." };
+    }
+    if (!Number.isInteger(pan_length) || pan_length < MIN_PAN_LENGTH || pan_length > MAX_PAN_LENGTH || pan_length - bin.length - 1 < 1) {
+        return { success: false, httpStatus: 400, error: `Invalid pan_length. Must be ${MIN_PAN_LENGTH} to ${MAX_PAN_LENGTH} and leave room for an account identifier after the BIN.` };
+    }
+    const maxAccount = 10 ** (pan_length - bin.length - 1) - 1;
+    if (!isWholeNumber(account_start) || !isWholeNumber(account_end) || account_start > account_end || account_end > maxAccount) {
+        return { success: false, httpStatus: 400, error: `Invalid account_start/account_end. Must be whole numbers with account_start <= account_end <= ${maxAccount}.` };
+    }
+    if (!isWholeNumber(low_threshold)) {
+        return { success: false, httpStatus: 400, error: "Invalid low_threshold. Must be a whole number." };
+    }
+
+    let tx;
+    try {
+        tx = await store.beginTransaction();
+
+        const range = { product_code, bin, pan_length, account_start, account_end, next_account: account_start, low_threshold };
+        const [low, high] = panBounds(range);
+        const overlapping = (await tx.binRanges.list()).find((existing) => {
+            if (existing.pan_length !== pan_length) return false;
+            const [existingLow, existingHigh] = panBounds(existing);
+            return low <= existingHigh && existingLow <= high;
+        });
+        if (overlapping) {
+            await tx.rollback();
+            return { success: false, httpStatus: 409, error: `Range overlaps range ${overlapping.range_id} (BIN ${overlapping.bin}, ${overlapping.product_code}).` };
+        }
+
+        const { insertId } = await tx.binRanges.create(range);
+        await tx.commit();
+        return { success: true, range: describeRange(await store.binRanges.findById(insertId)) };
+    } catch (e) {
+        if (tx) {
+            await tx.rollback();
+        }
+        throw e;
+    } finally {
+        if (tx) {
+            tx.release();
+        }
+    }
+};
+
+/**
+ * Changes a range's status or low threshold. Inactive ranges are skipped by
+ * allocation; their allocated PANs stay allocated.
+ * @param {number} rangeId
+ * @param {object} fields - { status, low_threshold } (either may be omitted).
+ * @returns {object} { success: true, range } or { success: false, httpStatus, error }.
+ */
+const updateRange = async (rangeId, { status, low_threshold }) => {
+    if (status !== undefined && !RANGE_STATUSES.includes(status)) {
+        return { success: false, httpStatus: 400, error: `Invalid status. Must be ${RANGE_STATUSES.join(' or ')}.` };
+    }
+    if (low_threshold !== undefined && !isWholeNumber(low_threshold)) {
+        return { success: false, httpStatus: 400, error: "Invalid low_threshold. Must be a whole number." };
+    }
+    if (status === undefined && low_threshold === undefined) {
+        return { success: false, httpStatus: 400, error: "Nothing to update. Send status and/or low_threshold." };
+    }
+
+    const range = await store.binRanges.findById(rangeId);
+    if (!range) {
+        return { success: false, httpStatus: 404, error: `BIN range ${rangeId} not found.` };
+    }
+
+    const fields = {};
+    if (status !== undefined) fields.status = status;
+    if (low_threshold !== undefined) fields.low_threshold = low_threshold;
+    await store.binRanges.update(rangeId, fields);
+    return { success: true, range: describeRange({ ...range, ...fields }) };
+};
+
+module.exports = {
+    DEFAULT_PAN_LENGTH,
+    MIN_PAN_LENGTH,
+    MAX_PAN_LENGTH,
+    luhnCheckDigit,
+    isLuhnValid,
+    maskPan,
+    allocatePan,
+    listRanges,
+    findLowRanges,
+    createRange,
+    updateRange,
+};
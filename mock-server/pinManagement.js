@@ -2,18 +2,22 @@
 // Dependencies
 // ------------------------
 const express = require('express');
-const cors = require('cors');
-const mysql = require('mysql2/promise');
+const { createApp } = require('./app');
+const { getStore } = require('./store');
+const { getCallerContext, recordCardEvent } = require('./cardEvents');
+const { transitionCard } = require('./cardLifecycle');
 
 // Load your HSM simulation or SDK (assuming hsmSimulator.js was renamed to hsm.js)
 const hsm = require('./hsmSimulator'); // Use hsmSimulator.js name for clarity
+const keyStore = require('./keyStore');
 
-// ------------------------
-// Create Express App
-// ------------------------
-const app = express();
-app.use(express.json());
-app.use(cors());
+const PORT = 3000;
+
+// PIN try counter: after this many wrong PINs in a row the card is locked
+// with block code P until the call centre resets it.
+const PIN_MAX_ATTEMPTS = parseInt(process.env.PIN_MAX_ATTEMPTS, 10) || 3;
+const PIN_LOCK_BLOCK_CODE = 'P';
+const CALL_CENTRE_TOKEN = 'sk_admin_xxxxx'; // Admin token for the PIN unlock endpoint
 
 // ------------------------
 // Authentication Middleware
@@ -27,56 +31,170 @@ const authenticate = (req, res, next) => {
     next();
 };
 
+/**
+ * Bearer Token Authentication Middleware for the call centre endpoints
+ */
+const authenticateCallCentre = (req, res, next) => {
+    const token = req.headers['authorization'];
+    if (!token || token !== `Bearer ${CALL_CENTRE_TOKEN}`) {
+        return res.status(401).json({ success: false, error: "Unauthorized request. Missing or invalid token." });
+    }
+    next();
+};
+
 // ------------------------
-// DB Connection Setup
+// Data Store (shared with the other modules)
 // ------------------------
-let dbConnection;
+const store = getStore();
 
-(async () => {
-    try {
-        dbConnection = await mysql.createPool({
-            host: "",
-            user: "",
-            password: "",
-            database: "card_management_system",
-            port: 3306,
-        });
-        console.log("MySQL connected.");
+// -------------------------------------------------------
+// Helper: PIN Format Check
+// -------------------------------------------------------
+const isValidPin = (pin) => /^\d{4,12}$/.test(pin);
 
-        // Start the server ONLY after the DB connection is successful
-        const PORT = 3000;
-        app.listen(PORT, () => {
-            console.log(`PIN Management API running on port ${PORT}`);
-        });
+// Encrypted ISO 9564 PIN block: 8 bytes (formats 0, 1, 3) or 16 bytes (format 4)
+const isValidPinBlock = (pinBlock) => /^([0-9A-F]{16}|[0-9A-F]{32})$/i.test(pinBlock);
 
-    } catch (err) {
-        console.error("DB Connection Failed:", err.message);
-        process.exit(1); // Exit if DB connection fails
+// DUKPT Key Serial Number: 10 bytes (TDES DUKPT) or 12 bytes (AES DUKPT)
+const isValidKsn = (ksn) => /^([0-9A-F]{20}|[0-9A-F]{24})$/i.test(ksn);
+
+/**
+ * Checks a submitted PIN block and optional DUKPT KSN. TDES DUKPT terminals
+ * send 8-byte blocks (formats 0, 1, 3) and AES DUKPT terminals 16-byte
+ * blocks (format 4).
+ * @param {string} pinBlock
+ * @param {string|undefined|null} ksn
+ * @returns {string|null} Error message, or null when the input is usable.
+ */
+const validatePinBlockInput = (pinBlock, ksn) => {
+    if (!isValidPinBlock(pinBlock)) {
+        return "Invalid PIN block format (16 or 32 hex characters).";
+    }
+    if (ksn === undefined || ksn === null) {
+        return null;
+    }
+    if (!isValidKsn(ksn)) {
+        return "Invalid KSN format (20 hex characters for TDES DUKPT, 24 for AES DUKPT).";
     }
-})();
+    if ((ksn.length === 20) !== (pinBlock.length === 16)) {
+        return "PIN block does not match the KSN (TDES DUKPT uses 16 hex character blocks, AES DUKPT 32).";
+    }
+    return null;
+};
 
 // -------------------------------------------------------
-// Helper: PIN Format Check
+// Helper: PIN Try Counter
 // -------------------------------------------------------
-const isValidPin = (pin) => /^\d{4,12}$/.test(pin);
+/**
+ * A card is PIN-locked once the try counter reaches PIN_MAX_ATTEMPTS or while
+ * it carries the PIN lock block code.
+ * @param {object} card - The cards row.
+ * @returns {boolean}
+ */
+const isPinLocked = (card) =>
+    (card.pin_attempts || 0) >= PIN_MAX_ATTEMPTS ||
+    (card.status === 'Blocked' && card.block_code === PIN_LOCK_BLOCK_CODE);
+
+const PIN_LOCKED_RESULT = {
+    success: false,
+    httpStatus: 403,
+    error: "PIN tries exceeded. The card is locked; contact the call centre to reset the PIN."
+};
+
+/**
+ * Verifies a PIN block and maintains the card's try counter in one transaction:
+ * a wrong PIN increments pin_attempts (locking an Active card with block code P
+ * once PIN_MAX_ATTEMPTS is reached) and a correct PIN resets it.
+ * @param {string} external_id - Card EXID.
+ * @param {string} pinBlock - The submitted PIN block.
+ * @param {object} context - Audit context from getCallerContext().
+ * @param {string|null} [ksn=null] - DUKPT KSN when the block was encrypted by a DUKPT terminal.
+ * @returns {object} { success: true } or { success: false, httpStatus, error, attempts_remaining? }.
+ */
+const verifyPinWithTryCounter = async (external_id, pinBlock, context, ksn = null) => {
+    let tx;
+    try {
+        tx = await store.beginTransaction();
+
+        // Lock the card row so concurrent guesses cannot slip past the counter
+        const card = await tx.cards.findByExid(external_id, { forUpdate: true });
+        if (!card) {
+            await tx.rollback();
+            return { success: false, httpStatus: 404, error: "Card not found." };
+        }
+        if (isPinLocked(card)) {
+            await tx.rollback();
+            return PIN_LOCKED_RESULT;
+        }
+
+        // HSM: Verify the submitted PIN block against the stored PVV
+        const isValid = await hsm.verifyPinBlock(card.pan, pinBlock, card.pvv, card.pvki, ksn);
+        const previousAttempts = card.pin_attempts || 0;
+
+        if (isValid) {
+            if (previousAttempts > 0) {
+                await tx.cards.update(external_id, { pin_attempts: 0 });
+            }
+            await tx.commit();
+            return { success: true };
+        }
+
+        const attempts = previousAttempts + 1;
+        await tx.cards.update(external_id, { pin_attempts: attempts });
+        await recordCardEvent(tx, card, 'PIN_VERIFY_FAILED', context, { oldValue: previousAttempts, newValue: attempts });
+
+        if (attempts >= PIN_MAX_ATTEMPTS) {
+            // Only an Active card can carry a reversible block; for any other
+            // status the counter alone keeps the PIN locked.
+            if (card.status === 'Active') {
+                const locked = await transitionCard(tx, { ...card, pin_attempts: attempts }, 'Blocked', {
+                    blockCode: PIN_LOCK_BLOCK_CODE,
+                    context: { ...context, reason: `PIN tries exceeded (${attempts} of ${PIN_MAX_ATTEMPTS})` }
+                });
+                if (!locked.success) throw new Error(locked.error);
+            }
+            await tx.commit();
+            console.log(`PIN_LOCK: ${external_id} locked after ${attempts} failed PIN attempts`);
+            return PIN_LOCKED_RESULT;
+        }
+
+        await tx.commit();
+        return { success: false, httpStatus: 401, error: "Incorrect PIN.", attempts_remaining: PIN_MAX_ATTEMPTS - attempts };
+    } catch (e) {
+        if (tx) {
+            await tx.rollback();
+        }
+        throw e;
+    } finally {
+        if (tx) {
+            tx.release();
+        }
+    }
+};
 
 // -------------------------------------------------------
 // Shared Logic for PIN Update
 // -------------------------------------------------------
 /**
- * Secures the clear PIN using the HSM and updates the PVV in the database.
- * @param {string} external_id - The card's external ID.
- * @param {string} pan - The card's Primary Account Number.
+ * Secures the clear PIN using the HSM, updates the PVV in the database and
+ * records the change in card_events (the PIN itself is never logged).
+ * @param {object} card - The cards row.
  * @param {string} clear_pin - The clear, unencrypted PIN.
+ * @param {string} eventType - PIN_SET or PIN_CHANGE.
+ * @param {object} context - Audit context from getCallerContext().
  * @param {object} res - The Express response object.
  */
-const updatePin = async (external_id, pan, clear_pin, res) => {
+const updatePin = async (card, clear_pin, eventType, context, res) => {
+    const { exid: external_id, pan } = card;
     let newPVV;
+    let pvki;
 
     try {
+        // New PVVs are made under the current PVK version, which is the PVKI
+        pvki = keyStore.getCurrentVersion('PVK');
         // HSM: Convert clear PIN -> PVV (PIN Verification Value)
         // This is the core security step. 
-        newPVV = await hsm.generatePvv(pan, clear_pin); 
+        newPVV = await hsm.generatePvv(pan, clear_pin, pvki);
         console.log(`PIN received for EXID ${external_id}. PVV successfully created.`);
     } catch (hsmError) {
         console.error("HSM PIN Creation Error:", hsmError.message);
@@ -86,12 +204,13 @@ const updatePin = async (external_id, pan, clear_pin, res) => {
         });
     }
 
+    let tx;
     try {
-        // DB: Store the generated PVV and mark the PIN as set
-        await dbConnection.execute(
-            'UPDATE cards SET pin_set = ?, pvv = ?, updated_at = NOW() WHERE exid = ?',
-            ['yes', newPVV, external_id]
-        );
+        // DB: Store the generated PVV with its PVKI, mark the PIN as set and audit the change
+        tx = await store.beginTransaction();
+        await tx.cards.update(external_id, { pin_set: 'yes', pvv: newPVV, pvki: String(pvki) });
+        await recordCardEvent(tx, card, eventType, context);
+        await tx.commit();
 
         res.status(200).json({
             success: true,
@@ -99,11 +218,18 @@ const updatePin = async (external_id, pan, clear_pin, res) => {
             exid: external_id
         });
     } catch (dbError) {
+        if (tx) {
+            await tx.rollback();
+        }
         console.error("PIN Update DB Error:", dbError.message);
         return res.status(500).json({
             success: false,
             message: "Database error during PIN update."
         });
+    } finally {
+        if (tx) {
+            tx.release();
+        }
     }
 };
 
@@ -111,16 +237,16 @@ const updatePin = async (external_id, pan, clear_pin, res) => {
 // 			ROUTES (Protected)
 // =======================================================
 
-const router = express.Router();
+const pinRouter = express.Router();
 
 // Apply authentication to all PIN routes
-router.use(authenticate);
+pinRouter.use(authenticate);
 
 // ----------------------------
 // 1. PIN SET (POST /set)
 // For initial PIN creation.
 // ----------------------------
-router.post('/set', async (req, res) => {
+pinRouter.post('/set', async (req, res) => {
     const { external_id, clear_pin } = req.body;
 
     // Validation
@@ -132,19 +258,16 @@ router.post('/set', async (req, res) => {
     }
 
     // Lookup card details (PAN and current pin_set status)
-    const [cards] = await dbConnection.query(
-        'SELECT pan, pin_set FROM cards WHERE exid = ?',
-        [external_id]
-    );
+    const card = await store.cards.findByExid(external_id);
 
-    if (cards.length === 0) {
+    if (!card) {
         return res.status(404).json({
             success: false,
             error: `Card not found for EXID: ${external_id}.`
         });
     }
 
-    const { pan, pin_set } = cards[0];
+    const { pin_set } = card;
 
     // Check if PIN is already set
     if (pin_set === 'yes') {
@@ -155,15 +278,15 @@ router.post('/set', async (req, res) => {
     }
 
     // Process PIN update
-    await updatePin(external_id, pan, clear_pin, res);
+    await updatePin(card, clear_pin, 'PIN_SET', getCallerContext(req, 'PIN set'), res);
 });
 
 // ----------------------------
 // 2. PIN CHANGE (POST /change)
 // For updating an existing PIN, requires current PIN verification.
 // ----------------------------
-router.post('/change', async (req, res) => {
-    const { external_id, current_pin_block, new_clear_pin } = req.body;
+pinRouter.post('/change', async (req, res) => {
+    const { external_id, current_pin_block, new_clear_pin, ksn } = req.body;
 
     // Validation
     if (!external_id || !current_pin_block || !new_clear_pin) {
@@ -172,18 +295,19 @@ router.post('/change', async (req, res) => {
     if (!isValidPin(new_clear_pin)) {
         return res.status(400).json({ success: false, error: "Invalid new PIN format." });
     }
+    const pinBlockError = validatePinBlockInput(current_pin_block, ksn);
+    if (pinBlockError) {
+        return res.status(400).json({ success: false, error: pinBlockError });
+    }
 
     // Lookup card details (PAN, PVV, and pin_set status)
-    const [cards] = await dbConnection.query(
-        'SELECT pan, pvv, pin_set FROM cards WHERE exid = ?',
-        [external_id]
-    );
+    const card = await store.cards.findByExid(external_id);
 
-    if (cards.length === 0) {
+    if (!card) {
         return res.status(404).json({ success: false, error: "Card not found." });
     }
 
-    const { pan, pvv, pin_set } = cards[0];
+    const { pin_set } = card;
 
     // Check if PIN was previously set
     if (pin_set === 'no') {
@@ -193,12 +317,10 @@ router.post('/change', async (req, res) => {
         });
     }
 
-    // 1. Verify Current PIN
-    let isValid;
+    // 1. Verify Current PIN (counts towards the PIN try limit)
+    let verification;
     try {
-        // HSM: Verify the submitted PIN block against the stored PVV
-        // 
-        isValid = await hsm.verifyPinBlock(pan, current_pin_block, pvv);
+        verification = await verifyPinWithTryCounter(external_id, current_pin_block, getCallerContext(req, 'PIN change'), ksn);
     } catch (err) {
         console.error("HSM Verification Error:", err.message);
         return res.status(500).json({
@@ -207,23 +329,25 @@ router.post('/change', async (req, res) => {
         });
     }
 
-    if (!isValid) {
-        return res.status(401).json({
+    if (!verification.success) {
+        const { httpStatus, error, attempts_remaining } = verification;
+        return res.status(httpStatus).json({
             success: false,
-            error: "Incorrect current PIN."
+            error: httpStatus === 401 ? "Incorrect current PIN." : error,
+            attempts_remaining
         });
     }
 
     // 2. Process New PIN update
-    await updatePin(external_id, pan, new_clear_pin, res);
+    await updatePin(card, new_clear_pin, 'PIN_CHANGE', getCallerContext(req, 'PIN changed'), res);
 });
 
 // ----------------------------
 // 3. PIN VERIFY (POST /verify)
 // For verifying a transaction PIN (often used internally by payment gateway).
 // ----------------------------
-router.post('/verify', async (req, res) => {
-    const { external_id, current_pin_block } = req.body;
+pinRouter.post('/verify', async (req, res) => {
+    const { external_id, current_pin_block, ksn } = req.body;
 
     if (!external_id || !current_pin_block) {
         return res.status(400).json({
@@ -231,18 +355,24 @@ router.post('/verify', async (req, res) => {
             error: "Missing mandatory fields."
         });
     }
+    const pinBlockError = validatePinBlockInput(current_pin_block, ksn);
+    if (pinBlockError) {
+        return res.status(400).json({ success: false, error: pinBlockError });
+    }
 
     // Lookup card details (PAN, PVV, and status)
-    const [cards] = await dbConnection.query(
-        'SELECT pan, pvv, status FROM cards WHERE exid = ?',
-        [external_id]
-    );
+    const card = await store.cards.findByExid(external_id);
 
-    if (cards.length === 0) {
+    if (!card) {
         return res.status(404).json({ success: false, error: "Card not found." });
     }
 
-    const { pan, pvv, status } = cards[0];
+    const { status } = card;
+
+    // A PIN-locked card is reported as locked rather than as Blocked
+    if (isPinLocked(card)) {
+        return res.status(PIN_LOCKED_RESULT.httpStatus).json({ success: false, error: PIN_LOCKED_RESULT.error });
+    }
 
     // Card status check
     if (status !== "Active") {
@@ -252,10 +382,9 @@ router.post('/verify', async (req, res) => {
         });
     }
 
-    let isValid;
+    let verification;
     try {
-        // HSM: Verify the submitted PIN block against the stored PVV
-        isValid = await hsm.verifyPinBlock(pan, current_pin_block, pvv);
+        verification = await verifyPinWithTryCounter(external_id, current_pin_block, getCallerContext(req, 'PIN verification'), ksn);
     } catch (e) {
         console.error("Secure processing error:", e.message);
         return res.status(500).json({
@@ -264,12 +393,144 @@ router.post('/verify', async (req, res) => {
         });
     }
 
-    if (isValid) {
+    if (verification.success) {
         return res.status(200).json({ success: true, message: "PIN verified." });
     } else {
-        return res.status(401).json({ success: false, error: "Incorrect PIN." });
+        const { httpStatus, error, attempts_remaining } = verification;
+        return res.status(httpStatus).json({ success: false, error, attempts_remaining });
     }
 });
 
-// Attach routes to server
-app.use("/api/v1/pin", router);
\ No newline at end of file
+// ----------------------------
+// 4. PIN BLOCK (POST /block)
+// Test terminal: encrypts a clear PIN into an ISO 9564 PIN block under the ZPK,
+// or under the DUKPT PIN key of a KSN, ready to send to /verify or /change.
+// ----------------------------
+pinRouter.post('/block', async (req, res) => {
+    const { external_id, clear_pin, ksn } = req.body;
+    // AES DUKPT terminals use format 4
+    const format = req.body.format ?? (ksn?.length === 24 ? 4 : 0);
+
+    if (!external_id || !clear_pin) {
+        return res.status(400).json({ success: false, error: "Missing mandatory fields." });
+    }
+    if (!isValidPin(clear_pin)) {
+        return res.status(400).json({ success: false, error: "Invalid PIN format (4-12 digits)." });
+    }
+    if (!hsm.PIN_BLOCK_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, error: `Invalid PIN block format. Supported formats: ${hsm.PIN_BLOCK_FORMATS.join(', ')}.` });
+    }
+    if (ksn !== undefined && !isValidKsn(ksn)) {
+        return res.status(400).json({ success: false, error: "Invalid KSN format (20 hex characters for TDES DUKPT, 24 for AES DUKPT)." });
+    }
+    if (ksn !== undefined && (ksn.length === 24) !== (format === 4)) {
+        return res.status(400).json({ success: false, error: "TDES DUKPT KSNs take formats 0, 1 and 3; AES DUKPT KSNs take format 4." });
+    }
+
+    const card = await store.cards.findByExid(external_id);
+    if (!card) {
+        return res.status(404).json({ success: false, error: "Card not found." });
+    }
+
+    try {
+        const pinBlock = hsm.createPinBlock(clear_pin, card.pan, format, ksn ?? null);
+        return res.status(200).json({ success: true, exid: external_id, format, ksn, pin_block: pinBlock });
+    } catch (e) {
+        console.error("Secure processing error:", e.message);
+        return res.status(500).json({ success: false, message: `Secure processing error. ${e.message}` });
+    }
+});
+
+// =======================================================
+// 			CALL CENTRE ROUTES (Admin token)
+// =======================================================
+
+const callCentreRouter = express.Router();
+callCentreRouter.use(authenticateCallCentre);
+
+// ----------------------------
+// 5. PIN UNLOCK (POST /admin/pin/unlock)
+// Resets the PIN try counter and lifts the PIN lock block (P).
+// ----------------------------
+callCentreRouter.post('/unlock', async (req, res) => {
+    const { external_id } = req.body;
+
+    if (!external_id) {
+        return res.status(400).json({ success: false, error: "Missing mandatory field: external_id." });
+    }
+
+    const context = getCallerContext(req, 'PIN try counter reset by call centre');
+
+    let tx;
+    try {
+        tx = await store.beginTransaction();
+
+        const card = await tx.cards.findByExid(external_id, { forUpdate: true });
+        if (!card) {
+            await tx.rollback();
+            return res.status(404).json({ success: false, error: `Card not found for EXID: ${external_id}.` });
+        }
+
+        const previousAttempts = card.pin_attempts || 0;
+        const pinBlocked = card.status === 'Blocked' && card.block_code === PIN_LOCK_BLOCK_CODE;
+        if (previousAttempts === 0 && !pinBlocked) {
+            await tx.rollback();
+            return res.status(409).json({ success: false, error: "Card is not PIN-locked and has no failed PIN attempts." });
+        }
+
+        // Lifting block code P also resets pin_attempts (see transitionCard)
+        if (pinBlocked) {
+            const result = await transitionCard(tx, card, 'Active', { pinUnlock: true, context });
+            if (!result.success) {
+                await tx.rollback();
+                return res.status(result.httpStatus).json({ success: false, error: result.error });
+            }
+        } else {
+            await tx.cards.update(external_id, { pin_attempts: 0 });
+        }
+        await recordCardEvent(tx, card, 'PIN_TRIES_RESET', context, { oldValue: previousAttempts, newValue: 0 });
+
+        await tx.commit();
+
+        res.status(200).json({
+            success: true,
+            message: pinBlocked ? "PIN lock removed and try counter reset." : "PIN try counter reset.",
+            external_id: external_id,
+            previous_attempts: previousAttempts,
+            card_status: pinBlocked ? 'Active' : card.status
+        });
+    } catch (dbError) {
+        if (tx) {
+            await tx.rollback();
+        }
+        console.error("PIN_UNLOCK_ERROR:", dbError.message);
+        return res.status(500).json({ success: false, message: "Database error during PIN unlock." });
+    } finally {
+        if (tx) {
+            tx.release();
+        }
+    }
+});
+
+// Attach routes under the module path
+const router = express.Router();
+router.use('/pin', pinRouter);
+router.use('/admin/pin', callCentreRouter);
+
+module.exports = { router, validatePinBlockInput, verifyPinWithTryCounter };
+
+// ------------------------
+// Server Startup (standalone mode)
+// ------------------------
+if (require.main === module) {
+    keyStore.loadKeys()
+        .then(() => {
+            createApp(router).listen(PORT, () => {
+                console.log(`PIN Management API running on port ${PORT}`);
+            });
+        })
+        .catch((e) => {
+            console.error("KEY_STORE_LOAD_ERROR:", e.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,350 @@
+// productCatalog.js
+// Product catalog: the products table and its admin API. A product sets its
+// card type (physical or virtual), default PAN length (its PANs come from its
+// BIN ranges, see panAllocation.js), default limit, card validity in years,
+// the channels its cards may be used on, whether its accounts may go
+// overdrawn, the markup its cards add to the FX rate abroad and the foreign
+// currencies its accounts may hold in currency pockets. Account and card
+// creation, renewal, contract updates and authorizations all read their
+// product from here.
+
+const express = require('express');
+const { createApp } = require('./app');
+const { getStore } = require('./store');
+const { MIN_PAN_LENGTH, MAX_PAN_LENGTH, listRanges } = require('./panAllocation');
+const PORT = 3004;
+
+// --- Configuration ---
+const BEARER_TOKEN = 'sk_admin_xxxxx'; // Admin token for the product endpoints
+
+const CARD_TYPES = ['PHYSICAL', 'VIRTUAL'];
+const PRODUCT_STATUSES = ['Active', 'Inactive'];
+const MAX_VALIDITY_YEARS = 10;
+const MAX_FX_MARKUP = 0.25;
+const MAX_POCKET_CURRENCIES = 20; // products.pocket_currencies is VARCHAR(100)
+
+// Channels a product's cards can be allowed on (matches the
+// products.allowed_channels SET; see channelForTransactionType)
+const CHANNELS = ['ATM', 'POS', 'ECOMMERCE', 'PAYMENTS'];
+
+const store = getStore();
+
+/**
+ * Bearer Token Authentication Middleware
+ */
+const authenticateBearer = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ success: false, error: "Invalid or missing Bearer token format." });
+    }
+
+    if (authHeader.split(' ')[1] !== BEARER_TOKEN) {
+        return res.status(401).json({ success: false, error: "Invalid Bearer token value." });
+    }
+
+    next();
+};
+
+// --- Helper Functions ---
+
+/**
+ * Shapes a products row: numbers, booleans and the channel list. DECIMAL
+ * columns come back from mysql2 as strings and SET columns as 'A,B'.
+ * @param {object} row - products row.
+ * @returns {object}
+ */
+const formatProduct = (row) => ({
+    product_code: row.product_code,
+    name: row.name,
+    card_type: row.card_type,
+    pan_length: Number(row.pan_length),
+    default_limit: parseFloat(row.default_limit),
+    validity_years: Number(row.validity_years),
+    allowed_channels: row.allowed_channels ? row.allowed_channels.split(',') : [],
+    overdraft_allowed: Boolean(Number(row.overdraft_allowed)),
+    overdraft_limit: parseFloat(row.overdraft_limit),
+    fx_markup_percent: parseFloat(row.fx_markup_percent),
+    pocket_currencies: row.pocket_currencies ? row.pocket_currencies.split(',') : [],
+    status: row.status,
+});
+
+/**
+ * The channel a transaction type belongs to: ATM*, POS* and ECOMMERCE* by
+ * prefix (as isCardNotPresent in authorisation.js); bill, voucher and lotto
+ * payments are PAYMENTS.
+ * @param {string} transactionType
+ * @returns {string}
+ */
+const channelForTransactionType = (transactionType) =>
+    CHANNELS.find((channel) => channel !== 'PAYMENTS' && transactionType.toUpperCase().startsWith(channel)) ?? 'PAYMENTS';
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validates product fields from a request. Only the fields present are
+ * checked, so the same rules serve create (all fields) and update (some).
+ * @param {object} fields
+ * @returns {string|null} The first error, or null.
+ */
+const validateProductFields = (fields) => {
+    const {
+        name, card_type, pan_length, default_limit, validity_years, allowed_channels, overdraft_allowed, overdraft_limit,
+        fx_markup_percent, pocket_currencies, status,
+    } = fields;
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '' || name.length > 100)) {
+        return "Invalid name. Must be 1 to 100 characters.";
+    }
+    if (card_type !== undefined && !CARD_TYPES.includes(card_type)) {
+        return `Invalid card_type. Must be ${CARD_TYPES.join(' or ')}.`;
+    }
+    if (pan_length !== undefined && (!Number.isInteger(pan_length) || pan_length < MIN_PAN_LENGTH || pan_length > MAX_PAN_LENGTH)) {
+        return `Invalid pan_length. Must be ${MIN_PAN_LENGTH} to ${MAX_PAN_LENGTH}.`;
+    }
+    if (default_limit !== undefined && !isAmount(default_limit)) {
+        return "Invalid default_limit. Must be a number of 0 or more.";
+    }
+    if (validity_years !== undefined && (!Number.isInteger(validity_years) || validity_years < 1 || validity_years > MAX_VALIDITY_YEARS)) {
+        return `Invalid validity_years. Must be 1 to ${MAX_VALIDITY_YEARS}.`;
+    }
+    if (allowed_channels !== undefined && (!Array.isArray(allowed_channels) || allowed_channels.length === 0 ||
+        allowed_channels.some((channel) => !CHANNELS.includes(channel)))) {
+        return `Invalid allowed_channels. Must be a non-empty list of ${CHANNELS.join(', ')}.`;
+    }
+    if (overdraft_allowed !== undefined && typeof overdraft_allowed !== 'boolean') {
+        return "Invalid overdraft_allowed. Must be true or false.";
+    }
+    if (overdraft_limit !== undefined && !isAmount(overdraft_limit)) {
+        return "Invalid overdraft_limit. Must be a number of 0 or more.";
+    }
+    if (fx_markup_percent !== undefined && (!isAmount(fx_markup_percent) || fx_markup_percent > MAX_FX_MARKUP)) {
+        return `Invalid fx_markup_percent. Must be a rate from 0 to ${MAX_FX_MARKUP} (0.0275 = 2.75%).`;
+    }
+    if (pocket_currencies !== undefined && (!Array.isArray(pocket_currencies) || pocket_currencies.length > MAX_POCKET_CURRENCIES ||
+        pocket_currencies.some((currency, index) => typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency) ||
+            pocket_currencies.indexOf(currency) !== index))) {
+        return `Invalid pocket_currencies. Must be a list of up to ${MAX_POCKET_CURRENCIES} different ISO 4217 codes, e.g. ["USD", "EUR"].`;
+    }
+    if (status !== undefined && !PRODUCT_STATUSES.includes(status)) {
+        return `Invalid status. Must be ${PRODUCT_STATUSES.join(' or ')}.`;
+    }
+    return null;
+};
+
+/**
+ * Converts validated request fields to products columns.
+ * @param {object} fields
+ * @returns {object}
+ */
+const toProductColumns = (fields) => {
+    const columns = {};
+    ['name', 'card_type', 'pan_length', 'default_limit', 'validity_years', 'overdraft_limit', 'fx_markup_percent', 'status'].forEach((field) => {
+        if (fields[field] !== undefined) columns[field] = field === 'name' ? fields[field].trim() : fields[field];
+    });
+    if (fields.allowed_channels !== undefined) {
+        // Stored in CHANNELS order, as MySQL returns a SET
+        columns.allowed_channels = CHANNELS.filter((channel) => fields.allowed_channels.includes(channel)).join(',');
+    }
+    if (fields.overdraft_allowed !== undefined) columns.overdraft_allowed = fields.overdraft_allowed ? 1 : 0;
+    if (fields.pocket_currencies !== undefined) columns.pocket_currencies = fields.pocket_currencies.join(',');
+    return columns;
+};
+
+// --- Public API ---
+
+/**
+ * Looks up a product.
+ * @param {object} db - The store or an open transaction.
+ * @param {string} productCode
+ * @returns {object|null} The formatted product.
+ */
+const findProduct = async (db, productCode) => {
+    if (!productCode) return null;
+    const row = await db.products.findByCode(productCode);
+    return row ? formatProduct(row) : null;
+};
+
+/**
+ * Looks up a product that new accounts and cards can be opened on.
+ * @param {object} db - The store or an open transaction.
+ * @param {string} productCode
+ * @returns {object} { success: true, product } or { success: false, httpStatus, error }.
+ */
+const findOpenProduct = async (db, productCode) => {
+    const product = await findProduct(db, productCode);
+    if (!product) {
+        return { success: false, httpStatus: 404, error: `Product code ${productCode} not found in the product catalog.` };
+    }
+    if (product.status !== 'Active') {
+        return { success: false, httpStatus: 409, error: `Product ${productCode} is ${product.status} and takes no new accounts or cards.` };
+    }
+    return { success: true, product };
+};
+
+/**
+ * Whether a product's cards may be used for a transaction type. Cards with no
+ * product in the catalog are not restricted.
+ * @param {object|null} product
+ * @param {string} transactionType
+ * @returns {boolean}
+ */
+const isChannelAllowed = (product, transactionType) =>
+    !product || product.allowed_channels.includes(channelForTransactionType(transactionType));
+
+/**
+ * How far an account on a product may go overdrawn.
+ * @param {object|null} product
+ * @returns {number}
+ */
+const overdraftLimit = (product) => (product && product.overdraft_allowed ? product.overdraft_limit : 0);
+
+/**
+ * The markup a product's cards add to the FX rate on transactions in a
+ * foreign currency. Cards with no product in the catalog pay none.
+ * @param {object|null} product
+ * @returns {number} e.g. 0.0275 = 2.75%.
+ */
+const fxMarkupPercent = (product) => (product ? product.fx_markup_percent : 0);
+
+/**
+ * The foreign currencies an account on a product may hold in pockets (the
+ * base currency is always held). Accounts with no product hold none.
+ * @param {object|null} product
+ * @returns {Array<string>}
+ */
+const pocketCurrencies = (product) => (product ? product.pocket_currencies : []);
+
+// ------------------------------------------------------------------------
+// --- ADMIN ENDPOINTS ---
+const adminRouter = express.Router();
+adminRouter.use(authenticateBearer);
+
+/**
+ * Lists every product.
+ * GET /api/v1/admin/products
+ */
+adminRouter.get('/', async (req, res) => {
+    try {
+        const products = (await store.products.list()).map(formatProduct);
+        res.status(200).json({ success: true, products });
+    } catch (e) {
+        console.error("PRODUCT_LIST_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Returns a product with its BIN ranges.
+ * GET /api/v1/admin/products/:product_code
+ */
+adminRouter.get('/:product_code', async (req, res) => {
+    const { product_code } = req.params;
+    try {
+        const product = await findProduct(store, product_code);
+        if (!product) {
+            return res.status(404).json({ success: false, error: `Product ${product_code} not found.` });
+        }
+        const binRanges = (await listRanges()).filter((range) => range.product_code === product_code);
+        res.status(200).json({ success: true, product: { ...product, bin_ranges: binRanges } });
+    } catch (e) {
+        console.error("PRODUCT_LOOKUP_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Adds a product. Cards need a BIN range for the product and its PAN length
+ * (POST /api/v1/admin/bin-ranges) before they can be issued.
+ * POST /api/v1/admin/products
+ * Body: { product_code, name, card_type, pan_length, default_limit, validity_years,
+ *         allowed_channels, overdraft_allowed, overdraft_limit, fx_markup_percent, pocket_currencies }
+ *       (all but product_code and name optional)
+ */
+adminRouter.post('/', async (req, res) => {
+    const fields = req.body ?? {};
+    const { product_code, name } = fields;
+
+    if (typeof product_code !== 'string' || !/^[A-Z0-9-]{2,20}$/.test(product_code)) {
+        return res.status(400).json({ success: false, error: "Invalid product_code. Must be 2 to 20 characters of A-Z, 0-9 and '-'." });
+    }
+    if (name === undefined) {
+        return res.status(400).json({ success: false, error: "Missing mandatory field: name." });
+    }
+    const validationError = validateProductFields(fields);
+    if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+    }
+
+    try {
+        await store.products.create({ product_code, ...toProductColumns(fields) });
+        res.status(201).json({ success: true, product: await findProduct(store, product_code) });
+    } catch (e) {
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ success: false, error: `Product ${product_code} already exists.` });
+        }
+        console.error("PRODUCT_CREATE_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+/**
+ * Changes a product. Existing accounts and cards pick up the new channels,
+ * overdraft and FX markup straight away; limits, validity and PAN length
+ * apply to what is opened or renewed from now on. Setting status Inactive
+ * closes the product to new accounts and cards.
+ * PUT /api/v1/admin/products/:product_code
+ * Body: any of the POST fields except product_code, plus status.
+ */
+adminRouter.put('/:product_code', async (req, res) => {
+    const { product_code } = req.params;
+    const fields = req.body ?? {};
+
+    if (fields.product_code !== undefined && fields.product_code !== product_code) {
+        return res.status(400).json({ success: false, error: "product_code cannot be changed." });
+    }
+    const validationError = validateProductFields(fields);
+    if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+    }
+    const columns = toProductColumns(fields);
+    if (Object.keys(columns).length === 0) {
+        return res.status(400).json({ success: false, error: "Nothing to update." });
+    }
+
+    try {
+        if (!(await store.products.findByCode(product_code))) {
+            return res.status(404).json({ success: false, error: `Product ${product_code} not found.` });
+        }
+        await store.products.update(product_code, columns);
+        res.status(200).json({ success: true, product: await findProduct(store, product_code) });
+    } catch (e) {
+        console.error("PRODUCT_UPDATE_ERROR:", e.message);
+        res.status(500).json({ success: false, error: `Internal System Error: ${e.message}` });
+    }
+});
+
+// ------------------------------------------------------------------------
+// --- FINAL API ROUTER ATTACHMENT ---
+const router = express.Router();
+router.use('/admin/products', adminRouter);
+
+module.exports = {
+    router,
+    CARD_TYPES,
+    CHANNELS,
+    channelForTransactionType,
+    findProduct,
+    findOpenProduct,
+    isChannelAllowed,
+    overdraftLimit,
+    fxMarkupPercent,
+    pocketCurrencies,
+};
+
+// --- Server Startup (standalone mode) ---
+if (require.main === module) {
+    createApp(router).listen(PORT, () => {
+        console.log(`Product Catalog API running on http://localhost:${PORT}`);
+    });
+}
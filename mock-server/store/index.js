@@ -0,0 +1,34 @@
+// store/index.js
+// Entry point of the storage abstraction. Every module gets its repositories
+// from here; the backend (MySQL or in-memory) is chosen by configuration.
+
+const { STORE_BACKEND, MEMORY_STORE_SEED } = require('../config/database');
+const { getPool } = require('../db');
+const { createMysqlStore } = require('./mysqlStore');
+const { createMemoryStore } = require('./memoryStore');
+
+let store;
+
+/**
+ * Returns the shared store, creating it on first use.
+ * @returns {object} Store exposing the repositories (clients, accounts, cards,
+ *   transactions, ...) and beginTransaction().
+ */
+const getStore = () => {
+    if (!store) {
+        switch (STORE_BACKEND) {
+            case 'mysql':
+                store = createMysqlStore(getPool());
+                break;
+            case 'memory':
+                // Same seed data the sql package loads into a fresh MySQL database
+                store = createMemoryStore({ seeds: MEMORY_STORE_SEED ? require('../../sql/seeds').SEEDS : [] });
+                break;
+            default:
+                throw new Error(`Unknown STORE_BACKEND '${STORE_BACKEND}'. Use 'mysql' or 'memory'.`);
+        }
+    }
+    return store;
+};
+
+module.exports = { getStore };
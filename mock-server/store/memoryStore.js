@@ -0,0 +1,540 @@
+// store/memoryStore.js
+// In-memory implementation of the repository API.
+// Lets the mock servers run without a MySQL server. Data lives for the
+// lifetime of the process only.
+
+// --- Table Definitions ---
+// Mirrors the column defaults, keys and unique constraints in sql/migrations.
+const TABLES = {
+    clients: {
+        key: 'client_id',
+        timestamps: ['created_at', 'updated_at'],
+        defaults: {
+            country: null, city: null, province: null, street: null, postal_code: null,
+            income: null, tax_number: null,
+        },
+    },
+    accounts: {
+        key: 'account_number',
+        timestamps: ['created_at', 'updated_at'],
+        defaults: {
+            status: 'Active', balance: 0.00, held_amount: 0.00, daily_limit: null, daily_spent: 0.00,
+            international_enabled: 0, risk_score: null,
+        },
+    },
+    account_pockets: {
+        key: 'pocket_id',
+        autoIncrement: true,
+        timestamps: ['created_at', 'updated_at'],
+        defaults: { balance: 0.00, held_amount: 0.00 },
+    },
+    cards: {
+        key: 'card_id',
+        unique: ['exid'],
+        timestamps: ['created_at', 'updated_at'],
+        defaults: {
+            balance: 0.00, product_code: null, pvv: null, pvki: null, cvk_version: 1, masked_pan: null, expiry: null,
+            emboss_name: null, status: 'Inactive', block_code: null, pin_set: 'no', pin_attempts: 0,
+            txn_count_daily: 0, max_pos_txn_daily: null, is_mobile_token: 0,
+        },
+    },
+    fees_schedule: {
+        key: 'fee_id',
+        autoIncrement: true,
+        timestamps: ['created_at', 'updated_at'],
+        defaults: {
+            amount_fixed: 0.00, amount_percent: null, min_fee: 0.00, max_fee: null,
+            effective_from: null, effective_to: null, is_active: 1,
+        },
+    },
+    fee_ledger: {
+        key: 'ledger_id',
+        autoIncrement: true,
+        timestamps: ['charged_at'],
+        defaults: {
+            transaction_reference: null, outstanding_amount: 0.00, billing_period: null, event_reference: null,
+            status: 'POSTED',
+        },
+    },
+    transactions: {
+        key: 'transaction_reference',
+        timestamps: ['created_at'],
+        defaults: {
+            transaction_type: null, exid: null, card_id: null, account_number: null, amount: null,
+            currency_code: null, pocket_currency: null, fx_rate: null, fx_rate_id: null, fx_markup_percent: null, fx_markup_amount: null,
+            amount_base_currency: null, fee_amount: 0.00,
+            total_debit: 0.00, decline_reason: null, balance_after: null, original_reference: null,
+            reversed_amount: 0.00, reversal_status: 'NONE', reversal_reason: null,
+        },
+    },
+    holds: {
+        key: 'hold_reference',
+        timestamps: ['created_at', 'updated_at'],
+        defaults: {
+            pocket_currency: null, fx_rate: null, fx_rate_id: null, fx_markup_percent: null, status: 'ACTIVE', captured_amount: null,
+            completion_reference: null,
+        },
+    },
+    idempotency_keys: {
+        key: 'idempotency_key',
+        timestamps: ['created_at', 'updated_at'],
+        defaults: { status: 'IN_PROGRESS', response_status: null, response_body: null },
+    },
+    batch_runs: {
+        key: 'run_id',
+        autoIncrement: true,
+        timestamps: ['started_at', 'updated_at'],
+        defaults: {
+            status: 'RUNNING', completed_jobs: null, job_results: null, error_message: null,
+            resumed_from_run_id: null, finished_at: null,
+        },
+    },
+    card_events: {
+        key: 'event_id',
+        autoIncrement: true,
+        timestamps: ['created_at'],
+        defaults: { old_value: null, new_value: null, reason: null, source: null },
+    },
+    hsm_keys: {
+        key: 'key_id',
+        autoIncrement: true,
+        timestamps: ['created_at', 'updated_at'],
+        defaults: { status: 'Active', is_current: 0 },
+    },
+    products: {
+        key: 'product_code',
+        timestamps: ['created_at', 'updated_at'],
+        defaults: {
+            card_type: 'PHYSICAL', pan_length: 16, default_limit: 0.00, validity_years: 4,
+            allowed_channels: 'ATM,POS,ECOMMERCE,PAYMENTS', overdraft_allowed: 0, overdraft_limit: 0.00,
+            fx_markup_percent: 0.0000, pocket_currencies: '', status: 'Active',
+        },
+    },
+    bin_ranges: {
+        key: 'range_id',
+        autoIncrement: true,
+        timestamps: ['created_at', 'updated_at'],
+        defaults: { low_threshold: 1000, status: 'Active' },
+    },
+    fx_rates: {
+        key: 'rate_id',
+        autoIncrement: true,
+        timestamps: ['created_at'],
+        defaults: { source: 'ADMIN' },
+    },
+};
+
+// --- Helper Functions ---
+
+const clone = (row) => (row ? { ...row } : null);
+
+/**
+ * Builds an error shaped like the mysql2 duplicate-key error so callers can
+ * handle both backends the same way.
+ */
+const duplicateEntryError = (table, column, value) => {
+    const error = new Error(`Duplicate entry '${value}' for key '${table}.${column}'`);
+    error.code = 'ER_DUP_ENTRY';
+    return error;
+};
+
+/**
+ * Creates the in-memory store.
+ * @param {object} [options]
+ * @param {Array<object>} [options.seeds] - { table, rows } entries loaded on creation.
+ * @returns {object} Store exposing the repositories and beginTransaction().
+ */
+const createMemoryStore = ({ seeds = [] } = {}) => {
+    const data = {};
+    const sequences = {};
+    Object.keys(TABLES).forEach((table) => {
+        data[table] = new Map();
+        sequences[table] = 0;
+    });
+
+    // Transactions are serialised through this promise chain, which gives the
+    // same isolation the MySQL routes get from row locks.
+    let lockChain = Promise.resolve();
+
+    const acquireLock = () => {
+        let releaseLock;
+        const held = new Promise((resolve) => { releaseLock = resolve; });
+        const ready = lockChain.then(() => releaseLock);
+        lockChain = lockChain.then(() => held);
+        return ready;
+    };
+
+    // --- Low-level table access ---
+    // Every write records the previous row in the journal (if any) so a
+    // transaction can be rolled back.
+
+    const write = (journal, table, key, row) => {
+        if (journal) journal.push({ table, key, previous: clone(data[table].get(key)) ?? undefined });
+        if (row) {
+            data[table].set(key, row);
+        } else {
+            data[table].delete(key);
+        }
+    };
+
+    const selectWhere = (table, predicate) =>
+        [...data[table].values()].filter(predicate).map(clone);
+
+    const findOne = (table, predicate) => selectWhere(table, predicate)[0] ?? null;
+
+    const insert = (journal, table, values) => {
+        const definition = TABLES[table];
+        const now = new Date();
+        const row = { ...definition.defaults };
+        definition.timestamps.forEach((column) => { row[column] = now; });
+        Object.assign(row, values);
+
+        if (definition.autoIncrement && row[definition.key] == null) {
+            sequences[table] += 1;
+            row[definition.key] = sequences[table];
+        }
+
+        const key = row[definition.key];
+        if (data[table].has(key)) throw duplicateEntryError(table, 'PRIMARY', key);
+        (definition.unique || []).forEach((column) => {
+            if (findOne(table, (existing) => existing[column] === row[column])) {
+                throw duplicateEntryError(table, column, row[column]);
+            }
+        });
+
+        write(journal, table, key, row);
+        return { insertId: key, affectedRows: 1 };
+    };
+
+    const updateWhere = (journal, table, predicate, fields) => {
+        const definition = TABLES[table];
+        const matches = [...data[table].entries()].filter(([, row]) => predicate(row));
+
+        matches.forEach(([key, row]) => {
+            const updated = { ...row, ...fields };
+            if (definition.timestamps.includes('updated_at')) updated.updated_at = new Date();
+            write(journal, table, key, updated);
+        });
+        return matches.length;
+    };
+
+    const deleteWhere = (journal, table, predicate) => {
+        const keys = [...data[table].entries()].filter(([, row]) => predicate(row)).map(([key]) => key);
+        keys.forEach((key) => write(journal, table, key, null));
+        return keys.length;
+    };
+
+    // --- Seed Data ---
+    seeds.forEach(({ table, rows }) => {
+        if (!TABLES[table]) throw new Error(`Seed data targets unknown table '${table}'.`);
+        rows.forEach((row) => insert(null, table, row));
+    });
+
+    // --- Repositories ---
+
+    const createRepositories = (journal) => ({
+
+        clients: {
+            findById: async (clientId) => clone(data.clients.get(clientId)),
+
+            findDuplicate: async ({ name, surname, id_number, date_of_birth, gender }) => findOne('clients', (row) =>
+                row.name === name && row.surname === surname && row.id_number === id_number &&
+                row.date_of_birth === date_of_birth && row.gender === gender),
+
+            findByTaxNumber: async (taxNumber, { excludeClientId } = {}) => findOne('clients', (row) =>
+                row.tax_number === taxNumber && row.client_id !== excludeClientId),
+
+            create: async (client) => insert(journal, 'clients', client),
+
+            update: async (clientId, fields) =>
+                updateWhere(journal, 'clients', (row) => row.client_id === clientId, fields),
+        },
+
+        accounts: {
+            findByNumber: async (accountNumber) => clone(data.accounts.get(accountNumber)),
+
+            findByStatuses: async (statuses) => selectWhere('accounts', (row) => statuses.includes(row.status))
+                .sort((a, b) => a.account_number.localeCompare(b.account_number)),
+
+            create: async (account) => insert(journal, 'accounts', account),
+
+            update: async (accountNumber, fields) =>
+                updateWhere(journal, 'accounts', (row) => row.account_number === accountNumber, fields),
+
+            resetDailySpent: async () =>
+                updateWhere(journal, 'accounts', (row) => parseFloat(row.daily_spent) !== 0, { daily_spent: 0.00 }),
+        },
+
+        accountPockets: {
+            findByAccountNumber: async (accountNumber) => selectWhere('account_pockets', (row) => row.account_number === accountNumber)
+                .sort((a, b) => a.currency_code.localeCompare(b.currency_code)),
+
+            find: async (accountNumber, currencyCode) => findOne('account_pockets', (row) =>
+                row.account_number === accountNumber && row.currency_code === currencyCode),
+
+            create: async (pocket) => {
+                if (findOne('account_pockets', (existing) => existing.account_number === pocket.account_number &&
+                    existing.currency_code === pocket.currency_code)) {
+                    throw duplicateEntryError('account_pockets', 'uq_account_pockets_currency', `${pocket.account_number}-${pocket.currency_code}`);
+                }
+                return insert(journal, 'account_pockets', pocket);
+            },
+
+            update: async (pocketId, fields) =>
+                updateWhere(journal, 'account_pockets', (row) => row.pocket_id === pocketId, fields),
+        },
+
+        cards: {
+            findByExid: async (exid) => findOne('cards', (row) => row.exid === exid),
+
+            findByPan: async (pan) => findOne('cards', (row) => row.pan === pan),
+
+            findByAccountNumber: async (accountNumber) =>
+                selectWhere('cards', (row) => row.account_number === accountNumber),
+
+            findByStatuses: async (statuses) => selectWhere('cards', (row) => statuses.includes(row.status)),
+
+            create: async (card) => insert(journal, 'cards', card),
+
+            update: async (exid, fields) => updateWhere(journal, 'cards', (row) => row.exid === exid, fields),
+
+            updateByAccountNumber: async (accountNumber, fields) =>
+                updateWhere(journal, 'cards', (row) => row.account_number === accountNumber, fields),
+
+            resetDailyCounters: async () =>
+                updateWhere(journal, 'cards', (row) => row.txn_count_daily !== 0, { txn_count_daily: 0 }),
+        },
+
+        feesSchedule: {
+            list: async ({ productCode, triggerEvent } = {}) => selectWhere('fees_schedule', (row) =>
+                (!productCode || row.product_code === productCode) &&
+                (!triggerEvent || row.trigger_event === triggerEvent))
+                .sort((a, b) => a.product_code.localeCompare(b.product_code) ||
+                    a.trigger_event.localeCompare(b.trigger_event) || (a.effective_from ?? '').localeCompare(b.effective_from ?? '')),
+
+            findById: async (feeId) => clone(data.fees_schedule.get(feeId)),
+
+            // Dates are YYYY-MM-DD strings, so they compare as strings
+            findEffective: async (productCode, triggerEvent, onDate) => selectWhere('fees_schedule', (row) =>
+                row.product_code === productCode && row.trigger_event === triggerEvent && Number(row.is_active) === 1 &&
+                (row.effective_from == null || row.effective_from <= onDate) &&
+                (row.effective_to == null || row.effective_to >= onDate))
+                .sort((a, b) => (b.effective_from ?? '').localeCompare(a.effective_from ?? ''))[0] ?? null,
+
+            create: async (rule) => insert(journal, 'fees_schedule', rule),
+
+            update: async (feeId, fields) => updateWhere(journal, 'fees_schedule', (row) => row.fee_id === feeId, fields),
+        },
+
+        feeLedger: {
+            create: async (entry) => {
+                if (entry.billing_period != null && findOne('fee_ledger', (existing) => existing.account_number === entry.account_number &&
+                    existing.fee_code === entry.fee_code && existing.billing_period === entry.billing_period)) {
+                    throw duplicateEntryError('fee_ledger', 'uq_fee_ledger_period', `${entry.account_number}-${entry.fee_code}-${entry.billing_period}`);
+                }
+                return insert(journal, 'fee_ledger', entry).insertId;
+            },
+
+            findByTransactionReference: async (reference) =>
+                selectWhere('fee_ledger', (row) => row.transaction_reference === reference),
+
+            findByStatuses: async (statuses, { accountNumber } = {}) => selectWhere('fee_ledger', (row) =>
+                statuses.includes(row.status) && (!accountNumber || row.account_number === accountNumber))
+                .sort((a, b) => a.ledger_id - b.ledger_id),
+
+            findByPeriod: async (accountNumber, feeCode, billingPeriod) => findOne('fee_ledger', (row) =>
+                row.account_number === accountNumber && row.fee_code === feeCode && row.billing_period === billingPeriod),
+
+            update: async (ledgerId, fields) =>
+                updateWhere(journal, 'fee_ledger', (row) => row.ledger_id === ledgerId, fields),
+        },
+
+        transactions: {
+            create: async (transaction) => insert(journal, 'transactions', transaction),
+
+            findByReference: async (reference) => clone(data.transactions.get(reference)),
+
+            findLastApproved: async (accountNumber) => selectWhere('transactions', (row) =>
+                row.account_number === accountNumber && row.response === 'Approved')
+                .sort((a, b) => b.created_at - a.created_at)[0] ?? null,
+
+            update: async (reference, fields) =>
+                updateWhere(journal, 'transactions', (row) => row.transaction_reference === reference, fields),
+
+            list: async ({ exid, account_number, from, to, limit, offset }) => {
+                // Newest first; reversing insertion order keeps same-millisecond rows newest first too
+                const matches = selectWhere('transactions', (row) =>
+                    (!exid || row.exid === exid) &&
+                    (!account_number || row.account_number === account_number) &&
+                    (!from || row.created_at >= from) &&
+                    (!to || row.created_at <= to))
+                    .reverse()
+                    .sort((a, b) => b.created_at - a.created_at);
+                return { rows: matches.slice(offset, offset + limit), total: matches.length };
+            },
+        },
+
+        holds: {
+            create: async (hold) => insert(journal, 'holds', hold),
+
+            findByReference: async (reference) => clone(data.holds.get(reference)),
+
+            findExpired: async (asOf) =>
+                selectWhere('holds', (row) => row.status === 'ACTIVE' && row.expires_at <= asOf)
+                    .sort((a, b) => a.expires_at - b.expires_at),
+
+            update: async (reference, fields) =>
+                updateWhere(journal, 'holds', (row) => row.hold_reference === reference, fields),
+        },
+
+        idempotencyKeys: {
+            create: async (entry) => insert(journal, 'idempotency_keys', entry),
+
+            findByKey: async (key) => clone(data.idempotency_keys.get(key)),
+
+            update: async (key, fields) =>
+                updateWhere(journal, 'idempotency_keys', (row) => row.idempotency_key === key, fields),
+
+            delete: async (key) => deleteWhere(journal, 'idempotency_keys', (row) => row.idempotency_key === key),
+
+            deleteExpired: async (asOf) => deleteWhere(journal, 'idempotency_keys', (row) => row.expires_at <= asOf),
+        },
+
+        batchRuns: {
+            create: async (run) => insert(journal, 'batch_runs', run).insertId,
+
+            findById: async (runId) => clone(data.batch_runs.get(runId)),
+
+            findByStatus: async (status) => selectWhere('batch_runs', (row) => row.status === status),
+
+            list: async ({ limit }) => selectWhere('batch_runs', () => true).reverse().slice(0, limit),
+
+            update: async (runId, fields) => updateWhere(journal, 'batch_runs', (row) => row.run_id === runId, fields),
+        },
+
+        // Append-only: there is deliberately no update or delete.
+        cardEvents: {
+            create: async (event) => insert(journal, 'card_events', event),
+
+            listByExid: async ({ exid, from, to, limit, offset }) => {
+                const matches = selectWhere('card_events', (row) =>
+                    row.exid === exid &&
+                    (!from || row.created_at >= from) &&
+                    (!to || row.created_at <= to))
+                    .sort((a, b) => b.created_at - a.created_at || b.event_id - a.event_id);
+                return { rows: matches.slice(offset, offset + limit), total: matches.length };
+            },
+        },
+
+        hsmKeys: {
+            findAll: async () => selectWhere('hsm_keys', () => true)
+                .sort((a, b) => a.key_name.localeCompare(b.key_name) || a.version - b.version),
+
+            create: async (row) => {
+                if (findOne('hsm_keys', (existing) => existing.key_name === row.key_name && existing.version === row.version)) {
+                    throw duplicateEntryError('hsm_keys', 'uq_hsm_keys_name_version', `${row.key_name}-${row.version}`);
+                }
+                return insert(journal, 'hsm_keys', row);
+            },
+
+            update: async (keyName, version, fields) =>
+                updateWhere(journal, 'hsm_keys', (row) => row.key_name === keyName && row.version === version, fields),
+        },
+
+        products: {
+            list: async () => selectWhere('products', () => true).sort((a, b) => a.product_code.localeCompare(b.product_code)),
+
+            findByCode: async (productCode) => clone(data.products.get(productCode)),
+
+            create: async (product) => insert(journal, 'products', product),
+
+            update: async (productCode, fields) =>
+                updateWhere(journal, 'products', (row) => row.product_code === productCode, fields),
+        },
+
+        binRanges: {
+            list: async () => selectWhere('bin_ranges', () => true).sort((a, b) => a.range_id - b.range_id),
+
+            findById: async (rangeId) => clone(data.bin_ranges.get(rangeId)),
+
+            findActive: async (productCode, panLength) => selectWhere('bin_ranges', (row) =>
+                row.product_code === productCode && row.pan_length === panLength && row.status === 'Active')
+                .sort((a, b) => a.range_id - b.range_id),
+
+            create: async (range) => {
+                if (findOne('bin_ranges', (existing) => existing.bin === range.bin &&
+                    existing.pan_length === range.pan_length && existing.account_start === range.account_start)) {
+                    throw duplicateEntryError('bin_ranges', 'uq_bin_ranges_start', `${range.bin}-${range.pan_length}-${range.account_start}`);
+                }
+                return insert(journal, 'bin_ranges', range);
+            },
+
+            update: async (rangeId, fields) =>
+                updateWhere(journal, 'bin_ranges', (row) => row.range_id === rangeId, fields),
+        },
+
+        // Seeds give effective_from as 'YYYY-MM-DD HH:MM:SS' strings, the API as Dates
+        fxRates: {
+            list: async ({ fromCurrency, toCurrency, limit } = {}) => selectWhere('fx_rates', (row) =>
+                (!fromCurrency || row.from_currency === fromCurrency) &&
+                (!toCurrency || row.to_currency === toCurrency))
+                .sort((a, b) => a.from_currency.localeCompare(b.from_currency) || a.to_currency.localeCompare(b.to_currency) ||
+                    new Date(b.effective_from) - new Date(a.effective_from))
+                .slice(0, limit ?? Infinity),
+
+            findEffective: async (fromCurrency, toCurrency, asOf) => selectWhere('fx_rates', (row) =>
+                row.from_currency === fromCurrency && row.to_currency === toCurrency && new Date(row.effective_from) <= asOf)
+                .sort((a, b) => new Date(b.effective_from) - new Date(a.effective_from))[0] ?? null,
+
+            create: async (rate) => {
+                if (findOne('fx_rates', (existing) => existing.from_currency === rate.from_currency &&
+                    existing.to_currency === rate.to_currency &&
+                    new Date(existing.effective_from).getTime() === new Date(rate.effective_from).getTime())) {
+                    throw duplicateEntryError('fx_rates', 'uq_fx_rates_pair_effective', `${rate.from_currency}-${rate.to_currency}-${rate.effective_from}`);
+                }
+                return insert(journal, 'fx_rates', rate);
+            },
+        },
+    });
+
+    return {
+        backend: 'memory',
+        ...createRepositories(null),
+
+        /**
+         * Opens a transaction. Writes are applied immediately and journalled,
+         * so rollback() restores the previous rows in reverse order.
+         * The caller must commit or roll back, then release.
+         * @returns {object} Journalled repositories plus commit/rollback/release.
+         */
+        beginTransaction: async () => {
+            const releaseLock = await acquireLock();
+            const journal = [];
+            let open = true;
+
+            const rollback = async () => {
+                while (journal.length > 0) {
+                    const { table, key, previous } = journal.pop();
+                    write(null, table, key, previous);
+                }
+                open = false;
+            };
+
+            return {
+                ...createRepositories(journal),
+                commit: async () => {
+                    journal.length = 0;
+                    open = false;
+                },
+                rollback,
+                release: () => {
+                    // Releasing an unfinished transaction discards its writes.
+                    if (open) rollback();
+                    releaseLock();
+                },
+            };
+        },
+    };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,516 @@
+// store/mysqlStore.js
+// MySQL implementation of the repository API, backed by a mysql2 pool.
+
+// --- Helper Functions ---
+
+/**
+ * Returns the first row of a result set, or null when it is empty.
+ * @param {Array<object>} rows - Rows returned by mysql2.
+ * @returns {object|null}
+ */
+const firstOrNull = (rows) => (rows.length > 0 ? rows[0] : null);
+
+/**
+ * Runs an UPDATE built from a field map and returns the affected row count.
+ * Column names come from repository code only, never from request bodies.
+ * @param {object} db - Pool or connection to run the statement on.
+ * @param {string} table - Target table.
+ * @param {object} fields - Column/value pairs to set.
+ * @param {string} keyColumn - Column used in the WHERE clause.
+ * @param {*} keyValue - Value matched against keyColumn.
+ * @param {boolean} [touch=true] - Whether to refresh updated_at.
+ * @returns {number} Number of rows matched by the update.
+ */
+const updateWhere = async (db, table, fields, keyColumn, keyValue, touch = true) => {
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column) => `${column} = ?`);
+    if (touch) assignments.push('updated_at = NOW()');
+
+    const [result] = await db.execute(
+        `UPDATE ${table} SET ${assignments.join(', ')} WHERE ${keyColumn} = ?`,
+        [...columns.map((column) => fields[column]), keyValue]
+    );
+    return result.affectedRows;
+};
+
+/**
+ * Runs an INSERT built from a column/value map.
+ * @param {object} db - Pool or connection to run the statement on.
+ * @param {string} table - Target table.
+ * @param {object} row - Column/value pairs to insert.
+ * @returns {object} The mysql2 result header (insertId, affectedRows).
+ */
+const insertRow = async (db, table, row) => {
+    const columns = Object.keys(row);
+    const [result] = await db.execute(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map((column) => row[column])
+    );
+    return result;
+};
+
+const lockClause = (options = {}) => (options.forUpdate ? ' FOR UPDATE' : '');
+
+// --- Repositories ---
+
+/**
+ * Builds the repositories on top of a pool or a single transaction connection.
+ * @param {object} db - mysql2 pool or connection.
+ * @returns {object} Repository collection.
+ */
+const createRepositories = (db) => ({
+
+    clients: {
+        findById: async (clientId) => {
+            const [rows] = await db.query('SELECT * FROM clients WHERE client_id = ?', [clientId]);
+            return firstOrNull(rows);
+        },
+
+        findDuplicate: async ({ name, surname, id_number, date_of_birth, gender }) => {
+            const [rows] = await db.execute(
+                `SELECT client_id FROM clients
+                 WHERE name = ? AND surname = ? AND id_number = ? AND date_of_birth = ? AND gender = ?`,
+                [name, surname, id_number, date_of_birth, gender]
+            );
+            return firstOrNull(rows);
+        },
+
+        findByTaxNumber: async (taxNumber, { excludeClientId } = {}) => {
+            const [rows] = await db.query(
+                'SELECT client_id FROM clients WHERE tax_number = ? AND client_id != ?',
+                [taxNumber, excludeClientId ?? '']
+            );
+            return firstOrNull(rows);
+        },
+
+        create: (client) => insertRow(db, 'clients', client),
+
+        update: (clientId, fields) => updateWhere(db, 'clients', fields, 'client_id', clientId),
+    },
+
+    accounts: {
+        findByNumber: async (accountNumber, options) => {
+            const [rows] = await db.query(
+                `SELECT * FROM accounts WHERE account_number = ?${lockClause(options)}`,
+                [accountNumber]
+            );
+            return firstOrNull(rows);
+        },
+
+        findByStatuses: async (statuses) => {
+            const [rows] = await db.query('SELECT * FROM accounts WHERE status IN (?) ORDER BY account_number', [statuses]);
+            return rows;
+        },
+
+        create: (account) => insertRow(db, 'accounts', account),
+
+        update: (accountNumber, fields) => updateWhere(db, 'accounts', fields, 'account_number', accountNumber),
+
+        resetDailySpent: async () => {
+            const [result] = await db.execute(
+                'UPDATE accounts SET daily_spent = 0.00, updated_at = NOW() WHERE daily_spent <> 0'
+            );
+            return result.affectedRows;
+        },
+    },
+
+    accountPockets: {
+        findByAccountNumber: async (accountNumber) => {
+            const [rows] = await db.query(
+                'SELECT * FROM account_pockets WHERE account_number = ? ORDER BY currency_code',
+                [accountNumber]
+            );
+            return rows;
+        },
+
+        find: async (accountNumber, currencyCode, options) => {
+            const [rows] = await db.query(
+                `SELECT * FROM account_pockets WHERE account_number = ? AND currency_code = ?${lockClause(options)}`,
+                [accountNumber, currencyCode]
+            );
+            return firstOrNull(rows);
+        },
+
+        create: (pocket) => insertRow(db, 'account_pockets', pocket),
+
+        update: (pocketId, fields) => updateWhere(db, 'account_pockets', fields, 'pocket_id', pocketId),
+    },
+
+    cards: {
+        findByExid: async (exid, options) => {
+            const [rows] = await db.query(`SELECT * FROM cards WHERE exid = ?${lockClause(options)}`, [exid]);
+            return firstOrNull(rows);
+        },
+
+        findByPan: async (pan) => {
+            const [rows] = await db.query('SELECT card_id FROM cards WHERE pan = ? LIMIT 1', [pan]);
+            return firstOrNull(rows);
+        },
+
+        findByAccountNumber: async (accountNumber, options) => {
+            const [rows] = await db.query(`SELECT * FROM cards WHERE account_number = ?${lockClause(options)}`, [accountNumber]);
+            return rows;
+        },
+
+        findByStatuses: async (statuses, options) => {
+            const [rows] = await db.query(`SELECT * FROM cards WHERE status IN (?)${lockClause(options)}`, [statuses]);
+            return rows;
+        },
+
+        create: (card) => insertRow(db, 'cards', card),
+
+        update: (exid, fields) => updateWhere(db, 'cards', fields, 'exid', exid),
+
+        updateByAccountNumber: (accountNumber, fields) =>
+            updateWhere(db, 'cards', fields, 'account_number', accountNumber),
+
+        resetDailyCounters: async () => {
+            const [result] = await db.execute(
+                'UPDATE cards SET txn_count_daily = 0, updated_at = NOW() WHERE txn_count_daily <> 0'
+            );
+            return result.affectedRows;
+        },
+    },
+
+    feesSchedule: {
+        list: async ({ productCode, triggerEvent } = {}) => {
+            const conditions = [];
+            const values = [];
+            if (productCode) { conditions.push('product_code = ?'); values.push(productCode); }
+            if (triggerEvent) { conditions.push('trigger_event = ?'); values.push(triggerEvent); }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const [rows] = await db.query(
+                `SELECT * FROM fees_schedule ${where} ORDER BY product_code, trigger_event, effective_from`,
+                values
+            );
+            return rows;
+        },
+
+        findById: async (feeId) => {
+            const [rows] = await db.query('SELECT * FROM fees_schedule WHERE fee_id = ?', [feeId]);
+            return firstOrNull(rows);
+        },
+
+        /**
+         * The active rule of a product and trigger event on a day; the latest
+         * effective_from wins (NULL sorts last).
+         * @param {string} onDate - YYYY-MM-DD.
+         */
+        findEffective: async (productCode, triggerEvent, onDate) => {
+            const [rows] = await db.query(
+                `SELECT * FROM fees_schedule
+                 WHERE product_code = ? AND trigger_event = ? AND is_active = 1
+                   AND (effective_from IS NULL OR effective_from <= ?) AND (effective_to IS NULL OR effective_to >= ?)
+                 ORDER BY effective_from DESC LIMIT 1`,
+                [productCode, triggerEvent, onDate, onDate]
+            );
+            return firstOrNull(rows);
+        },
+
+        create: (rule) => insertRow(db, 'fees_schedule', rule),
+
+        update: (feeId, fields) => updateWhere(db, 'fees_schedule', fields, 'fee_id', feeId),
+    },
+
+    feeLedger: {
+        create: async (entry) => {
+            const result = await insertRow(db, 'fee_ledger', entry);
+            return result.insertId;
+        },
+
+        findByTransactionReference: async (reference) => {
+            const [rows] = await db.query('SELECT * FROM fee_ledger WHERE transaction_reference = ?', [reference]);
+            return rows;
+        },
+
+        /**
+         * Entries in any of the statuses, oldest first.
+         * @param {object} [filter] - { accountNumber, forUpdate }.
+         */
+        findByStatuses: async (statuses, { accountNumber, forUpdate } = {}) => {
+            const [rows] = await db.query(
+                `SELECT * FROM fee_ledger WHERE status IN (?)${accountNumber ? ' AND account_number = ?' : ''}
+                 ORDER BY ledger_id${lockClause({ forUpdate })}`,
+                accountNumber ? [statuses, accountNumber] : [statuses]
+            );
+            return rows;
+        },
+
+        findByPeriod: async (accountNumber, feeCode, billingPeriod) => {
+            const [rows] = await db.query(
+                'SELECT * FROM fee_ledger WHERE account_number = ? AND fee_code = ? AND billing_period = ?',
+                [accountNumber, feeCode, billingPeriod]
+            );
+            return firstOrNull(rows);
+        },
+
+        update: (ledgerId, fields) => updateWhere(db, 'fee_ledger', fields, 'ledger_id', ledgerId, false),
+    },
+
+    transactions: {
+        create: (transaction) => insertRow(db, 'transactions', transaction),
+
+        findByReference: async (reference, options) => {
+            const [rows] = await db.query(
+                `SELECT * FROM transactions WHERE transaction_reference = ?${lockClause(options)}`,
+                [reference]
+            );
+            return firstOrNull(rows);
+        },
+
+        findLastApproved: async (accountNumber) => {
+            const [rows] = await db.query(
+                "SELECT * FROM transactions WHERE account_number = ? AND response = 'Approved' ORDER BY created_at DESC LIMIT 1",
+                [accountNumber]
+            );
+            return firstOrNull(rows);
+        },
+
+        update: (reference, fields) =>
+            updateWhere(db, 'transactions', fields, 'transaction_reference', reference, false),
+
+        /**
+         * Lists journal entries for a card or an account, newest first.
+         * @param {object} filter - { exid | account_number, from, to, limit, offset }.
+         * @returns {object} { rows, total } where total ignores limit/offset.
+         */
+        list: async ({ exid, account_number, from, to, limit, offset }) => {
+            const conditions = [];
+            const values = [];
+            if (exid) { conditions.push('exid = ?'); values.push(exid); }
+            if (account_number) { conditions.push('account_number = ?'); values.push(account_number); }
+            if (from) { conditions.push('created_at >= ?'); values.push(from); }
+            if (to) { conditions.push('created_at <= ?'); values.push(to); }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM transactions ${where}`, values);
+            const [rows] = await db.query(
+                `SELECT * FROM transactions ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+                [...values, limit, offset]
+            );
+            return { rows, total };
+        },
+    },
+
+    holds: {
+        create: (hold) => insertRow(db, 'holds', hold),
+
+        findByReference: async (reference, options) => {
+            const [rows] = await db.query(
+                `SELECT * FROM holds WHERE hold_reference = ?${lockClause(options)}`,
+                [reference]
+            );
+            return firstOrNull(rows);
+        },
+
+        findExpired: async (asOf) => {
+            const [rows] = await db.query(
+                "SELECT * FROM holds WHERE status = 'ACTIVE' AND expires_at <= ? ORDER BY expires_at",
+                [asOf]
+            );
+            return rows;
+        },
+
+        update: (reference, fields) => updateWhere(db, 'holds', fields, 'hold_reference', reference),
+    },
+
+    idempotencyKeys: {
+        create: (entry) => insertRow(db, 'idempotency_keys', entry),
+
+        findByKey: async (key) => {
+            const [rows] = await db.query('SELECT * FROM idempotency_keys WHERE idempotency_key = ?', [key]);
+            return firstOrNull(rows);
+        },
+
+        update: (key, fields) => updateWhere(db, 'idempotency_keys', fields, 'idempotency_key', key),
+
+        delete: async (key) => {
+            const [result] = await db.execute('DELETE FROM idempotency_keys WHERE idempotency_key = ?', [key]);
+            return result.affectedRows;
+        },
+
+        deleteExpired: async (asOf) => {
+            const [result] = await db.execute('DELETE FROM idempotency_keys WHERE expires_at <= ?', [asOf]);
+            return result.affectedRows;
+        },
+    },
+
+    batchRuns: {
+        create: async (run) => {
+            const result = await insertRow(db, 'batch_runs', run);
+            return result.insertId;
+        },
+
+        findById: async (runId) => {
+            const [rows] = await db.query('SELECT * FROM batch_runs WHERE run_id = ?', [runId]);
+            return firstOrNull(rows);
+        },
+
+        findByStatus: async (status) => {
+            const [rows] = await db.query('SELECT * FROM batch_runs WHERE status = ? ORDER BY run_id', [status]);
+            return rows;
+        },
+
+        list: async ({ limit }) => {
+            const [rows] = await db.query('SELECT * FROM batch_runs ORDER BY run_id DESC LIMIT ?', [limit]);
+            return rows;
+        },
+
+        update: (runId, fields) => updateWhere(db, 'batch_runs', fields, 'run_id', runId),
+    },
+
+    // Append-only: there is deliberately no update or delete.
+    cardEvents: {
+        create: (event) => insertRow(db, 'card_events', event),
+
+        /**
+         * Lists a card's events, newest first.
+         * @param {object} filter - { exid, from, to, limit, offset }.
+         * @returns {object} { rows, total } where total ignores limit/offset.
+         */
+        listByExid: async ({ exid, from, to, limit, offset }) => {
+            const conditions = ['exid = ?'];
+            const values = [exid];
+            if (from) { conditions.push('created_at >= ?'); values.push(from); }
+            if (to) { conditions.push('created_at <= ?'); values.push(to); }
+            const where = `WHERE ${conditions.join(' AND ')}`;
+
+            const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM card_events ${where}`, values);
+            const [rows] = await db.query(
+                `SELECT * FROM card_events ${where} ORDER BY created_at DESC, event_id DESC LIMIT ? OFFSET ?`,
+                [...values, limit, offset]
+            );
+            return { rows, total };
+        },
+    },
+
+    hsmKeys: {
+        findAll: async () => {
+            const [rows] = await db.query('SELECT * FROM hsm_keys ORDER BY key_name, version');
+            return rows;
+        },
+
+        create: (row) => insertRow(db, 'hsm_keys', row),
+
+        update: async (keyName, version, fields) => {
+            const columns = Object.keys(fields);
+            const [result] = await db.execute(
+                `UPDATE hsm_keys SET ${columns.map((column) => `${column} = ?`).join(', ')}, updated_at = NOW() WHERE key_name = ? AND version = ?`,
+                [...columns.map((column) => fields[column]), keyName, version]
+            );
+            return result.affectedRows;
+        },
+    },
+
+    products: {
+        list: async () => {
+            const [rows] = await db.query('SELECT * FROM products ORDER BY product_code');
+            return rows;
+        },
+
+        findByCode: async (productCode) => {
+            const [rows] = await db.query('SELECT * FROM products WHERE product_code = ?', [productCode]);
+            return firstOrNull(rows);
+        },
+
+        create: (product) => insertRow(db, 'products', product),
+
+        update: (productCode, fields) => updateWhere(db, 'products', fields, 'product_code', productCode),
+    },
+
+    binRanges: {
+        list: async () => {
+            const [rows] = await db.query('SELECT * FROM bin_ranges ORDER BY range_id');
+            return rows;
+        },
+
+        findById: async (rangeId) => {
+            const [rows] = await db.query('SELECT * FROM bin_ranges WHERE range_id = ?', [rangeId]);
+            return firstOrNull(rows);
+        },
+
+        /**
+         * Active ranges of a product and PAN length, oldest first.
+         * @param {object} [options] - { forUpdate } locks the rows while allocating.
+         */
+        findActive: async (productCode, panLength, options) => {
+            const [rows] = await db.query(
+                `SELECT * FROM bin_ranges WHERE product_code = ? AND pan_length = ? AND status = 'Active'
+                 ORDER BY range_id${lockClause(options)}`,
+                [productCode, panLength]
+            );
+            return rows;
+        },
+
+        create: (range) => insertRow(db, 'bin_ranges', range),
+
+        update: (rangeId, fields) => updateWhere(db, 'bin_ranges', fields, 'range_id', rangeId),
+    },
+
+    fxRates: {
+        /**
+         * Rates by currency pair, newest first within a pair.
+         * @param {object} [filters] - { fromCurrency, toCurrency, limit }.
+         */
+        list: async ({ fromCurrency, toCurrency, limit } = {}) => {
+            const conditions = [];
+            const values = [];
+            if (fromCurrency) { conditions.push('from_currency = ?'); values.push(fromCurrency); }
+            if (toCurrency) { conditions.push('to_currency = ?'); values.push(toCurrency); }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            if (limit) values.push(limit);
+
+            const [rows] = await db.query(
+                `SELECT * FROM fx_rates ${where}
+                 ORDER BY from_currency, to_currency, effective_from DESC${limit ? ' LIMIT ?' : ''}`,
+                values
+            );
+            return rows;
+        },
+
+        /**
+         * The rate of a currency pair in effect at a point in time.
+         * @param {Date} asOf
+         */
+        findEffective: async (fromCurrency, toCurrency, asOf) => {
+            const [rows] = await db.query(
+                `SELECT * FROM fx_rates WHERE from_currency = ? AND to_currency = ? AND effective_from <= ?
+                 ORDER BY effective_from DESC LIMIT 1`,
+                [fromCurrency, toCurrency, asOf]
+            );
+            return firstOrNull(rows);
+        },
+
+        create: (rate) => insertRow(db, 'fx_rates', rate),
+    },
+});
+
+/**
+ * Creates the MySQL-backed store.
+ * @param {object} pool - The shared mysql2 promise pool.
+ * @returns {object} Store exposing the repositories and beginTransaction().
+ */
+const createMysqlStore = (pool) => ({
+    backend: 'mysql',
+    ...createRepositories(pool),
+
+    /**
+     * Opens a transaction on a dedicated pool connection.
+     * The caller must commit or roll back, then release.
+     * @returns {object} Repositories bound to the connection plus commit/rollback/release.
+     */
+    beginTransaction: async () => {
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        return {
+            ...createRepositories(connection),
+            commit: () => connection.commit(),
+            rollback: () => connection.rollback(),
+            release: () => connection.release(),
+        };
+    },
+});
+
+module.exports = { createMysqlStore };
@@ -0,0 +1,154 @@
+// tr31.js
+// ANSI X9.143 (TR-31) key blocks: a key wrapped together with its usage,
+// algorithm, mode of use and version under a key block protection key (KBPK).
+// Version B blocks are protected with T-DES and version D blocks with AES;
+// both derive an encryption and a MAC key from the KBPK with CMAC and bind
+// the header to the key with the MAC. Optional header blocks are not supported.
+
+const { cbc, cmac, randomHex } = require('./hsmCrypto');
+
+// --- Constants ---
+
+const KEY_BLOCK_VERSIONS = {
+    B: { cipher: 'tdes', blockBytes: 8, macBytes: 8 },
+    D: { cipher: 'aes', blockBytes: 16, macBytes: 16 },
+};
+
+const HEADER_LENGTH = 16;
+
+// Header algorithm field: T = T-DES, A = AES
+const KEY_ALGORITHMS = { T: 'tdes', A: 'aes' };
+
+// Derivation data algorithm codes, by KBPK length in bytes
+const DERIVATION_ALGORITHMS = {
+    B: { 16: '0000', 24: '0001' },
+    D: { 16: '0002', 24: '0003', 32: '0004' },
+};
+
+const KEY_USAGE_ENCRYPTION = '0000';
+const KEY_USAGE_MAC = '0001';
+
+// --- Helper Functions ---
+
+/**
+ * Picks the key block version for a KBPK.
+ * @param {string} kbpkAlgorithm - 'tdes' or 'aes'.
+ * @returns {string} 'B' or 'D'.
+ */
+const versionForKbpk = (kbpkAlgorithm) => (kbpkAlgorithm === 'aes' ? 'D' : 'B');
+
+/**
+ * Derives the key block encryption key (KBEK) and MAC key (KBMK) from the KBPK.
+ * @param {string} version - 'B' or 'D'.
+ * @param {string} kbpk - KBPK as hex.
+ * @returns {object} { kbek, kbmk }.
+ */
+const deriveBlockKeys = (version, kbpk) => {
+    const { cipher } = KEY_BLOCK_VERSIONS[version];
+    const kbpkBytes = kbpk.length / 2;
+    const algorithmCode = DERIVATION_ALGORITHMS[version][kbpkBytes];
+    if (!algorithmCode) throw new Error(`Invalid KBPK length (${kbpkBytes} bytes) for a version ${version} key block.`);
+
+    const lengthBits = (kbpkBytes * 8).toString(16).toUpperCase().padStart(4, '0');
+    const derive = (keyUsage) => {
+        let key = '';
+        for (let counter = 1; key.length < kbpk.length; counter++) {
+            const counterHex = counter.toString(16).toUpperCase().padStart(2, '0');
+            key += cmac(cipher, kbpk, `${counterHex}${keyUsage}00${algorithmCode}${lengthBits}`);
+        }
+        return key.slice(0, kbpk.length);
+    };
+    return { kbek: derive(KEY_USAGE_ENCRYPTION), kbmk: derive(KEY_USAGE_MAC) };
+};
+
+/**
+ * Builds the 16-character key block header.
+ * @returns {string}
+ */
+const buildHeader = (version, blockLength, { usage, algorithm, modeOfUse, keyVersion = '00', exportability = 'N' }) =>
+    `${version}${String(blockLength).padStart(4, '0')}${usage}${algorithm}${modeOfUse}${keyVersion}${exportability}0000`;
+
+/**
+ * Parses a key block header.
+ * @param {string} keyBlock
+ * @returns {object} { version, length, usage, algorithm, modeOfUse, keyVersion, exportability, optionalBlocks }.
+ */
+const parseHeader = (keyBlock) => ({
+    version: keyBlock[0],
+    length: parseInt(keyBlock.slice(1, 5), 10),
+    usage: keyBlock.slice(5, 7),
+    algorithm: keyBlock[7],
+    modeOfUse: keyBlock[8],
+    keyVersion: keyBlock.slice(9, 11),
+    exportability: keyBlock[11],
+    optionalBlocks: keyBlock.slice(12, 14),
+});
+
+// --- Public API ---
+
+/**
+ * Wraps a key in a TR-31 key block.
+ * @param {object} kbpk - { algorithm: 'tdes' | 'aes', key } key block protection key.
+ * @param {object} attributes - { usage (e.g. 'P0'), algorithm ('T' | 'A'), modeOfUse, keyVersion ('00'-'99'), exportability }.
+ * @param {string} key - The key to wrap, as hex.
+ * @returns {string} - The key block.
+ */
+const wrapKey = (kbpk, attributes, key) => {
+    const version = versionForKbpk(kbpk.algorithm);
+    const { cipher, blockBytes, macBytes } = KEY_BLOCK_VERSIONS[version];
+    const { kbek, kbmk } = deriveBlockKeys(version, kbpk.key);
+
+    // Key length in bits, the key, then random padding to whole cipher blocks
+    const keyLengthField = (key.length * 4).toString(16).toUpperCase().padStart(4, '0');
+    const unpadded = keyLengthField + key.toUpperCase();
+    const paddedLength = Math.ceil(unpadded.length / (blockBytes * 2)) * blockBytes * 2;
+    const clearKeyData = unpadded + randomHex((paddedLength - unpadded.length) / 2);
+
+    const blockLength = HEADER_LENGTH + clearKeyData.length + macBytes * 2;
+    const header = buildHeader(version, blockLength, attributes);
+    const mac = cmac(cipher, kbmk, Buffer.from(header, 'ascii').toString('hex') + clearKeyData).slice(0, macBytes * 2);
+
+    return header + cbc(cipher, kbek, clearKeyData, mac.slice(0, blockBytes * 2)) + mac;
+};
+
+/**
+ * Unwraps a TR-31 key block, verifying its MAC.
+ * @param {object} kbpk - { algorithm: 'tdes' | 'aes', key } key block protection key.
+ * @param {string} keyBlock
+ * @returns {object} { header, key } where header holds the parsed attributes.
+ * @throws {Error} When the block is malformed, was not made under this KBPK or fails the MAC check.
+ */
+const unwrapKey = (kbpk, keyBlock) => {
+    if (typeof keyBlock !== 'string' || keyBlock.length < HEADER_LENGTH) throw new Error('Key block is too short.');
+
+    const header = parseHeader(keyBlock);
+    const format = KEY_BLOCK_VERSIONS[header.version];
+    if (!format) throw new Error(`Unsupported key block version '${header.version}' (B and D are supported).`);
+    if (header.version !== versionForKbpk(kbpk.algorithm)) {
+        throw new Error(`A version ${header.version} key block cannot be unwrapped with ${kbpk.algorithm === 'aes' ? 'an AES' : 'a T-DES'} KBPK.`);
+    }
+    if (header.length !== keyBlock.length) throw new Error('Key block length does not match its header.');
+    if (header.optionalBlocks !== '00') throw new Error('Key blocks with optional blocks are not supported.');
+    if (!KEY_ALGORITHMS[header.algorithm]) throw new Error(`Unsupported key algorithm '${header.algorithm}'.`);
+
+    const { cipher, blockBytes, macBytes } = format;
+    const encrypted = keyBlock.slice(HEADER_LENGTH, -macBytes * 2);
+    const mac = keyBlock.slice(-macBytes * 2).toUpperCase();
+    if (!/^[0-9A-F]*$/i.test(encrypted + mac) || encrypted.length === 0 || encrypted.length % (blockBytes * 2) !== 0) {
+        throw new Error('Key block data is not valid hex of whole cipher blocks.');
+    }
+
+    const { kbek, kbmk } = deriveBlockKeys(header.version, kbpk.key);
+    const clearKeyData = cbc(cipher, kbek, encrypted, mac.slice(0, blockBytes * 2), true);
+    const expectedMac = cmac(cipher, kbmk, Buffer.from(keyBlock.slice(0, HEADER_LENGTH), 'ascii').toString('hex') + clearKeyData)
+        .slice(0, macBytes * 2);
+    if (expectedMac !== mac) throw new Error('Key block MAC verification failed (wrong KBPK or altered block).');
+
+    const keyLengthBits = parseInt(clearKeyData.slice(0, 4), 16);
+    if (keyLengthBits % 8 !== 0 || 4 + keyLengthBits / 4 > clearKeyData.length) {
+        throw new Error('Key block holds an invalid key length.');
+    }
+    return { header, key: clearKeyData.slice(4, 4 + keyLengthBits / 4) };
+};
+
+module.exports = { KEY_ALGORITHMS, wrapKey, unwrapKey };
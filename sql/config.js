@@ -0,0 +1,13 @@
+// config.js
+// Connection settings for the migration runner. Uses the same environment
+// variables as mock-server/config/database.js so both point at one database.
+
+const dbConfig = {
+    host: process.env.DB_HOST || '',
+    user: process.env.DB_USER || '',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'card_management_system',
+    port: process.env.DB_PORT ? parseInt(process.env.DB_PORT, 10) : 3306,
+};
+
+module.exports = { dbConfig };
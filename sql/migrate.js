@@ -0,0 +1,203 @@
+// migrate.js
+// Versioned schema migrations and seed data for the card_management_system DB.
+//
+// Usage:
+//   node migrate.js up            Apply every pending migration
+//   node migrate.js down [steps]  Roll back the last <steps> migrations (default 1)
+//   node migrate.js status        List applied and pending migrations
+//   node migrate.js seed          Load seed data (safe to re-run)
+//
+// Migrations live in ./migrations as numbered pairs:
+//   NNN_description.up.sql / NNN_description.down.sql
+// Applied versions are recorded in the `schema_migrations` table.
+
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const { dbConfig } = require('./config');
+const { SEEDS } = require('./seeds');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([\w-]+)\.up\.sql$/;
+
+// --- Helper Functions ---
+
+/**
+ * Reads the migrations directory and pairs every up file with its down file.
+ * @returns {Array<object>} Migrations sorted by version.
+ */
+const loadMigrations = () => {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map((file) => file.match(MIGRATION_FILE_PATTERN))
+        .filter(Boolean)
+        .map(([upFile, version, name]) => {
+            const downFile = `${version}_${name}.down.sql`;
+            if (!fs.existsSync(path.join(MIGRATIONS_DIR, downFile))) {
+                throw new Error(`Migration ${version} is missing its rollback file ${downFile}.`);
+            }
+            return { version, name, upFile, downFile };
+        })
+        .sort((a, b) => a.version.localeCompare(b.version));
+};
+
+const readSql = (file) => fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+/**
+ * Opens a connection, creating the database and tracking table if needed.
+ * @returns {object} A mysql2 connection with multi-statement support.
+ */
+const connect = async () => {
+    const { database, ...serverConfig } = dbConfig;
+    const connection = await mysql.createConnection({ ...serverConfig, multipleStatements: true });
+
+    await connection.query(
+        `CREATE DATABASE IF NOT EXISTS \`${database}\` DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci`
+    );
+    await connection.query(`USE \`${database}\``);
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS \`schema_migrations\` (
+            \`version\` VARCHAR(10) NOT NULL,
+            \`name\` VARCHAR(255) NOT NULL,
+            \`applied_at\` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (\`version\`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    return connection;
+};
+
+const getAppliedVersions = async (connection) => {
+    const [rows] = await connection.query('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map((row) => row.version);
+};
+
+// --- Commands ---
+
+/**
+ * Applies every migration that is not yet recorded in schema_migrations.
+ * MySQL commits DDL implicitly, so each migration is recorded only after
+ * its whole script has run; a failure stops the run at that version.
+ */
+const migrateUp = async (connection) => {
+    const applied = await getAppliedVersions(connection);
+    const pending = loadMigrations().filter((migration) => !applied.includes(migration.version));
+
+    if (pending.length === 0) {
+        console.log('Database is up to date.');
+        return;
+    }
+
+    for (const migration of pending) {
+        console.log(`Applying ${migration.version}_${migration.name} ...`);
+        await connection.query(readSql(migration.upFile));
+        await connection.execute(
+            'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+            [migration.version, migration.name]
+        );
+    }
+    console.log(`Applied ${pending.length} migration(s).`);
+};
+
+/**
+ * Rolls back the most recently applied migrations.
+ * @param {number} steps - How many migrations to roll back.
+ */
+const migrateDown = async (connection, steps) => {
+    const applied = await getAppliedVersions(connection);
+    const migrations = loadMigrations();
+    const toRollBack = applied.slice(-steps).reverse();
+
+    if (toRollBack.length === 0) {
+        console.log('Nothing to roll back.');
+        return;
+    }
+
+    for (const version of toRollBack) {
+        const migration = migrations.find((candidate) => candidate.version === version);
+        if (!migration) {
+            throw new Error(`Applied migration ${version} has no files in ${MIGRATIONS_DIR}.`);
+        }
+        console.log(`Rolling back ${migration.version}_${migration.name} ...`);
+        await connection.query(readSql(migration.downFile));
+        await connection.execute('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    }
+    console.log(`Rolled back ${toRollBack.length} migration(s).`);
+};
+
+const showStatus = async (connection) => {
+    const applied = await getAppliedVersions(connection);
+    loadMigrations().forEach(({ version, name }) => {
+        console.log(`${applied.includes(version) ? '[applied]' : '[pending]'} ${version}_${name}`);
+    });
+};
+
+/**
+ * Loads the seed data. Rows whose primary or unique key already exists are
+ * skipped, so seeding can be repeated on a populated database. A table whose
+ * rows have no natural key in the schema names one in `uniqueBy`; a row is
+ * skipped when a row with the same values (NULL matching NULL) exists.
+ */
+const seed = async (connection) => {
+    await connection.beginTransaction();
+    try {
+        for (const { table, rows, uniqueBy } of SEEDS) {
+            let inserted = 0;
+            for (const row of rows) {
+                const columns = Object.keys(row);
+                const values = columns.map((column) => row[column]);
+                const [result] = uniqueBy
+                    ? await connection.execute(
+                        `INSERT INTO \`${table}\` (${columns.map((column) => `\`${column}\``).join(', ')})
+                         SELECT ${columns.map(() => '?').join(', ')} FROM DUAL
+                         WHERE NOT EXISTS (SELECT 1 FROM \`${table}\` WHERE ${uniqueBy.map((column) => `\`${column}\` <=> ?`).join(' AND ')})`,
+                        [...values, ...uniqueBy.map((column) => row[column] ?? null)]
+                    )
+                    : await connection.execute(
+                        `INSERT IGNORE INTO \`${table}\` (${columns.map((column) => `\`${column}\``).join(', ')})
+                         VALUES (${columns.map(() => '?').join(', ')})`,
+                        values
+                    );
+                inserted += result.affectedRows;
+            }
+            console.log(`Seeded ${table}: ${inserted} new row(s), ${rows.length - inserted} already present.`);
+        }
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    }
+};
+
+// --- CLI Entry Point ---
+(async () => {
+    const [command = 'status', arg] = process.argv.slice(2);
+    let connection;
+    try {
+        connection = await connect();
+        switch (command) {
+            case 'up':
+                await migrateUp(connection);
+                break;
+            case 'down': {
+                const steps = arg ? parseInt(arg, 10) : 1;
+                if (!Number.isInteger(steps) || steps < 1) {
+                    throw new Error(`Invalid step count '${arg}'. Must be a positive whole number.`);
+                }
+                await migrateDown(connection, steps);
+                break;
+            }
+            case 'status':
+                await showStatus(connection);
+                break;
+            case 'seed':
+                await seed(connection);
+                break;
+            default:
+                throw new Error(`Unknown command '${command}'. Use up, down [steps], status or seed.`);
+        }
+    } catch (error) {
+        console.error('Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (connection) await connection.end();
+    }
+})();
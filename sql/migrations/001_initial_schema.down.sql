@@ -0,0 +1,10 @@
+-- MIGRATION 001 (ROLLBACK): INITIAL SCHEMA
+--
+-- Drops the core tables in reverse dependency order.
+--
+
+DROP TABLE IF EXISTS `cards`;
+DROP TABLE IF EXISTS `fee_ledger`;
+DROP TABLE IF EXISTS `fees_schedule`;
+DROP TABLE IF EXISTS `accounts`;
+DROP TABLE IF EXISTS `clients`;
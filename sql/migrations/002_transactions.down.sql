@@ -0,0 +1,7 @@
+-- MIGRATION 002 (ROLLBACK): TRANSACTION JOURNAL
+
+ALTER TABLE `fee_ledger`
+    DROP FOREIGN KEY `fk_ledger_transaction`,
+    DROP KEY `fk_ledger_transaction`;
+
+DROP TABLE IF EXISTS `transactions`;
@@ -0,0 +1,32 @@
+-- MIGRATION 002: TRANSACTION JOURNAL
+--
+-- Records every authorization attempt (approved or declined) with a unique
+-- reference, and links fee_ledger entries to the transaction that charged them.
+--
+
+-- 1. TRANSACTIONS TABLE
+CREATE TABLE `transactions` (
+    `transaction_reference` VARCHAR(50) NOT NULL,
+    `transaction_type` VARCHAR(50) DEFAULT NULL,
+    `exid` CHAR(16) DEFAULT NULL,
+    `card_id` VARCHAR(50) DEFAULT NULL,
+    `account_number` VARCHAR(20) DEFAULT NULL,
+    `amount` DECIMAL(15, 2) DEFAULT NULL,
+    `currency_code` VARCHAR(10) DEFAULT NULL,
+    `fx_rate` DECIMAL(15, 6) DEFAULT NULL,
+    `amount_base_currency` DECIMAL(15, 2) DEFAULT NULL,
+    `fee_amount` DECIMAL(10, 2) NOT NULL DEFAULT '0.00',
+    `total_debit` DECIMAL(15, 2) NOT NULL DEFAULT '0.00',
+    `response` ENUM('Approved','Declined') NOT NULL,
+    `decline_reason` VARCHAR(255) DEFAULT NULL,
+    `balance_after` DECIMAL(15, 2) DEFAULT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (`transaction_reference`),
+    KEY `idx_transactions_exid_created` (`exid`, `created_at`),
+    KEY `idx_transactions_account_created` (`account_number`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 2. FEE_LEDGER -> TRANSACTIONS LINK
+ALTER TABLE `fee_ledger`
+    ADD KEY `fk_ledger_transaction` (`transaction_reference`),
+    ADD CONSTRAINT `fk_ledger_transaction` FOREIGN KEY (`transaction_reference`) REFERENCES `transactions` (`transaction_reference`);
@@ -0,0 +1,8 @@
+-- MIGRATION 003 (ROLLBACK): TRANSACTION REVERSALS
+
+ALTER TABLE `transactions`
+    DROP KEY `idx_transactions_original_reference`,
+    DROP COLUMN `reversal_reason`,
+    DROP COLUMN `reversal_status`,
+    DROP COLUMN `reversed_amount`,
+    DROP COLUMN `original_reference`;
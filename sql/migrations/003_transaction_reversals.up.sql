@@ -0,0 +1,12 @@
+-- MIGRATION 003: TRANSACTION REVERSALS
+--
+-- Tracks how much of an approved transaction has been reversed, and links
+-- reversal journal entries back to the transaction they reverse.
+--
+
+ALTER TABLE `transactions`
+    ADD COLUMN `original_reference` VARCHAR(50) DEFAULT NULL AFTER `transaction_reference`,
+    ADD COLUMN `reversed_amount` DECIMAL(15, 2) NOT NULL DEFAULT '0.00' AFTER `balance_after`,
+    ADD COLUMN `reversal_status` ENUM('NONE','PARTIAL','FULL') NOT NULL DEFAULT 'NONE' AFTER `reversed_amount`,
+    ADD COLUMN `reversal_reason` VARCHAR(255) DEFAULT NULL AFTER `reversal_status`,
+    ADD KEY `idx_transactions_original_reference` (`original_reference`);
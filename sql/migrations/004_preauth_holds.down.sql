@@ -0,0 +1,6 @@
+-- MIGRATION 004 (ROLLBACK): PRE-AUTHORIZATION HOLDS
+
+DROP TABLE IF EXISTS `holds`;
+
+ALTER TABLE `accounts`
+    DROP COLUMN `held_amount`;
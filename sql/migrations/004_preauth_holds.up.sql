@@ -0,0 +1,36 @@
+-- MIGRATION 004: PRE-AUTHORIZATION HOLDS
+--
+-- Pre-auths reserve funds without debiting them. The account keeps the sum of
+-- its active holds in `held_amount`, so:
+--   ledger balance    = accounts.balance
+--   available balance = accounts.balance - accounts.held_amount
+--
+
+-- 1. ACCOUNTS: RESERVED FUNDS
+ALTER TABLE `accounts`
+    ADD COLUMN `held_amount` DECIMAL(15, 2) NOT NULL DEFAULT '0.00' AFTER `balance`;
+
+-- 2. HOLDS TABLE
+-- hold_reference is the transaction_reference of the pre-auth journal entry.
+CREATE TABLE `holds` (
+    `hold_reference` VARCHAR(50) NOT NULL,
+    `account_number` VARCHAR(20) NOT NULL,
+    `exid` CHAR(16) NOT NULL,
+    `card_id` VARCHAR(50) NOT NULL,
+    `transaction_type` VARCHAR(50) NOT NULL,
+    `amount` DECIMAL(15, 2) NOT NULL,
+    `currency_code` VARCHAR(10) NOT NULL,
+    `fx_rate` DECIMAL(15, 6) DEFAULT NULL,
+    `amount_held` DECIMAL(15, 2) NOT NULL,
+    `status` ENUM('ACTIVE','COMPLETED','RELEASED','EXPIRED') NOT NULL DEFAULT 'ACTIVE',
+    `captured_amount` DECIMAL(15, 2) DEFAULT NULL,
+    `completion_reference` VARCHAR(50) DEFAULT NULL,
+    `expires_at` DATETIME NOT NULL,
+    `created_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `updated_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (`hold_reference`),
+    KEY `idx_holds_status_expires` (`status`, `expires_at`),
+    KEY `idx_holds_account` (`account_number`),
+    CONSTRAINT `fk_holds_transaction` FOREIGN KEY (`hold_reference`) REFERENCES `transactions` (`transaction_reference`),
+    CONSTRAINT `fk_holds_account` FOREIGN KEY (`account_number`) REFERENCES `accounts` (`account_number`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
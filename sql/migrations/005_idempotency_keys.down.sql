@@ -0,0 +1,3 @@
+-- MIGRATION 005 (ROLLBACK): IDEMPOTENCY KEYS
+
+DROP TABLE IF EXISTS `idempotency_keys`;
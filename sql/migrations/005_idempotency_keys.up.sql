@@ -0,0 +1,20 @@
+-- MIGRATION 005: IDEMPOTENCY KEYS
+--
+-- Stores the first response returned for each Idempotency-Key header so that
+-- retried requests are replayed instead of executed again.
+--
+
+CREATE TABLE `idempotency_keys` (
+    `idempotency_key` VARCHAR(255) NOT NULL,
+    `request_method` VARCHAR(10) NOT NULL,
+    `request_path` VARCHAR(255) NOT NULL,
+    `request_hash` CHAR(64) NOT NULL COMMENT 'SHA-256 of method, path and body',
+    `status` ENUM('IN_PROGRESS','COMPLETED') NOT NULL DEFAULT 'IN_PROGRESS',
+    `response_status` SMALLINT DEFAULT NULL,
+    `response_body` MEDIUMTEXT DEFAULT NULL COMMENT 'JSON response replayed on retries',
+    `expires_at` DATETIME NOT NULL,
+    `created_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `updated_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (`idempotency_key`),
+    KEY `idx_idempotency_expires` (`expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,3 @@
+-- MIGRATION 006 (ROLLBACK): END-OF-DAY BATCH RUNS
+
+DROP TABLE IF EXISTS `batch_runs`;
@@ -0,0 +1,22 @@
+-- MIGRATION 006: END-OF-DAY BATCH RUNS
+--
+-- One row per end-of-day run. completed_jobs lists the jobs that have
+-- committed, so an interrupted run can be resumed without repeating them.
+--
+
+CREATE TABLE `batch_runs` (
+    `run_id` INT NOT NULL AUTO_INCREMENT,
+    `business_date` DATE NOT NULL,
+    `trigger_source` ENUM('SCHEDULER','ADMIN','RECOVERY') NOT NULL,
+    `status` ENUM('RUNNING','COMPLETED','FAILED','INTERRUPTED') NOT NULL DEFAULT 'RUNNING',
+    `completed_jobs` TEXT DEFAULT NULL COMMENT 'JSON array of job names already committed',
+    `job_results` TEXT DEFAULT NULL COMMENT 'JSON object of per-job results',
+    `error_message` VARCHAR(1000) DEFAULT NULL,
+    `resumed_from_run_id` INT DEFAULT NULL,
+    `started_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `finished_at` DATETIME DEFAULT NULL,
+    `updated_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (`run_id`),
+    KEY `idx_batch_runs_status` (`status`),
+    KEY `idx_batch_runs_business_date` (`business_date`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,7 @@
+-- MIGRATION 007 (ROLLBACK): CLOSED CARD STATUS
+-- Closed cards fall back to Blocked with block code C before the value is removed.
+
+UPDATE `cards` SET `status` = 'Blocked', `block_code` = 'C' WHERE `status` = 'Closed';
+
+ALTER TABLE `cards`
+    MODIFY COLUMN `status` ENUM('Active','Inactive','Blocked','Expired','Replaced') NOT NULL DEFAULT 'Inactive';
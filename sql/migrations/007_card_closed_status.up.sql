@@ -0,0 +1,9 @@
+-- MIGRATION 007: CLOSED CARD STATUS
+--
+-- Adds the terminal 'Closed' status used by the card lifecycle
+-- (mock-server/cardLifecycle.js) for cards closed by the customer or through
+-- their account.
+--
+
+ALTER TABLE `cards`
+    MODIFY COLUMN `status` ENUM('Active','Inactive','Blocked','Expired','Replaced','Closed') NOT NULL DEFAULT 'Inactive';
@@ -0,0 +1,5 @@
+-- MIGRATION 008 (ROLLBACK): CARD EVENTS (AUDIT TRAIL)
+
+DROP TRIGGER IF EXISTS `trg_card_events_no_delete`;
+DROP TRIGGER IF EXISTS `trg_card_events_no_update`;
+DROP TABLE IF EXISTS `card_events`;
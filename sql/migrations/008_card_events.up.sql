@@ -0,0 +1,28 @@
+-- MIGRATION 008: CARD EVENTS (AUDIT TRAIL)
+--
+-- Append-only history of card changes: status, block code, limit, emboss
+-- name and PIN events, with who made the change and why. PIN values are
+-- never stored. The triggers reject UPDATE and DELETE so rows cannot be
+-- rewritten after the fact.
+--
+
+CREATE TABLE `card_events` (
+    `event_id` BIGINT NOT NULL AUTO_INCREMENT,
+    `exid` CHAR(16) NOT NULL,
+    `card_id` VARCHAR(50) NOT NULL,
+    `event_type` VARCHAR(30) NOT NULL COMMENT 'STATUS_CHANGE, BLOCK_CODE_CHANGE, LIMIT_CHANGE, EMBOSS_NAME_CHANGE, PIN_SET, PIN_CHANGE, ...',
+    `old_value` VARCHAR(255) DEFAULT NULL,
+    `new_value` VARCHAR(255) DEFAULT NULL,
+    `actor` VARCHAR(100) NOT NULL COMMENT 'Caller identity (X-Caller-Id header) or system:<job>',
+    `reason` VARCHAR(255) DEFAULT NULL,
+    `source` VARCHAR(100) DEFAULT NULL COMMENT 'Endpoint or job that made the change',
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (`event_id`),
+    KEY `idx_card_events_exid_created` (`exid`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TRIGGER `trg_card_events_no_update` BEFORE UPDATE ON `card_events`
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'card_events is append-only';
+
+CREATE TRIGGER `trg_card_events_no_delete` BEFORE DELETE ON `card_events`
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'card_events is append-only';
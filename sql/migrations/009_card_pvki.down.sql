@@ -0,0 +1,4 @@
+-- MIGRATION 009 (ROLLBACK): PIN VERIFICATION KEY INDEX
+
+ALTER TABLE `cards`
+    DROP COLUMN `pvki`;
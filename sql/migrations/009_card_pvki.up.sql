@@ -0,0 +1,9 @@
+-- MIGRATION 009: PIN VERIFICATION KEY INDEX
+--
+-- Stores the PVKI (PIN Verification Key Indicator) next to each card's PVV so
+-- the HSM simulator knows which PVK the PVV was generated with
+-- (see PVKS in mock-server/config/hsmKeys.js).
+--
+
+ALTER TABLE `cards`
+    ADD COLUMN `pvki` CHAR(1) DEFAULT NULL AFTER `pvv`;
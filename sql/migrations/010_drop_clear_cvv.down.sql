@@ -0,0 +1,5 @@
+-- MIGRATION 010 (ROLLBACK): DROP CLEAR-TEXT CVV
+-- The column comes back empty; the dropped values cannot be restored.
+
+ALTER TABLE `cards`
+    ADD COLUMN `cvv` VARCHAR(3) DEFAULT NULL AFTER `exid`;
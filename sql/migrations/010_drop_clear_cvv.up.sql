@@ -0,0 +1,9 @@
+-- MIGRATION 010: DROP CLEAR-TEXT CVV
+--
+-- Card security codes (CVV1, CVV2, iCVV) are derived through the HSM from the
+-- PAN, expiry and service code whenever they are needed
+-- (mock-server/cardSecurity.js), so the clear-text cvv column is removed.
+--
+
+ALTER TABLE `cards`
+    DROP COLUMN `cvv`;
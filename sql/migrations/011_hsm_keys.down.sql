@@ -0,0 +1,3 @@
+-- MIGRATION 011 (ROLLBACK): HSM KEY STORE
+
+DROP TABLE IF EXISTS `hsm_keys`;
@@ -0,0 +1,23 @@
+-- MIGRATION 011: HSM KEY STORE
+--
+-- Keys used by the HSM simulator (mock-server/keyStore.js). Each key version
+-- is held as a TR-31 key block wrapped under the local master key (LMK), so
+-- no clear key is stored. A key name can have several Active versions; new
+-- CVVs, PVVs and cryptograms use the one flagged is_current.
+--
+
+CREATE TABLE `hsm_keys` (
+    `key_id` INT NOT NULL AUTO_INCREMENT,
+    `key_name` VARCHAR(32) NOT NULL COMMENT 'CVK, PVK, ZPK, MK_AC, ZMK, ...',
+    `version` SMALLINT UNSIGNED NOT NULL COMMENT 'PVK versions are the PVKI',
+    `algorithm` ENUM('TDES', 'AES') NOT NULL,
+    `key_usage` CHAR(2) NOT NULL COMMENT 'TR-31 key usage, e.g. C0, V2, P0',
+    `key_block` VARCHAR(256) NOT NULL COMMENT 'TR-31 key block under the LMK',
+    `kcv` CHAR(6) NOT NULL,
+    `status` ENUM('Active', 'Retired') NOT NULL DEFAULT 'Active',
+    `is_current` TINYINT(1) NOT NULL DEFAULT 0,
+    `created_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `updated_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (`key_id`),
+    UNIQUE KEY `uq_hsm_keys_name_version` (`key_name`, `version`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,4 @@
+-- MIGRATION 012 (ROLLBACK): CARD VERIFICATION KEY VERSION
+
+ALTER TABLE `cards`
+    DROP COLUMN `cvk_version`;
@@ -0,0 +1,9 @@
+-- MIGRATION 012: CARD VERIFICATION KEY VERSION
+--
+-- Stores which CVK version a card's CVV1, CVV2 and iCVV were derived with, so
+-- the CVK can be rotated without invalidating the codes on cards already
+-- issued. Existing cards were issued under version 1.
+--
+
+ALTER TABLE `cards`
+    ADD COLUMN `cvk_version` SMALLINT UNSIGNED NOT NULL DEFAULT 1 AFTER `pvki`;
@@ -0,0 +1,8 @@
+-- MIGRATION 013 (ROLLBACK): BIN RANGES FOR PAN ALLOCATION
+
+ALTER TABLE `cards`
+    DROP KEY `idx_cards_pan`,
+    MODIFY COLUMN `pan` VARCHAR(16) NOT NULL,
+    MODIFY COLUMN `masked_pan` VARCHAR(16) DEFAULT NULL;
+
+DROP TABLE IF EXISTS `bin_ranges`;
@@ -0,0 +1,30 @@
+-- MIGRATION 013: BIN RANGES FOR PAN ALLOCATION
+--
+-- PANs are allocated sequentially from BIN ranges configured per product and
+-- card length (mock-server/panAllocation.js). A range covers the individual
+-- account identifiers account_start..account_end after its BIN; next_account
+-- only moves forward, so a PAN is never allocated twice. PANs can now be up
+-- to 19 digits.
+--
+
+CREATE TABLE `bin_ranges` (
+    `range_id` INT NOT NULL AUTO_INCREMENT,
+    `product_code` VARCHAR(20) NOT NULL,
+    `bin` VARCHAR(11) NOT NULL COMMENT 'Issuer identification number (6-11 digits)',
+    `pan_length` TINYINT UNSIGNED NOT NULL COMMENT '13-19, including the Luhn check digit',
+    `account_start` BIGINT UNSIGNED NOT NULL,
+    `account_end` BIGINT UNSIGNED NOT NULL,
+    `next_account` BIGINT UNSIGNED NOT NULL COMMENT 'Next account identifier to allocate',
+    `low_threshold` INT UNSIGNED NOT NULL DEFAULT 1000 COMMENT 'Reported as running out at or below this many free PANs',
+    `status` ENUM('Active', 'Inactive') NOT NULL DEFAULT 'Active',
+    `created_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `updated_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (`range_id`),
+    UNIQUE KEY `uq_bin_ranges_start` (`bin`, `pan_length`, `account_start`),
+    KEY `idx_bin_ranges_product` (`product_code`, `pan_length`, `status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `cards`
+    MODIFY COLUMN `pan` VARCHAR(19) NOT NULL,
+    MODIFY COLUMN `masked_pan` VARCHAR(19) DEFAULT NULL,
+    ADD KEY `idx_cards_pan` (`pan`);
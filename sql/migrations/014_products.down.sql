@@ -0,0 +1,3 @@
+-- MIGRATION 014 (ROLLBACK): PRODUCT CATALOG
+
+DROP TABLE IF EXISTS `products`;
@@ -0,0 +1,29 @@
+-- MIGRATION 014: PRODUCT CATALOG
+--
+-- Card and account products (mock-server/productCatalog.js), replacing the
+-- product codes hard-coded in CardCreate.js. A product sets its card type,
+-- default PAN length (its PANs come from its bin_ranges), default limit,
+-- card validity, the channels its cards may be used on and whether its
+-- accounts may go overdrawn. The two products that were hard-coded are
+-- created here so existing accounts and cards keep a product.
+--
+
+CREATE TABLE `products` (
+    `product_code` VARCHAR(20) NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `card_type` ENUM('PHYSICAL', 'VIRTUAL') NOT NULL DEFAULT 'PHYSICAL',
+    `pan_length` TINYINT UNSIGNED NOT NULL DEFAULT 16 COMMENT 'Default card length; PANs come from bin_ranges',
+    `default_limit` DECIMAL(15,2) NOT NULL DEFAULT 0.00 COMMENT 'Card limit_amount and account daily_limit when none is given',
+    `validity_years` TINYINT UNSIGNED NOT NULL DEFAULT 4,
+    `allowed_channels` SET('ATM', 'POS', 'ECOMMERCE', 'PAYMENTS') NOT NULL DEFAULT 'ATM,POS,ECOMMERCE,PAYMENTS',
+    `overdraft_allowed` TINYINT(1) NOT NULL DEFAULT 0,
+    `overdraft_limit` DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    `status` ENUM('Active', 'Inactive') NOT NULL DEFAULT 'Active' COMMENT 'Inactive products take no new accounts or cards',
+    `created_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `updated_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (`product_code`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+INSERT INTO `products` (`product_code`, `name`, `default_limit`, `overdraft_allowed`, `overdraft_limit`) VALUES
+    ('CHQ-01', 'Cheque Account', 10000.00, 1, 1000.00),
+    ('SAV-02', 'Savings Account', 5000.00, 0, 0.00);
@@ -0,0 +1,10 @@
+-- MIGRATION 015 (ROLLBACK): FEE RULE EFFECTIVE DATES
+-- Fails if a product has more than one rule for a trigger event; delete the
+-- superseded rules first.
+
+ALTER TABLE `fees_schedule`
+    DROP KEY `idx_fees_product_trigger`,
+    ADD UNIQUE KEY `uk_product_trigger` (`product_code`, `trigger_event`),
+    DROP COLUMN `effective_to`,
+    DROP COLUMN `effective_from`,
+    MODIFY COLUMN `product_code` VARCHAR(10) NOT NULL;
@@ -0,0 +1,16 @@
+-- MIGRATION 015: FEE RULE EFFECTIVE DATES
+--
+-- Transaction fees are now calculated from fees_schedule (mock-server/
+-- feeEngine.js) instead of a schedule hard-coded in authorisation.js. A rule
+-- applies from effective_from to effective_to (inclusive; NULL = open-ended),
+-- so a product can have several rules for one trigger event as long as their
+-- periods do not overlap. The old one-rule-per-product-and-event key is
+-- replaced by a plain index; the overlap check is done by the fee engine.
+--
+
+ALTER TABLE `fees_schedule`
+    MODIFY COLUMN `product_code` VARCHAR(20) NOT NULL,
+    ADD COLUMN `effective_from` DATE DEFAULT NULL COMMENT 'First day the rule applies; NULL = always' AFTER `trigger_event`,
+    ADD COLUMN `effective_to` DATE DEFAULT NULL COMMENT 'Last day the rule applies; NULL = open-ended' AFTER `effective_from`,
+    DROP KEY `uk_product_trigger`,
+    ADD KEY `idx_fees_product_trigger` (`product_code`, `trigger_event`, `is_active`);
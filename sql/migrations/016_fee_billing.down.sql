@@ -0,0 +1,8 @@
+-- MIGRATION 016 (ROLLBACK): FEE BILLING
+
+ALTER TABLE `fee_ledger`
+    DROP KEY `idx_fee_ledger_status`,
+    DROP KEY `uq_fee_ledger_period`,
+    DROP COLUMN `event_reference`,
+    DROP COLUMN `billing_period`,
+    DROP COLUMN `outstanding_amount`;
@@ -0,0 +1,16 @@
+-- MIGRATION 016: FEE BILLING
+--
+-- Periodic (monthly service, inactivity) and event (card replacement) fees
+-- are billed by the fee billing run (mock-server/feeBilling.js) and posted
+-- to fee_ledger. An entry that could not be collected in full keeps the rest
+-- in outstanding_amount (status PENDING, DEFERRED or PARTIAL) and is
+-- collected by later runs. billing_period makes a periodic fee chargeable
+-- once per account and month.
+--
+
+ALTER TABLE `fee_ledger`
+    ADD COLUMN `outstanding_amount` DECIMAL(10, 2) NOT NULL DEFAULT '0.00' COMMENT 'Still to collect; charged_amount is what was collected' AFTER `charged_amount`,
+    ADD COLUMN `billing_period` CHAR(7) DEFAULT NULL COMMENT 'YYYY-MM for periodic fees' AFTER `outstanding_amount`,
+    ADD COLUMN `event_reference` VARCHAR(50) DEFAULT NULL COMMENT 'What raised an event fee, e.g. the replacement card EXID' AFTER `billing_period`,
+    ADD UNIQUE KEY `uq_fee_ledger_period` (`account_number`, `fee_code`, `billing_period`),
+    ADD KEY `idx_fee_ledger_status` (`status`);
@@ -0,0 +1,15 @@
+-- MIGRATION 017 (ROLLBACK): FX RATES AND CROSS-BORDER MARKUP
+
+ALTER TABLE `holds`
+    DROP COLUMN `fx_markup_percent`,
+    DROP COLUMN `fx_rate_id`;
+
+ALTER TABLE `transactions`
+    DROP COLUMN `fx_markup_amount`,
+    DROP COLUMN `fx_markup_percent`,
+    DROP COLUMN `fx_rate_id`;
+
+ALTER TABLE `products`
+    DROP COLUMN `fx_markup_percent`;
+
+DROP TABLE IF EXISTS `fx_rates`;
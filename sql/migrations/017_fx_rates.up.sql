@@ -0,0 +1,42 @@
+-- MIGRATION 017: FX RATES AND CROSS-BORDER MARKUP
+--
+-- Exchange rates move from constants in authorisation.js to fx_rates
+-- (mock-server/fxRates.js). Rates are never updated in place: loading a rate
+-- adds a row effective from a timestamp, and a transaction uses the latest
+-- rate effective at its time, so the table is also the rate history.
+-- Products get a cross-border markup added on top of the rate for
+-- transactions not in the base currency (2.75% on the two original
+-- products); transactions and holds record the rate row and markup they used
+-- so they can be reconciled. The two rates that were hard-coded are loaded
+-- here.
+--
+
+CREATE TABLE `fx_rates` (
+    `rate_id` INT NOT NULL AUTO_INCREMENT,
+    `from_currency` CHAR(3) NOT NULL,
+    `to_currency` CHAR(3) NOT NULL,
+    `rate` DECIMAL(15, 6) NOT NULL COMMENT 'Units of to_currency per unit of from_currency',
+    `effective_from` DATETIME NOT NULL,
+    `source` VARCHAR(20) NOT NULL DEFAULT 'ADMIN' COMMENT 'ADMIN, CSV_UPLOAD or SEED',
+    `created_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (`rate_id`),
+    UNIQUE KEY `uq_fx_rates_pair_effective` (`from_currency`, `to_currency`, `effective_from`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+INSERT INTO `fx_rates` (`from_currency`, `to_currency`, `rate`, `effective_from`, `source`) VALUES
+    ('USD', 'ZAR', 18.500000, '2024-01-01 00:00:00', 'SEED'),
+    ('EUR', 'ZAR', 20.000000, '2024-01-01 00:00:00', 'SEED');
+
+ALTER TABLE `products`
+    ADD COLUMN `fx_markup_percent` DECIMAL(6, 4) NOT NULL DEFAULT 0.0000 COMMENT 'Cross-border markup on the FX rate, e.g. 0.0275 = 2.75%' AFTER `overdraft_limit`;
+
+UPDATE `products` SET `fx_markup_percent` = 0.0275 WHERE `product_code` IN ('CHQ-01', 'SAV-02');
+
+ALTER TABLE `transactions`
+    ADD COLUMN `fx_rate_id` INT DEFAULT NULL COMMENT 'fx_rates row fx_rate came from' AFTER `fx_rate`,
+    ADD COLUMN `fx_markup_percent` DECIMAL(6, 4) DEFAULT NULL AFTER `fx_rate_id`,
+    ADD COLUMN `fx_markup_amount` DECIMAL(15, 2) DEFAULT NULL COMMENT 'Part of amount_base_currency that is markup' AFTER `fx_markup_percent`;
+
+ALTER TABLE `holds`
+    ADD COLUMN `fx_rate_id` INT DEFAULT NULL AFTER `fx_rate`,
+    ADD COLUMN `fx_markup_percent` DECIMAL(6, 4) DEFAULT NULL AFTER `fx_rate_id`;
@@ -0,0 +1,13 @@
+-- MIGRATION 018 (ROLLBACK): MULTI-CURRENCY ACCOUNTS (CURRENCY POCKETS)
+-- Pocket balances are lost; move them to the base balance first.
+
+ALTER TABLE `holds`
+    DROP COLUMN `pocket_currency`;
+
+ALTER TABLE `transactions`
+    DROP COLUMN `pocket_currency`;
+
+ALTER TABLE `products`
+    DROP COLUMN `pocket_currencies`;
+
+DROP TABLE IF EXISTS `account_pockets`;
@@ -0,0 +1,32 @@
+-- MIGRATION 018: MULTI-CURRENCY ACCOUNTS (CURRENCY POCKETS)
+--
+-- An account can hold balances in currencies other than ZAR, one pocket per
+-- currency (mock-server/authorisation.js). The ZAR (base) pocket stays the
+-- accounts balance; account_pockets holds the others. A product lists the
+-- currencies its accounts may hold in pocket_currencies (empty = ZAR only);
+-- a pocket is opened by the first deposit in its currency. Transactions and
+-- holds record which pocket paid the amount (NULL = the base pocket, as for
+-- every transaction before this migration).
+--
+
+CREATE TABLE `account_pockets` (
+    `pocket_id` INT NOT NULL AUTO_INCREMENT,
+    `account_number` VARCHAR(20) NOT NULL,
+    `currency_code` CHAR(3) NOT NULL,
+    `balance` DECIMAL(15, 2) NOT NULL DEFAULT 0.00,
+    `held_amount` DECIMAL(15, 2) NOT NULL DEFAULT 0.00 COMMENT 'Reserved by pre-auth holds paid from this pocket',
+    `created_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `updated_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (`pocket_id`),
+    UNIQUE KEY `uq_account_pockets_currency` (`account_number`, `currency_code`),
+    CONSTRAINT `account_pockets_ibfk_1` FOREIGN KEY (`account_number`) REFERENCES `accounts` (`account_number`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `products`
+    ADD COLUMN `pocket_currencies` VARCHAR(100) NOT NULL DEFAULT '' COMMENT 'Comma-separated currencies besides ZAR its accounts may hold' AFTER `fx_markup_percent`;
+
+ALTER TABLE `transactions`
+    ADD COLUMN `pocket_currency` CHAR(3) DEFAULT NULL COMMENT 'Pocket the amount was paid from; NULL = base' AFTER `currency_code`;
+
+ALTER TABLE `holds`
+    ADD COLUMN `pocket_currency` CHAR(3) DEFAULT NULL COMMENT 'Pocket the amount is reserved on; NULL = base' AFTER `currency_code`;
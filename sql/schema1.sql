@@ -4,11 +4,19 @@
 -- and defines all six tables (clients, accounts, cards, fees_schedule, fee_ledger)
 -- with their respective columns, constraints, and relationships.
 --
+-- NOTE: This is a one-shot snapshot of migration 001 that drops and recreates
+-- every table. Later schema changes live only in migrations/. To build or
+-- evolve a database (and load seed data), use the migration runner instead:
+-- `npm run migrate && npm run seed` (see migrate.js).
+--
 
 -- 1. DATABASE SETUP
 CREATE DATABASE IF NOT EXISTS `card_management_system` DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci;
 USE `card_management_system`;
 
+-- Allow the DROP TABLE statements below to run in any order on a re-run.
+SET FOREIGN_KEY_CHECKS = 0;
+
 
 -- 2. CLIENTS TABLE
 -- Table structure for table `clients`
@@ -30,6 +38,7 @@ CREATE TABLE `clients` (
     `created_at` TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
     `updated_at` TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     PRIMARY KEY (`client_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
 
 -- 3. ACCOUNTS TABLE
@@ -51,6 +60,7 @@ CREATE TABLE `accounts` (
     PRIMARY KEY (`account_number`),
     KEY `client_id` (`client_id`),
     CONSTRAINT `accounts_ibfk_1` FOREIGN KEY (`client_id`) REFERENCES `clients` (`client_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
 
 -- 4. FEES_SCHEDULE TABLE
@@ -71,6 +81,7 @@ CREATE TABLE `fees_schedule` (
     `updated_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     PRIMARY KEY (`fee_id`),
     UNIQUE KEY `uk_product_trigger` (`product_code`,`trigger_event`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
 
 -- 5. FEE_LEDGER TABLE
@@ -88,6 +99,7 @@ CREATE TABLE `fee_ledger` (
     PRIMARY KEY (`ledger_id`),
     KEY `fk_ledger_fee_rule` (`fee_id`),
     CONSTRAINT `fk_ledger_fee_rule` FOREIGN KEY (`fee_id`) REFERENCES `fees_schedule` (`fee_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
 
 -- 7. CARDS TABLE
@@ -119,4 +131,6 @@ CREATE TABLE `cards` (
     UNIQUE KEY `exid` (`exid`),
     KEY `account_number` (`account_number`),
     CONSTRAINT `cards_ibfk_1` FOREIGN KEY (`account_number`) REFERENCES `accounts` (`account_number`) ON DELETE CASCADE
-) 
\ No newline at end of file
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+SET FOREIGN_KEY_CHECKS = 1;
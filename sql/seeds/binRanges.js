@@ -0,0 +1,30 @@
+// seeds/binRanges.js
+// BIN ranges PANs are allocated from (mock-server/panAllocation.js). The
+// first three products share BIN 552255 for 16-digit cards in separate
+// account ranges, which fill it; TRVL-04 has BIN 552256. CHQ-01 also has a
+// 19-digit range. The demo cards' PANs sit below every range.
+
+const BIN_RANGES = [
+    {
+        product_code: 'CHQ-01', bin: '552255', pan_length: 16,
+        account_start: 100000000, account_end: 499999999, next_account: 100000000, low_threshold: 1000,
+    },
+    {
+        product_code: 'SAV-02', bin: '552255', pan_length: 16,
+        account_start: 500000000, account_end: 899999999, next_account: 500000000, low_threshold: 1000,
+    },
+    {
+        product_code: 'VIRT-03', bin: '552255', pan_length: 16,
+        account_start: 900000000, account_end: 999999999, next_account: 900000000, low_threshold: 1000,
+    },
+    {
+        product_code: 'CHQ-01', bin: '552255', pan_length: 19,
+        account_start: 100000000000, account_end: 199999999999, next_account: 100000000000, low_threshold: 1000,
+    },
+    {
+        product_code: 'TRVL-04', bin: '552256', pan_length: 16,
+        account_start: 100000000, account_end: 999999999, next_account: 100000000, low_threshold: 1000,
+    },
+];
+
+module.exports = { BIN_RANGES };
@@ -0,0 +1,60 @@
+// seeds/demoData.js
+// Demo clients, accounts and cards for the Postman collection and manual
+// testing. Cards are Active with known EXIDs and expiry dates so the
+// authorisation and PIN flows can run straight after seeding. CVVs are not
+// stored; with the CVK in mock-server/config/hsmKeys.js the CVV2s are 035
+// (card 1), 246 (card 2) and 800 (card 3). Account 3 is a travel account
+// with USD and EUR pockets.
+
+const CLIENTS = [
+    {
+        client_id: 'CL-DEMO-001', name: 'Thandi', surname: 'Mokoena', id_number: '9005140123086',
+        date_of_birth: '1990-05-14', gender: 'Female', country: 'South Africa', city: 'Johannesburg',
+        province: 'Gauteng', street: '12 Main Road', postal_code: '2001', income: 45000.00, tax_number: '0123456789',
+    },
+    {
+        client_id: 'CL-DEMO-002', name: 'Pieter', surname: 'van Wyk', id_number: '8511025123081',
+        date_of_birth: '1985-11-02', gender: 'Male', country: 'South Africa', city: 'Cape Town',
+        province: 'Western Cape', street: '7 Long Street', postal_code: '8001', income: 38000.00, tax_number: '9876543210',
+    },
+];
+
+const ACCOUNTS = [
+    {
+        account_number: '10000000001', client_id: 'CL-DEMO-001', product_code: 'CHQ-01', date_opened: '2024-01-15',
+        status: 'Active', balance: 5000.00, daily_limit: 10000.00, daily_spent: 0.00, international_enabled: 1,
+    },
+    {
+        account_number: '10000000002', client_id: 'CL-DEMO-002', product_code: 'SAV-02', date_opened: '2024-03-01',
+        status: 'Active', balance: 2000.00, daily_limit: 5000.00, daily_spent: 0.00, international_enabled: 0,
+    },
+    {
+        account_number: '10000000003', client_id: 'CL-DEMO-001', product_code: 'TRVL-04', date_opened: '2024-06-10',
+        status: 'Active', balance: 3000.00, daily_limit: 20000.00, daily_spent: 0.00, international_enabled: 1,
+    },
+];
+
+const ACCOUNT_POCKETS = [
+    { account_number: '10000000003', currency_code: 'USD', balance: 250.00 },
+    { account_number: '10000000003', currency_code: 'EUR', balance: 100.00 },
+];
+
+const CARDS = [
+    {
+        card_id: 'CARD-DEMO-001', account_number: '10000000001', balance: 5000.00, product_code: 'CHQ-01',
+        pan: '5522550000000001', masked_pan: '552255******0001', exid: '4000000000000001',
+        expiry: '12/30', emboss_name: 'THANDI MOKOENA', status: 'Active', limit_amount: 10000.00, pin_set: 'no',
+    },
+    {
+        card_id: 'CARD-DEMO-002', account_number: '10000000002', balance: 2000.00, product_code: 'SAV-02',
+        pan: '5522550000000002', masked_pan: '552255******0002', exid: '4000000000000002',
+        expiry: '12/30', emboss_name: 'PIETER VAN WYK', status: 'Active', limit_amount: 5000.00, pin_set: 'no',
+    },
+    {
+        card_id: 'CARD-DEMO-003', account_number: '10000000003', balance: 3000.00, product_code: 'TRVL-04',
+        pan: '5522560000000003', masked_pan: '552256******0003', exid: '4000000000000003',
+        expiry: '12/30', emboss_name: 'THANDI MOKOENA', status: 'Active', limit_amount: 20000.00, pin_set: 'no',
+    },
+];
+
+module.exports = { CLIENTS, ACCOUNTS, ACCOUNT_POCKETS, CARDS };
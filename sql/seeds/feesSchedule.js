@@ -0,0 +1,51 @@
+// seeds/feesSchedule.js
+// Fee rules (fees_schedule), effective from always and open-ended. Transaction
+// fees are charged by mock-server/feeEngine.js and are the same for every
+// product; account fees are billed by mock-server/feeBilling.js and vary.
+
+const { PRODUCTS } = require('./products');
+
+// One rule per trigger event (transaction_type). Percentages are stored as
+// rates, e.g. 0.0150 = 1.5%.
+const FEE_RULES = [
+    { trigger_event: 'ATM_WITHDRAWAL', fee_code: 'ATM_WDL_FEE', fee_type: 'PERCENTAGE_MIN_MAX', amount_percent: 0.0150, min_fee: 5.00, max_fee: 50.00 },
+    { trigger_event: 'BILL_PAYMENT', fee_code: 'BILL_PAY_FEE', fee_type: 'FIXED', amount_fixed: 2.50 },
+    { trigger_event: 'POS_INTERNATIONAL', fee_code: 'EXCHANGE_CTRL_FEE', fee_type: 'PERCENTAGE_MIN', amount_percent: 0.0100, min_fee: 10.00 },
+    { trigger_event: 'ECOMMERCE_INTERNATIONAL', fee_code: 'EXCHANGE_CTRL_FEE', fee_type: 'PERCENTAGE_MIN', amount_percent: 0.0100, min_fee: 10.00 },
+    { trigger_event: 'VOUCHER_PAYMENT', fee_code: 'VOUCH_PAY_FEE', fee_type: 'FIXED', amount_fixed: 1.00 },
+    { trigger_event: 'LOTTO_PAYMENT', fee_code: 'LOTTO_PAY_FEE', fee_type: 'FIXED', amount_fixed: 2.50 },
+];
+
+// Account fees (monthly service, inactivity and card replacement) per product.
+// The virtual card has no plastic to replace and no monthly fee.
+const ACCOUNT_FEE_RULES = {
+    'CHQ-01': [
+        { trigger_event: 'MONTHLY_SERVICE', fee_code: 'MONTHLY_SVC_FEE', fee_type: 'FIXED', amount_fixed: 65.00 },
+        { trigger_event: 'INACTIVITY', fee_code: 'INACTIVITY_FEE', fee_type: 'FIXED', amount_fixed: 25.00 },
+        { trigger_event: 'CARD_REPLACEMENT', fee_code: 'CARD_REPL_FEE', fee_type: 'FIXED', amount_fixed: 150.00 },
+    ],
+    'SAV-02': [
+        { trigger_event: 'MONTHLY_SERVICE', fee_code: 'MONTHLY_SVC_FEE', fee_type: 'FIXED', amount_fixed: 15.00 },
+        { trigger_event: 'INACTIVITY', fee_code: 'INACTIVITY_FEE', fee_type: 'FIXED', amount_fixed: 25.00 },
+        { trigger_event: 'CARD_REPLACEMENT', fee_code: 'CARD_REPL_FEE', fee_type: 'FIXED', amount_fixed: 150.00 },
+    ],
+    'TRVL-04': [
+        { trigger_event: 'MONTHLY_SERVICE', fee_code: 'MONTHLY_SVC_FEE', fee_type: 'FIXED', amount_fixed: 30.00 },
+        { trigger_event: 'INACTIVITY', fee_code: 'INACTIVITY_FEE', fee_type: 'FIXED', amount_fixed: 25.00 },
+        { trigger_event: 'CARD_REPLACEMENT', fee_code: 'CARD_REPL_FEE', fee_type: 'FIXED', amount_fixed: 150.00 },
+    ],
+};
+
+const FEES_SCHEDULE = PRODUCTS.flatMap(({ product_code }) => [...FEE_RULES, ...(ACCOUNT_FEE_RULES[product_code] ?? [])].map((rule) => ({
+    fee_code: rule.fee_code,
+    product_code,
+    fee_type: rule.fee_type,
+    amount_fixed: rule.amount_fixed ?? 0.00,
+    amount_percent: rule.amount_percent ?? null,
+    min_fee: rule.min_fee ?? 0.00,
+    max_fee: rule.max_fee ?? null,
+    trigger_event: rule.trigger_event,
+    is_active: 1,
+})));
+
+module.exports = { FEES_SCHEDULE };
@@ -0,0 +1,12 @@
+// seeds/fxRates.js
+// Exchange rates (fx_rates, mock-server/fxRates.js) into the base currency.
+// USD and EUR match migration 017. Rates are units of ZAR per unit of the
+// foreign currency; the reverse direction is derived from them.
+
+const FX_RATES = [
+    { from_currency: 'USD', to_currency: 'ZAR', rate: 18.500000, effective_from: '2024-01-01 00:00:00', source: 'SEED' },
+    { from_currency: 'EUR', to_currency: 'ZAR', rate: 20.000000, effective_from: '2024-01-01 00:00:00', source: 'SEED' },
+    { from_currency: 'GBP', to_currency: 'ZAR', rate: 23.500000, effective_from: '2024-01-01 00:00:00', source: 'SEED' },
+];
+
+module.exports = { FX_RATES };
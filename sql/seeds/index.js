@@ -0,0 +1,23 @@
+// seeds/index.js
+// Seed data in insertion order (parents before children). Plain data only,
+// so both the migration runner and the mock's in-memory store can load it.
+
+const { PRODUCTS } = require('./products');
+const { FEES_SCHEDULE } = require('./feesSchedule');
+const { CLIENTS, ACCOUNTS, ACCOUNT_POCKETS, CARDS } = require('./demoData');
+const { BIN_RANGES } = require('./binRanges');
+const { FX_RATES } = require('./fxRates');
+
+const SEEDS = [
+    { table: 'products', rows: PRODUCTS },
+    // fees_schedule has no unique key (a rule is one period of a product's fee)
+    { table: 'fees_schedule', rows: FEES_SCHEDULE, uniqueBy: ['product_code', 'trigger_event', 'effective_from'] },
+    { table: 'clients', rows: CLIENTS },
+    { table: 'accounts', rows: ACCOUNTS },
+    { table: 'account_pockets', rows: ACCOUNT_POCKETS },
+    { table: 'cards', rows: CARDS },
+    { table: 'bin_ranges', rows: BIN_RANGES },
+    { table: 'fx_rates', rows: FX_RATES },
+];
+
+module.exports = { SEEDS };
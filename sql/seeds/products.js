@@ -0,0 +1,30 @@
+// seeds/products.js
+// The product catalog (products table, mock-server/productCatalog.js). CHQ-01
+// and SAV-02 match migrations 014 and 017; VIRT-03 is a virtual e-commerce
+// card with a lower cross-border markup; TRVL-04 is a travel card whose
+// accounts hold USD, EUR and GBP pockets. Fee rules are seeded once per product.
+
+const PRODUCTS = [
+    {
+        product_code: 'CHQ-01', name: 'Cheque Account', card_type: 'PHYSICAL', pan_length: 16, default_limit: 10000.00,
+        validity_years: 4, allowed_channels: 'ATM,POS,ECOMMERCE,PAYMENTS', overdraft_allowed: 1, overdraft_limit: 1000.00,
+        fx_markup_percent: 0.0275,
+    },
+    {
+        product_code: 'SAV-02', name: 'Savings Account', card_type: 'PHYSICAL', pan_length: 16, default_limit: 5000.00,
+        validity_years: 4, allowed_channels: 'ATM,POS,ECOMMERCE,PAYMENTS', overdraft_allowed: 0, overdraft_limit: 0.00,
+        fx_markup_percent: 0.0275,
+    },
+    {
+        product_code: 'VIRT-03', name: 'Virtual Card', card_type: 'VIRTUAL', pan_length: 16, default_limit: 2000.00,
+        validity_years: 3, allowed_channels: 'ECOMMERCE', overdraft_allowed: 0, overdraft_limit: 0.00,
+        fx_markup_percent: 0.0200,
+    },
+    {
+        product_code: 'TRVL-04', name: 'Travel Card', card_type: 'PHYSICAL', pan_length: 16, default_limit: 20000.00,
+        validity_years: 3, allowed_channels: 'ATM,POS,ECOMMERCE', overdraft_allowed: 0, overdraft_limit: 0.00,
+        fx_markup_percent: 0.0150, pocket_currencies: 'USD,EUR,GBP',
+    },
+];
+
+module.exports = { PRODUCTS };